@@ -4,137 +4,1060 @@
  */
 
 import Milestones from './milestones.js';
+import Clock from './clock.js';
+import Ephemeris from './ephemeris.js';
 
-// Helper to create Wikipedia link HTML
+// Wikipedia link for use inside describe`...`: a { label, url, wikiKey }
+// object, or just the text when there is no article for `key`
 function wikiLink(key, text) {
     const url = Milestones.WIKI_URLS[key];
-    return url ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${text}</a>` : text;
+    return url ? { label: text, url, wikiKey: key } : text;
+}
+
+// Tagged template building a plain-text description plus the links inside
+// it. Interpolated links contribute their label to the text; nested
+// describe results are merged. Renderers decide how (or whether) to link.
+function describe(strings, ...values) {
+    let description = strings[0];
+    const links = [];
+    values.forEach((value, i) => {
+        if (value && typeof value === 'object' && 'description' in value) {
+            description += value.description;
+            links.push(...value.links);
+        } else if (value && typeof value === 'object') {
+            description += value.label;
+            links.push(value);
+        } else {
+            description += value;
+        }
+        description += strings[i + 1];
+    });
+    return { description, links };
+}
+
+// base^exponent with a superscript exponent, e.g. 10⁻¹⁵
+function superscriptPower(base, exponent) {
+    return `${base}${exponent < 0 ? '⁻' : ''}${Milestones.toSuperscript(Math.abs(exponent))}`;
 }
 
 // =============================================================================
-// RARITY TIERS
-// Legendary = once-or-twice-a-lifetime showstoppers (the ones worth sharing),
-// rare = notable, common = everything else. Tune freely — display-only.
+// RARITY
+// Each event gets a 0-100 rarityScore from its own properties (count, unit,
+// series, constant, traits) plus how often its kind occurs in a lifetime, and a tier
+// from RARITY_TIERS. Weights live in milestones.js — tune freely, display-only.
 // =============================================================================
 
-const LEGENDARY_IDS = new Set([
-    'seconds-1000000000', 'seconds-2000000000', 'seconds-3000000000',
-    'days-10000', 'days-20000', 'days-30000',
-    'weeks-1000', 'weeks-2000', 'weeks-3000',
-    'hours-1000000',
-    'binary-seconds-30', 'binary-seconds-31', 'binary-seconds-32',
-    'pop-42-Million-Seconds',
-    'lightspeed-proximaCentauri',
-    'jupiter-1', 'saturn-1', 'uranus-1', 'neptune-1',
-    'earth-birthday-42', 'earth-birthday-64', 'earth-birthday-100',
-    'pi-1000000000', 'e-1000000000', 'phi-1000000000',
-]);
-
-const RARE_IDS = new Set([
-    'seconds-100000000', 'seconds-500000000', 'seconds-1234567890',
-    'days-1000', 'days-5000', 'days-15000', 'days-25000',
-    'hours-10000', 'hours-100000',
-    'minutes-1000000',
-    'weeks-500', 'weeks-1500', 'weeks-2500',
-    'months-1000',
-    'hex-0xDEADBEEF',
-    'pop-1-337-Days',
-    'mercury-1', 'venus-1', 'mars-1',
-    'lunation-1000',
-]);
-
-function classifyRarity(event) {
-    if (LEGENDARY_IDS.has(event.id)) { return 'legendary'; }
-    if (RARE_IDS.has(event.id)) { return 'rare'; }
-
-    // Earth birthdays with a special mathematical property are rare
-    const bday = event.id.match(/^earth-birthday-(\d+)$/);
-    if (bday) {
-        const year = parseInt(bday[1], 10);
-        if (Milestones.primeAges.has(year) || Milestones.squareAges[year] ||
-            Milestones.powerOf2Ages[year] || Milestones.cubeAges[year] ||
-            Milestones.hexRoundAges[year]) {
-            return 'rare';
-        }
+const RARITY_LIFETIME_YEARS = 100;
+// Options for the reference lifetime: true returns emit every kind the mean
+// ones do, plus Earth's solar returns
+const RARITY_REFERENCE_OPTIONS = { planetaryReturns: 'true' };
+// Kinds the reference lifetime never reaches (custom milestones, 100+ years)
+const SINGLE_OCCURRENCE = { occurrences: 1, largest: 0 };
+
+// Kind = series (or unit) within a generator: "seconds" for 'decimal',
+// "mars" for 'planetary-years'
+function rarityKind(event) {
+    return event.series || event.unit || '';
+}
+
+// generator id -> (kind -> { occurrences, largest count } in a reference
+// lifetime). Each generator's table is built the first time it runs and
+// dropped when that id is registered or removed.
+const lifetimeFrequency = new Map();
+
+function getLifetimeFrequency(generator) {
+    let frequency = lifetimeFrequency.get(generator.id);
+    if (!frequency) {
+        frequency = new Map();
+        const refBirth = new Date(Date.UTC(2000, 0, 1));
+        const maxDate = new Date(refBirth.getTime() + RARITY_LIFETIME_YEARS * Milestones.MS_PER_YEAR);
+        generator.emit(refBirth, maxDate, event => {
+            if (event.date > maxDate) { return; }
+            const kind = rarityKind(event);
+            const entry = frequency.get(kind) || { occurrences: 0, largest: 0 };
+            entry.occurrences++;
+            entry.largest = Math.max(entry.largest, event.count || 0);
+            frequency.set(kind, entry);
+        }, RARITY_REFERENCE_OPTIONS);
+        lifetimeFrequency.set(generator.id, frequency);
+    }
+    return frequency;
+}
+
+// d × base^k with a single-digit d: 1 scores highest, then 2-3, 5, the rest
+function leadingDigitRoundness(digit) {
+    return Milestones.RARITY_LEADING_DIGITS[digit] ?? Milestones.RARITY_DEFAULT_LEADING_DIGIT;
+}
+
+// How memorable a number is, 0-1: 10^n and 1024^n > 2×10^n > 25×10^n ≈
+// repdigits/1234…; a single significant digit needs three zeros for full marks
+function roundness(count) {
+    if (!Number.isInteger(count) || count < 10) { return 0; }
+    const digits = String(count);
+    const significant = digits.replace(/0+$/, '');
+    const zeros = digits.length - significant.length;
+
+    let binary = 0;
+    if (count >= 1024) {
+        let mantissa = count;
+        while (mantissa % 1024 === 0) { mantissa /= 1024; }
+        if (mantissa !== count && mantissa < 10) { binary = leadingDigitRoundness(mantissa); }
     }
+
+    let decimal;
+    if (significant.length === 1) {
+        decimal = leadingDigitRoundness(Number(significant)) * Math.min(1, zeros / 3);
+    } else if (digits.length >= 3 && /^(\d)\1+$/.test(digits)) {
+        decimal = 0.3;
+    } else if (digits.length >= 4 && '1234567890'.startsWith(digits)) {
+        decimal = 0.3;
+    } else {
+        decimal = 0.5 * zeros / (digits.length - 1);
+    }
+    return Math.max(binary, decimal);
+}
+
+// frequency = { occurrences, largest } for this kind (see getLifetimeFrequency)
+function scoreRarity(event, frequency, birthDate) {
+    const weights = Milestones.RARITY_WEIGHTS;
+    const { occurrences, largest } = frequency;
+
+    const scarcity = weights.scarcity * Math.max(0, 1 - Math.log(occurrences) / Math.log(weights.scarcityCeiling));
+    const round = weights.roundness * roundness(event.count);
+    // The billionth second beats the hundred-millionth
+    const magnitude = event.count > 0 && largest > 0
+        ? weights.magnitude * Math.min(1, Math.max(0, 1 - Math.log10(largest / event.count)))
+        : 0;
+    const first = event.count === 1 ? weights.first : 0;
+    const familiarity = Milestones.RARITY_UNIT_WEIGHTS[event.unit] ?? Milestones.RARITY_DEFAULT_UNIT_WEIGHT;
+    const special = Object.hasOwn(Milestones.SPECIAL_CONSTANTS, event.constant)
+        ? Milestones.SPECIAL_CONSTANTS[event.constant] + weights.extraTrait * Math.max(0, (event.traits || 1) - 1)
+        : 0;
+
+    // Round numbers and firsts reached as a baby are nobody's showstopper
+    const ageYears = (event.date.getTime() - birthDate.getTime()) / Milestones.MS_PER_YEAR;
+    const stage = Math.min(1, Math.max(0, ageYears / weights.adultAgeYears));
+    const firstStage = Math.min(1, Math.max(0, ageYears / weights.firstAgeYears));
+
+    return Math.min(100, Math.round(familiarity * (scarcity + (round + magnitude) * stage) + first * firstStage + special));
+}
+
+function rarityTier(score) {
+    if (score >= Milestones.RARITY_TIERS.legendary) { return 'legendary'; }
+    if (score >= Milestones.RARITY_TIERS.rare) { return 'rare'; }
     return 'common';
 }
 
+// =============================================================================
+// COMBOS
+// Date-sorted events falling within `windowMs` of the first of a run are
+// replaced by one combo event listing them (`combo`). Shared holidays happen
+// to everyone, so they never join a combo.
+// =============================================================================
+
+function buildCombo(members) {
+    const best = members.reduce((a, b) => (b.rarityScore > a.rarityScore ? b : a));
+    const rarityScore = Math.min(100, best.rarityScore + Milestones.COMBO_RARITY_BOOST * (members.length - 1));
+    const links = [];
+    for (const link of members.flatMap(m => m.links)) {
+        if (!links.some(l => l.url === link.url)) { links.push(link); }
+    }
+
+    return {
+        id: `combo-${members[0].id}`,
+        title: members.map(m => m.title).join(' + '),
+        description: `${members.length} milestones at once: ${members.map(m => m.title).join(', ')}!`,
+        links,
+        date: members[0].date,
+        window: members[0].window && {
+            earliest: members[0].date,
+            latest: new Date(Math.max(...members.map(m => m.window.latest.getTime()))),
+            allDay: members.every(m => m.window.allDay)
+        },
+        category: best.category,
+        icon: '🎰',
+        milestone: members.map(m => m.milestone).join(' + '),
+        combo: members,
+        rarityScore,
+        rarity: rarityTier(rarityScore)
+    };
+}
+
+// mergeCombos() one event at a time, for events arriving in date order:
+// push() hands back those that can no longer join a combo, end() the rest.
+// Holidays never join one, but wait for the run they fall in, so the
+// output stays in date order.
+function comboMerger(windowMs) {
+    let run = [];
+    let held = [];
+    const flush = () => {
+        const done = [...held, ...(run.length > 1 ? [buildCombo(run)] : run)];
+        run = [];
+        held = [];
+        return done.sort((a, b) => a.date.getTime() - b.date.getTime());
+    };
+    return {
+        push(event) {
+            if (event.isSharedHoliday) {
+                if (run.length === 0) { return [event]; }
+                held.push(event);
+                return [];
+            }
+            const done = run.length > 0 && event.date.getTime() - run[0].date.getTime() > windowMs ? flush() : [];
+            run.push(event);
+            return done;
+        },
+        end: flush
+    };
+}
+
+function mergeCombos(events, windowMs) {
+    const merger = comboMerger(windowMs);
+    return [...events.flatMap(event => merger.push(event)), ...merger.end()];
+}
+
+// =============================================================================
+// EXACT OFFSETS
+// Milestone dates are birth + a whole number of milliseconds, worked out from
+// the decimal values as written (BigInt, no floating-point products). Rounding
+// per unit:
+//   seconds … weeks, custom        count × unit — always whole ms, no rounding
+//   months, years, ¼/½/¾ ages      30.4375 / 365.2425 days — also whole ms
+//   planetary years                n × orbit (≤ 3 decimals of a day) — whole ms
+//   solar days (sols)              n × solar day in hours — rounded down to the ms
+//   dwarf planet years, moon orbits n × orbit — rounded down to the millisecond
+//                                  (first-orbit fractions likewise)
+//   comets                         perihelion day, 00:00 UTC
+//   light travel                   distance ÷ c — rounded down to the millisecond
+//   lunations, lunar returns,      found from the ephemeris (js/ephemeris.js) —
+//   true planetary returns         rounded down to the whole second
+//   eclipses                       greatest eclipse from the new or full moon
+//                                  (Meeus), in UT — rounded down to the second
+//   physical constants             value × 10ⁿ × unit as written — rounded
+//                                  down to the millisecond
+//   exotic units                   count × unit length (or ÷ frequency) —
+//                                  rounded down to the millisecond
+//   π, e, φ, τ, e^π                irrational — rounded down to the whole second,
+//                                  which the description states
+// The website, .ics feed and push cron all read these dates, so they agree to
+// the second (the cron fires in the minute the milestone falls in).
+// =============================================================================
+
+// Exact value of a finite number as [numerator, denominator] BigInts
+function decimalParts(value) {
+    const [mantissa, exponent = '0'] = String(value).toLowerCase().split('e');
+    const [whole, fraction = ''] = mantissa.split('.');
+    let numerator = BigInt(whole + fraction);
+    let denominator = 10n ** BigInt(fraction.length);
+    const exp = Number(exponent);
+    if (exp >= 0) {
+        numerator *= 10n ** BigInt(exp);
+    } else {
+        denominator *= 10n ** BigInt(-exp);
+    }
+    return [numerator, denominator];
+}
+
+/**
+ * Exact product of `factors` divided by `divisor`, rounded down to a whole millisecond
+ * @param {Array<number>} factors - e.g. [count, MS_PER_HOUR]
+ * @param {number} [divisor]
+ * @returns {number}
+ */
+function exactMs(factors, divisor = 1) {
+    let [numerator, denominator] = decimalParts(divisor);
+    [numerator, denominator] = [denominator, numerator];
+    for (const factor of factors) {
+        const [n, d] = decimalParts(factor);
+        numerator *= n;
+        denominator *= d;
+    }
+    const quotient = numerator / denominator;
+    // BigInt division truncates toward zero; step down for negative remainders
+    return Number(numerator % denominator < 0n ? quotient - 1n : quotient);
+}
+
+// birthDate + the exact product of `factors` (in ms)
+function offsetDate(birthDate, ...factors) {
+    return new Date(birthDate.getTime() + exactMs(factors));
+}
+
+// First count of a series roughly `periodMs` apart worth generating for a
+// window starting at minDate: earlier counts land before it (as long as
+// they stray less than a period from n × periodMs), so generators skip them
+function firstCountFrom(birthDate, minDate, periodMs) {
+    if (!minDate) { return 1; }
+    return Math.max(1, Math.floor((minDate.getTime() - birthDate.getTime()) / periodMs));
+}
+
+// Whether an event estimated at `guess` (give or take slackMs) misses the
+// window, so a generator can skip searching for its exact date
+function outsideWindow(guess, minDate, maxDate, slackMs) {
+    return guess.getTime() - slackMs > maxDate.getTime() ||
+        (minDate !== null && guess.getTime() + slackMs < minDate.getTime());
+}
+
+// The Moon runs at most about half a day off its mean phase and position
+const MOON_SEARCH_SLACK_MS = 2 * Milestones.MS_PER_DAY;
+
+function getYearDefinition(key = Milestones.DEFAULT_YEAR_DEFINITION) {
+    if (!Object.hasOwn(Milestones.YEAR_DEFINITIONS, key)) { throw new Error(`Unknown year definition: ${key}`); }
+    return Milestones.YEAR_DEFINITIONS[key];
+}
+
+function getBirthdayPolicy(options = {}) {
+    const {
+        leapDayPolicy = Milestones.DEFAULT_LEAP_DAY_POLICY,
+        fractionalAges = Milestones.DEFAULT_FRACTIONAL_AGE_MODE,
+        leapDayBirth
+    } = options;
+    if (!Milestones.LEAP_DAY_POLICIES[leapDayPolicy]) {
+        throw new Error(`Unknown leap-day policy: ${leapDayPolicy}`);
+    }
+    if (!Milestones.FRACTIONAL_AGE_MODES[fractionalAges]) {
+        throw new Error(`Unknown fractional age mode: ${fractionalAges}`);
+    }
+    return { leapDayPolicy, fractionalAges, leapDayBirth };
+}
+
+// "3.2 days", "5.8 hours" or "12 minutes"
+function formatGap(ms) {
+    if (ms >= Milestones.MS_PER_DAY) { return `${(ms / Milestones.MS_PER_DAY).toFixed(1)} days`; }
+    if (ms >= Milestones.MS_PER_HOUR) { return `${(ms / Milestones.MS_PER_HOUR).toFixed(1)} hours`; }
+    return `${Math.round(ms / Milestones.MS_PER_MINUTE)} minutes`;
+}
+
+function getPlanetaryReturnMode(options = {}) {
+    const { planetaryReturns = Milestones.DEFAULT_PLANETARY_RETURN_MODE } = options;
+    if (!Object.hasOwn(Milestones.PLANETARY_RETURN_MODES, planetaryReturns)) {
+        throw new Error(`Unknown planetary return mode: ${planetaryReturns}`);
+    }
+    return planetaryReturns;
+}
+
+// The date `months` calendar months after birth, at the birth time of day.
+// A day the target month lacks clamps to its last day (Aug 31 + 6 months is
+// the end of February), except a Feb 29 birthday in a common year, which
+// follows the leap-day policy. Returns null when there is no such day.
+// Whether the birth was on Feb 29 is a question about the date as written in
+// the birth timezone, which can be Feb 28 or Mar 1 in UTC; `leapDayBirth`
+// answers it when known, otherwise the UTC date does.
+function calendarDate(birthDate, months, leapDayPolicy = Milestones.DEFAULT_LEAP_DAY_POLICY,
+    leapDayBirth = birthDate.getUTCMonth() === 1 && birthDate.getUTCDate() === 29) {
+    const year = birthDate.getUTCFullYear();
+    let month = birthDate.getUTCMonth() + months;
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    let day = birthDate.getUTCDate();
+
+    if (months % 12 === 0 && leapDayBirth) {
+        // Days from the written Feb 29 to the UTC date: -1, 0 or +1
+        const shift = birthDate.getUTCMonth() === 1 ? day - 29 : day;
+        const isLeapYear = new Date(Date.UTC(year + months / 12, 2, 0)).getUTCDate() === 29;
+        if (!isLeapYear && leapDayPolicy === 'leap-only') { return null; }
+        // Date.UTC rolls a common year's Feb 29 over to Mar 1 by itself
+        month = months + 1;
+        day = 29 + shift - (!isLeapYear && leapDayPolicy === 'feb28' ? 1 : 0);
+    } else if (day > daysInMonth && months % 12 !== 0) {
+        day = daysInMonth;
+    }
+
+    return new Date(Date.UTC(
+        year,
+        month,
+        day,
+        birthDate.getUTCHours(),
+        birthDate.getUTCMinutes(),
+        birthDate.getUTCSeconds()
+    ));
+}
+
+// When only the birth day is known, an event computed from its first minute
+// could really fall anywhere in [earliest, latest). Events a whole number of
+// days after birth (calendar birthdays, day counts) cover exactly one day of
+// the birth timezone, so they are all-day events.
+function birthWindow(birthDate, date) {
+    return {
+        earliest: date,
+        latest: new Date(date.getTime() + Milestones.UNKNOWN_BIRTH_TIME_WINDOW_MS),
+        allDay: (date.getTime() - birthDate.getTime()) % Milestones.MS_PER_DAY === 0
+    };
+}
+
+function sameMinute(a, b) {
+    return Math.floor(a.getTime() / Milestones.MS_PER_MINUTE) === Math.floor(b.getTime() / Milestones.MS_PER_MINUTE);
+}
+
+const FRACTIONS = [
+    { frac: 0.25, months: 3, label: '¼', decimal: '.25' },
+    { frac: 0.5, months: 6, label: '½', decimal: '.5' },
+    { frac: 0.75, months: 9, label: '¾', decimal: '.75' }
+];
+
+// =============================================================================
+// SEQUENCES
+// Which terms of a declared sequence are celebrated in each unit. They don't
+// depend on the birth date, so each sequence's are found once.
+// =============================================================================
+
+const sequenceTermCache = new WeakMap();
+
+function selectSequenceTerms(sequence, unitDef) {
+    const max = Math.floor(Milestones.MAX_YEARS * Milestones.MS_PER_YEAR / unitDef.ms);
+    const min = sequence.min?.[unitDef.unit] ?? unitDef.min;
+    const inRange = [];
+    let n = sequence.firstIndex ?? 0;
+    const notable = new Set([...(sequence.notable || []), ...(sequence.notableIn?.[unitDef.unit] || [])]);
+    const lastNotable = Math.max(0, ...notable);
+    for (const value of sequence.terms()) {
+        if (value > max) { break; }
+        if (value >= min) { inRange.push({ value, n }); }
+        n++;
+        // Too dense, no landmarks and past the notable values: nothing left to
+        // keep, so stop counting (palindromes run to 10⁵ terms)
+        if (sequence.landmarks === false && value >= lastNotable &&
+            inRange.length > Milestones.SEQUENCE_MAX_TERMS_PER_UNIT) {
+            return inRange.filter(t => notable.has(t.value));
+        }
+    }
+    if (inRange.length <= Milestones.SEQUENCE_MAX_TERMS_PER_UNIT) { return inRange; }
+
+    // Too dense: keep notable values plus every step-th term, for the
+    // smallest step in 10, 25, 50, 100, 250, … leaving few enough
+    for (let scale = 10; ; scale *= 10) {
+        for (const step of [scale, scale * 2.5, scale * 5]) {
+            const landmarks = inRange.filter(t => t.n % step === 0);
+            if (landmarks.length <= Milestones.SEQUENCE_MAX_LANDMARKS) {
+                return inRange.filter(t => t.n % step === 0 || notable.has(t.value));
+            }
+        }
+    }
+}
+
+function sequenceTerms(sequence, unitDef) {
+    let byUnit = sequenceTermCache.get(sequence);
+    if (!byUnit) {
+        byUnit = new Map();
+        sequenceTermCache.set(sequence, byUnit);
+    }
+    if (!byUnit.has(unitDef.unit)) {
+        byUnit.set(unitDef.unit, selectSequenceTerms(sequence, unitDef));
+    }
+    return byUnit.get(unitDef.unit);
+}
+
+// =============================================================================
+// DISCOVERED NUMBERS
+// Counts with a notable property (Milestones.DISCOVERY_PROPERTIES) that no
+// curated list or sequence already celebrates in that unit. Birth-date
+// independent too, so each unit is scanned once.
+// =============================================================================
+
+// n choose k, exact while the result fits a double's integers
+function binomial(n, k) {
+    let value = 1;
+    for (let i = 1; i <= k; i++) {
+        value = value * (n - k + i) / i;
+    }
+    return value;
+}
+
+// =============================================================================
+// PRIMES
+// Notable prime counts per unit (see Milestones.PRIME_UNITS). Found by trial
+// division, which is quick up to a lifetime of minutes; cached per unit.
+// =============================================================================
+
+const primeCache = new Map();
+
+function isPrime(n) {
+    if (n < 2) { return false; }
+    if (n % 2 === 0 || n % 3 === 0) { return n <= 3; }
+    for (let d = 5; d * d <= n; d += 6) {
+        if (n % d === 0 || n % (d + 2) === 0) { return false; }
+    }
+    return true;
+}
+
+// value -> reasons (describe results) it's a notable prime, within [min, max]
+function findNotablePrimes(min, max) {
+    const found = new Map();
+    const note = (value, reason, series) => {
+        if (value < min || value > max) { return; }
+        const entry = found.get(value) || { value, series, reasons: [] };
+        entry.reasons.push(reason);
+        found.set(value, entry);
+    };
+
+    for (const p of Milestones.MERSENNE_EXPONENTS) {
+        note(2 ** p - 1, describe`a ${wikiLink('mersennePrime', 'Mersenne prime')} (2${Milestones.toSuperscript(p)} − 1)`, 'mersenne');
+    }
+
+    for (let n = 2; 10 ** n <= max * 10; n++) {
+        const power = 10 ** n;
+        const pow = `10${Milestones.toSuperscript(n)}`;
+        let below = power - 1;
+        while (!isPrime(below)) { below--; }
+        note(below, describe`the last prime before ${pow} (${pow} − ${power - below})`, 'power-of-ten');
+        let above = power + 1;
+        while (!isPrime(above)) { above++; }
+        note(above, describe`the first prime after ${pow} (${pow} + ${above - power})`, 'power-of-ten');
+        let twin = above;
+        while (!isPrime(twin + 2)) {
+            twin += 2;
+            while (!isPrime(twin)) { twin += 2; }
+        }
+        note(twin, describe`the first ${wikiLink('twinPrime', 'twin primes')} after ${pow} (${twin.toLocaleString()} and ${(twin + 2).toLocaleString()})`, 'twin');
+    }
+
+    for (const { rank, prime } of Milestones.PRIME_RANKS) {
+        note(prime, describe`the ${rank.toLocaleString()}th prime`, 'rank');
+    }
+
+    return [...found.values()].sort((a, b) => a.value - b.value);
+}
+
+function notablePrimes(unitDef) {
+    if (!primeCache.has(unitDef.unit)) {
+        const max = Math.floor(Milestones.MAX_YEARS * Milestones.MS_PER_YEAR / unitDef.ms);
+        primeCache.set(unitDef.unit, findNotablePrimes(unitDef.min, max));
+    }
+    return primeCache.get(unitDef.unit);
+}
+
+const discoveredCache = new Map();
+let discoveryCandidates = null;
+
+function unitMax(unitDef) {
+    return Math.floor(Milestones.MAX_YEARS * Milestones.MS_PER_YEAR / unitDef.ms);
+}
+
+// Each property's candidates up to the largest count of any unit, smallest
+// first; units filter their own range from these
+function getDiscoveryCandidates() {
+    if (!discoveryCandidates) {
+        const max = Math.max(...Milestones.DISCOVERY_UNITS.map(unitMax));
+        discoveryCandidates = Milestones.DISCOVERY_PROPERTIES.map(property =>
+            [...new Set(property.candidates(max))].sort((a, b) => a - b)
+        );
+    }
+    return discoveryCandidates;
+}
+
+// Values the decimal lists and the declared sequences already emit in a unit
+function celebratedCounts(unitDef) {
+    const decimal = {
+        seconds: Milestones.secondMilestones,
+        minutes: Milestones.minuteMilestones,
+        hours: Milestones.hourMilestones,
+        days: Milestones.dayMilestones,
+        weeks: Milestones.weekMilestones
+    }[unitDef.unit] || [];
+    const counts = new Set(decimal.map(m => m.value));
+    if (Milestones.SEQUENCE_UNITS.includes(unitDef)) {
+        for (const sequence of Milestones.SEQUENCES) {
+            for (const { value } of sequenceTerms(sequence, unitDef)) { counts.add(value); }
+        }
+    }
+    return counts;
+}
+
+function discoverNumbers(unitDef) {
+    const max = unitMax(unitDef);
+    const min = Math.max(unitDef.min, 10 ** (String(max).length - Milestones.DISCOVERY_DIGIT_SPAN));
+    const celebrated = celebratedCounts(unitDef);
+
+    // Each property's hits, smallest first, and every property of each hit
+    const hits = getDiscoveryCandidates().map(values =>
+        values.filter(value => value >= min && value <= max && !celebrated.has(value))
+    );
+    const propertiesOf = new Map();
+    hits.forEach((values, i) => {
+        for (const value of values) {
+            propertiesOf.set(value, [...(propertiesOf.get(value) || []), Milestones.DISCOVERY_PROPERTIES[i]]);
+        }
+    });
+
+    // Counts with several properties first, then one from each property in
+    // turn, until DISCOVERY_MAX_PER_UNIT
+    const picked = new Set([...propertiesOf.keys()].filter(value => propertiesOf.get(value).length > 1));
+    for (let round = 0; hits.some(values => values.length > round); round++) {
+        for (const values of hits) {
+            if (picked.size >= Milestones.DISCOVERY_MAX_PER_UNIT) { break; }
+            if (round < values.length) { picked.add(values[round]); }
+        }
+    }
+    return [...picked]
+        .slice(0, Milestones.DISCOVERY_MAX_PER_UNIT)
+        .sort((a, b) => a - b)
+        .map(value => ({ value, properties: propertiesOf.get(value) }));
+}
+
+function discoveredNumbers(unitDef) {
+    if (!discoveredCache.has(unitDef.unit)) {
+        discoveredCache.set(unitDef.unit, discoverNumbers(unitDef));
+    }
+    return discoveredCache.get(unitDef.unit);
+}
+
+// =============================================================================
+// ECLIPSES
+// Eclipses don't depend on the birth date, so each UTC year's are found once
+// and shared. A window late in life still counts every eclipse since birth,
+// but from the cached years rather than the ephemeris.
+// =============================================================================
+
+const eclipseYearCache = new Map();
+
+function yearStart(year) {
+    const date = new Date(0);
+    date.setUTCFullYear(year, 0, 1);
+    return date;
+}
+
+function eclipsesInYear(year) {
+    if (!eclipseYearCache.has(year)) {
+        eclipseYearCache.set(year, Ephemeris.eclipses(yearStart(year), yearStart(year + 1)));
+    }
+    return eclipseYearCache.get(year);
+}
+
+function* eclipsesBetween(from, to) {
+    for (let year = from.getUTCFullYear(); year <= to.getUTCFullYear(); year++) {
+        for (const eclipse of eclipsesInYear(year)) {
+            if (eclipse.date > from && eclipse.date <= to) { yield eclipse; }
+        }
+    }
+}
+
+// =============================================================================
+// GENERATOR REGISTRY
+// Every milestone family is a generator: { id, category, emit(birthDate,
+// maxDate, addEvent, options) }. calculate() runs the enabled ones in
+// registration order and passes its own options through, so the website, the
+// calendar feed and the push cron all pick up newly registered generators
+// without further wiring.
+// =============================================================================
+
+const generators = new Map();
+
 const Calculator = {
+    /**
+     * Register a milestone generator.
+     * @param {Object} generator
+     * @param {string} generator.id - Unique id (used to enable/disable it)
+     * @param {string} generator.category - Primary category of emitted events
+     * @param {Function} generator.emit - (birthDate, maxDate, addEvent, options, minDate) => void;
+     *   minDate is the window start (or null), so it can skip earlier counts
+     * @param {boolean} [generator.enabled] - Defaults to true
+     */
+    registerGenerator(generator) {
+        if (!generator || typeof generator.id !== 'string' || !generator.id) {
+            throw new Error('Generator must have a string id');
+        }
+        if (typeof generator.emit !== 'function') {
+            throw new Error(`Generator "${generator.id}" must have an emit() function`);
+        }
+        if (generators.has(generator.id)) {
+            throw new Error(`Generator "${generator.id}" is already registered`);
+        }
+        generators.set(generator.id, { ...generator, enabled: generator.enabled !== false });
+        lifetimeFrequency.delete(generator.id);
+    },
+
+    /**
+     * Register a declared integer sequence as a milestone generator. Its terms
+     * become second, minute, hour and day milestones within a lifetime, thinned
+     * to notable and landmark terms when too dense (see Milestones.SEQUENCES).
+     * @param {Object} sequence
+     * @param {string} sequence.id - Generator id
+     * @param {Function} sequence.terms - Generator function yielding the sequence
+     * @param {string} sequence.name - Title word, e.g. "Fibonacci"
+     * @param {string} sequence.noun - e.g. "Fibonacci number"
+     * @param {string} [sequence.wikiKey] - Key into Milestones.WIKI_URLS
+     * @param {string} [sequence.category] - Event category (default 'mathematical')
+     */
+    registerSequence(sequence) {
+        if (!sequence || typeof sequence.terms !== 'function') {
+            throw new Error('Sequence must have a terms() generator function');
+        }
+        if (!sequence.name || !sequence.noun) {
+            throw new Error(`Sequence "${sequence.id}" must have a name and noun`);
+        }
+        this.registerGenerator({
+            id: sequence.id,
+            category: sequence.category || 'mathematical',
+            emit: (b, _max, add) => Calculator._addSequenceMilestones(b, add, sequence)
+        });
+    },
+
+    /**
+     * Remove a registered generator.
+     * @param {string} id
+     * @returns {boolean} true if a generator was removed
+     */
+    unregisterGenerator(id) {
+        lifetimeFrequency.delete(id);
+        return generators.delete(id);
+    },
+
+    /**
+     * Turn a registered generator on or off without removing it.
+     * @param {string} id
+     * @param {boolean} enabled
+     */
+    setGeneratorEnabled(id, enabled) {
+        const generator = generators.get(id);
+        if (!generator) {
+            throw new Error(`Unknown generator "${id}"`);
+        }
+        generator.enabled = Boolean(enabled);
+    },
+
+    /**
+     * List registered generators in run order.
+     * @returns {Array<{id: string, category: string, enabled: boolean}>}
+     */
+    getGenerators() {
+        return [...generators.values()].map(({ id, category, enabled }) => ({ id, category, enabled }));
+    },
+
     /**
      * Calculate all nerdiversary milestones
      * @param {Date} birthDate - The birth date/time
      * @param {Object} [options] - Configuration options
      * @param {number} [options.yearsAhead] - How many years ahead (default 100)
      * @param {boolean} [options.includePast] - Include past events (default true)
+     * @param {Date} [options.now] - What counts as "now" for includePast (default Clock.now())
      * @param {?Function} [options.transformEvent] - Optional hook to transform events
+     * @param {Array<{value: number, unit: string}>} [options.customMilestones] - User-defined milestones
+     * @param {?Array<string>} [options.only] - Run only these generator ids (default: all enabled)
+     * @param {number} [options.comboWindowMs] - Merge milestones this close together into combo events (default 0: off)
+     * @param {string} [options.yearDefinition] - Key of Milestones.YEAR_DEFINITIONS for Earth ages and yearsAhead (default 'gregorian')
+     * @param {string} [options.leapDayPolicy] - Key of Milestones.LEAP_DAY_POLICIES for Feb 29 births (default 'mar1')
+     * @param {boolean} [options.leapDayBirth] - Born on Feb 29 in the birth timezone (default: the UTC date is Feb 29)
+     * @param {string} [options.fractionalAges] - Key of Milestones.FRACTIONAL_AGE_MODES for ¼/½/¾ birthdays (default 'mean')
+     * @param {string} [options.planetaryReturns] - Key of Milestones.PLANETARY_RETURN_MODES for planet years (default 'mean')
+     * @param {boolean} [options.birthTimeUnknown] - birthDate is only the start of the birth day: events get a `window` (default false)
      * @returns {Array} Array of milestone events
      */
     calculate(birthDate, options = {}) {
+        const { includePast = true, now = Clock.now() } = options;
+        return this._collect(birthDate, includePast ? null : now, null, options);
+    },
+
+    /**
+     * Calculate only the milestones falling in [from, to], sorted by date.
+     * Out-of-range events are dropped as they are generated, so a two-year
+     * window never holds (or sorts) a whole lifetime of events.
+     * @param {Date} birthDate - The birth date/time
+     * @param {Date} from - Window start (inclusive)
+     * @param {Date} to - Window end (inclusive)
+     * @param {Object} [options] - Same options as calculate() (includePast is ignored)
+     * @returns {Array} Array of milestone events
+     */
+    between(birthDate, from, to, options = {}) {
+        return this._collect(birthDate, from, to, options);
+    },
+
+    /**
+     * Lazily yield milestones strictly after `after`, in date order.
+     * Scans forward in growing windows, so taking the first few events only
+     * generates the next month or so. Combos are merged as events stream
+     * past, across window edges, so they match calculate()'s.
+     * @param {Date} birthDate - The birth date/time
+     * @param {Date} after - Yield events later than this
+     * @param {Object} [options] - Same options as calculate() (includePast is ignored)
+     * @returns {Generator<Object>}
+     */
+    * upcoming(birthDate, after, options = {}) {
+        const { yearsAhead = 100, comboWindowMs = 0, transformEvent = null } = options;
+        const year = getYearDefinition(options.yearDefinition);
+        const end = birthDate.getTime() + exactMs([yearsAhead, year.days, Milestones.MS_PER_DAY]);
+        // Windows collect single events; combos and the hook come after merging
+        const raw = { ...options, comboWindowMs: 0, transformEvent: null };
+        const merger = comboWindowMs > 0 ? comboMerger(comboWindowMs) : null;
+        const release = function* (events) {
+            for (const event of events) {
+                if (event.date <= after) { continue; }
+                const result = transformEvent ? transformEvent(event) : event;
+                if (result) { yield result; }
+            }
+        };
+        // Start a combo window early: a run beginning just before `after` is
+        // a combo dated before it, as in calculate(), not its later members
+        let cursor = after.getTime() - comboWindowMs;
+        let span = 30 * Milestones.MS_PER_DAY;
+
+        while (cursor < end) {
+            const windowEnd = Math.min(cursor + span, end);
+            // +1ms: windows are inclusive, and `after` itself is excluded
+            for (const event of this._collect(birthDate, new Date(cursor + 1), new Date(windowEnd), raw)) {
+                yield* release(merger ? merger.push(event) : [event]);
+            }
+            cursor = windowEnd;
+            span *= 2;
+        }
+        if (merger) { yield* release(merger.end()); }
+    },
+
+    _collect(birthDate, from, to, options) {
         const {
             yearsAhead = 100,
-            includePast = true,
-            transformEvent = null
+            transformEvent = null,
+            only = null,
+            comboWindowMs = 0,
+            birthTimeUnknown = false
         } = options;
 
-        const now = new Date();
-        const maxDate = new Date(birthDate.getTime() + yearsAhead * Milestones.MS_PER_YEAR);
+        const year = getYearDefinition(options.yearDefinition);
+        getBirthdayPolicy(options);
+        getPlanetaryReturnMode(options);
+        const lifetimeEnd = offsetDate(birthDate, yearsAhead, year.days, Milestones.MS_PER_DAY);
+        const maxDate = to && to < lifetimeEnd ? to : lifetimeEnd;
         const events = [];
+        let frequency = null;
 
-        // Helper to add events with optional filtering and transformation
+        // Helper to add events with optional filtering
         const addEvent = event => {
             if (event.date > maxDate) { return; }
-            if (!includePast && event.date < now) { return; }
+            if (from && event.date < from) { return; }
 
-            event.rarity = classifyRarity(event);
-            const finalEvent = transformEvent ? transformEvent(event) : event;
-            if (finalEvent) { events.push(finalEvent); }
+            event.links = event.links || [];
+            if (birthTimeUnknown && !event.isSharedHoliday) {
+                event.window = birthWindow(birthDate, event.date);
+            }
+            event.rarityScore = scoreRarity(event, frequency.get(rarityKind(event)) || SINGLE_OCCURRENCE, birthDate);
+            event.rarity = rarityTier(event.rarityScore);
+            events.push(event);
         };
 
         // Generate all milestone types
-        this._addPlanetaryYears(birthDate, maxDate, addEvent);
-        this._addDecimalMilestones(birthDate, addEvent);
-        this._addBinaryMilestones(birthDate, addEvent);
-        this._addMathMilestones(birthDate, addEvent);
-        this._addFibonacciMilestones(birthDate, addEvent);
-        this._addLucasMilestones(birthDate, addEvent);
-        this._addPerfectNumberMilestones(birthDate, addEvent);
-        this._addTriangularMilestones(birthDate, addEvent);
-        this._addPalindromeMilestones(birthDate, addEvent);
-        this._addRepunitMilestones(birthDate, addEvent);
-        this._addScientificMilestones(birthDate, addEvent);
-        this._addPopCultureMilestones(birthDate, addEvent);
-        this._addSpeedOfLightMilestones(birthDate, addEvent);
-        this._addLunationMilestones(birthDate, addEvent);
-        this._addFractionalAgeMilestones(birthDate, maxDate, addEvent);
-        this._addNerdyHolidays(birthDate, maxDate, addEvent);
-        this._addEarthBirthdays(birthDate, maxDate, addEvent);
+        for (const generator of generators.values()) {
+            if (only ? only.includes(generator.id) : generator.enabled) {
+                frequency = getLifetimeFrequency(generator);
+                generator.emit(birthDate, maxDate, addEvent, options, from);
+            }
+        }
 
         // Sort by date
         events.sort((a, b) => a.date.getTime() - b.date.getTime());
 
-        return events;
+        const merged = comboWindowMs > 0 ? mergeCombos(events, comboWindowMs) : events;
+        if (!transformEvent) { return merged; }
+        return merged.map(transformEvent).filter(Boolean);
     },
 
     // =========================================================================
     // MILESTONE GENERATORS
     // =========================================================================
 
-    _addPlanetaryYears(birthDate, maxDate, addEvent) {
+    _addPlanetaryYears(birthDate, maxDate, addEvent, options = {}, minDate = null) {
+        if (getPlanetaryReturnMode(options) === 'true') {
+            this._addTrueReturns(birthDate, maxDate, addEvent, minDate);
+            return;
+        }
         for (const [key, planet] of Object.entries(Milestones.PLANETS)) {
-            const periodMs = planet.days * Milestones.MS_PER_DAY;
-            for (let yearNum = 1; yearNum <= Milestones.MAX_PLANETARY_YEARS; yearNum++) {
-                const eventDate = new Date(birthDate.getTime() + yearNum * periodMs);
+            const first = firstCountFrom(birthDate, minDate, planet.days * Milestones.MS_PER_DAY);
+            for (let yearNum = first; yearNum <= Milestones.MAX_PLANETARY_YEARS; yearNum++) {
+                const eventDate = offsetDate(birthDate, yearNum, planet.days, Milestones.MS_PER_DAY);
                 if (eventDate > maxDate) { break; }
 
                 addEvent({
                     id: `${key}-${yearNum}`,
                     title: `${planet.name} Year ${yearNum}`,
-                    description: `You've completed ${yearNum} orbit${yearNum > 1 ? 's' : ''} around the Sun as measured from ${wikiLink(key, planet.name)}!`,
+                    ...describe`You've completed ${yearNum} orbit${yearNum > 1 ? 's' : ''} around the Sun as measured from ${wikiLink(key, planet.name)}!`,
                     date: eventDate,
                     category: 'planetary',
                     icon: planet.icon,
-                    planet: planet.name
+                    planet: planet.name,
+                    count: yearNum,
+                    unit: 'years',
+                    series: key
+                });
+            }
+        }
+    },
+
+    // Each time a planet gets back to its heliocentric longitude at birth
+    // (equinox of date), and each time the Sun gets back to its own
+    _addTrueReturns(birthDate, maxDate, addEvent, minDate = null) {
+        const returnsOf = function* (key) {
+            const longitude = Ephemeris.heliocentricLongitude(key, birthDate);
+            const period = Ephemeris.meanReturnDays(key) * Milestones.MS_PER_DAY;
+            // Returns stay within days of the mean ones, so a window can start
+            // the search from the mean date of the return before its first
+            const first = firstCountFrom(birthDate, minDate, period);
+            let previous = new Date(birthDate.getTime() + (first - 1) * period);
+            for (let n = first; n <= Milestones.MAX_PLANETARY_YEARS; n++) {
+                const date = Ephemeris.findLongitude(key, longitude, new Date(previous.getTime() + period));
+                if (date > maxDate) { return; }
+                yield { n, date, longitude };
+                previous = date;
+            }
+        };
+
+        for (const { n, date, longitude } of returnsOf('earth')) {
+            const sunLongitude = (longitude + 180) % 360;
+            addEvent({
+                id: `solar-return-${n}`,
+                title: `Solar Return ${n}`,
+                ...describe`The Sun is back at ecliptic longitude ${sunLongitude.toFixed(2)}°, exactly where it stood when you were born: your ${Milestones.getOrdinal(n)} ${wikiLink('solarReturn', 'solar return')}!`,
+                date,
+                category: 'planetary',
+                icon: '☀️',
+                planet: 'Earth',
+                count: n,
+                unit: 'years',
+                series: 'earth'
+            });
+        }
+
+        for (const [key, planet] of Object.entries(Milestones.PLANETS)) {
+            for (const { n, date, longitude } of returnsOf(key)) {
+                const shiftMs = date.getTime() - offsetDate(birthDate, n, planet.days, Milestones.MS_PER_DAY).getTime();
+                const shift = `${formatGap(Math.abs(shiftMs))} ${shiftMs < 0 ? 'before' : 'after'}`;
+                addEvent({
+                    id: `${key}-${n}`,
+                    title: `${planet.name} Year ${n}`,
+                    ...describe`${wikiLink(key, planet.name)} is back at heliocentric longitude ${longitude.toFixed(2)}°, where it was when you were born: its ${Milestones.getOrdinal(n)} true return, ${shift} the mean ${planet.name} year!`,
+                    date,
+                    category: 'planetary',
+                    icon: planet.icon,
+                    planet: planet.name,
+                    count: n,
+                    unit: 'years',
+                    series: key
+                });
+            }
+        }
+    },
+
+    // Round numbers of solar days (sunrise to sunrise) lived on each planet
+    _addPlanetarySols(birthDate, maxDate, addEvent) {
+        for (const [key, planet] of Object.entries(Milestones.PLANETS)) {
+            const minutes = Math.round(planet.solarDayHours * 60);
+            const length = planet.solarDayHours < 48
+                ? `${Math.floor(minutes / 60)} hours ${minutes % 60} minutes`
+                : formatGap(planet.solarDayHours * Milestones.MS_PER_HOUR);
+            const dayLink = planet.solarDayName
+                ? wikiLink('sol', `${planet.solarDayName.toLowerCase()}s`)
+                : wikiLink('solarDay', 'solar days');
+            for (const n of Milestones.solarDayMilestones) {
+                const date = offsetDate(birthDate, n, planet.solarDayHours, Milestones.MS_PER_HOUR);
+                if (date > maxDate) { break; }
+                const count = n.toLocaleString();
+                addEvent({
+                    id: `${key}-sol-${n}`,
+                    title: planet.solarDayName ? `${planet.solarDayName} ${count} on ${planet.name}` : `${count} ${planet.name} Solar Days`,
+                    ...describe`You've lived through ${count} ${dayLink} on ${wikiLink(key, planet.name)}, where the Sun takes ${length} to come back round to the same spot in the sky!`,
+                    date,
+                    category: 'planetary',
+                    icon: planet.solIcon,
+                    count: n,
+                    unit: 'solar days',
+                    series: key
+                });
+            }
+        }
+    },
+
+    // Dwarf planet years by mean period, plus fractions of the first orbit
+    // for those too slow to finish one in a lifetime
+    _addDwarfPlanetYears(birthDate, maxDate, addEvent, minDate = null) {
+        for (const [key, body] of Object.entries(Milestones.DWARF_PLANETS)) {
+            if (body.days > Milestones.SLOW_BODY_MIN_DAYS) {
+                for (const { numerator, denominator, label } of Milestones.FIRST_ORBIT_FRACTIONS) {
+                    const date = new Date(birthDate.getTime() + exactMs([numerator, body.days, Milestones.MS_PER_DAY], denominator));
+                    if (date > maxDate) { break; }
+                    const years = (numerator / denominator * body.days * Milestones.MS_PER_DAY / Milestones.MS_PER_YEAR).toFixed(1);
+                    addEvent({
+                        id: `${key}-frac-${numerator}-${denominator}`,
+                        title: `${label} ${body.name} Year`,
+                        ...describe`You're ${label} of the way around ${wikiLink(key, body.name)}'s ${Math.round(body.days * Milestones.MS_PER_DAY / Milestones.MS_PER_YEAR)}-year orbit: ${years} Earth years old!`,
+                        date,
+                        category: 'planetary',
+                        icon: body.icon,
+                        count: numerator / denominator,
+                        unit: 'years',
+                        series: key
+                    });
+                }
+            }
+            const first = firstCountFrom(birthDate, minDate, body.days * Milestones.MS_PER_DAY);
+            for (let n = first; n <= Milestones.MAX_PLANETARY_YEARS; n++) {
+                const date = offsetDate(birthDate, n, body.days, Milestones.MS_PER_DAY);
+                if (date > maxDate) { break; }
+                addEvent({
+                    id: `${key}-${n}`,
+                    title: `${body.name} Year ${n}`,
+                    ...describe`You've completed ${n} orbit${n > 1 ? 's' : ''} around the Sun as measured from the dwarf planet ${wikiLink(key, body.name)}!`,
+                    date,
+                    category: 'planetary',
+                    icon: body.icon,
+                    planet: body.name,
+                    count: n,
+                    unit: 'years',
+                    series: key
+                });
+            }
+        }
+    },
+
+    // Round numbers of orbits of notable moons around their planets
+    _addMoonOrbits(birthDate, maxDate, addEvent) {
+        for (const [key, moon] of Object.entries(Milestones.MOONS)) {
+            const period = formatGap(moon.days * Milestones.MS_PER_DAY);
+            for (const n of Milestones.moonOrbitMilestones) {
+                const date = offsetDate(birthDate, n, moon.days, Milestones.MS_PER_DAY);
+                if (date > maxDate) { break; }
+                addEvent({
+                    id: `${key}-orbits-${n}`,
+                    title: `${n.toLocaleString()} ${moon.name} Orbits`,
+                    ...describe`${wikiLink(key, moon.name)} has gone around ${moon.parent} ${n.toLocaleString()} times since you were born, once every ${period}!`,
+                    date,
+                    category: 'planetary',
+                    icon: moon.icon,
+                    count: n,
+                    unit: 'orbits',
+                    series: key
+                });
+            }
+        }
+    },
+
+    // Perihelion passages of periodic comets since birth: the listed dates,
+    // carried on by the mean period before and after the list
+    _addCometReturns(birthDate, maxDate, addEvent) {
+        const dayOf = ms => new Date(Math.floor(ms / Milestones.MS_PER_DAY) * Milestones.MS_PER_DAY);
+        for (const [key, comet] of Object.entries(Milestones.PERIODIC_COMETS)) {
+            const periodMs = comet.periodYears * Milestones.MS_PER_YEAR;
+            const listed = comet.perihelia.map(d => Date.parse(`${d}T00:00:00Z`));
+            const first = listed[0];
+            const last = listed[listed.length - 1];
+
+            const passages = listed.map(ms => ({ date: new Date(ms), estimated: false }));
+            for (let ms = first - periodMs; ms > birthDate.getTime() - periodMs; ms -= periodMs) {
+                passages.unshift({ date: dayOf(ms), estimated: true });
+            }
+            for (let ms = last + periodMs; ms <= maxDate.getTime(); ms += periodMs) {
+                passages.push({ date: dayOf(ms), estimated: true });
+            }
+
+            let n = 0;
+            for (const { date, estimated } of passages) {
+                if (date <= birthDate || date > maxDate) { continue; }
+                n++;
+                const estimate = estimated ? ` (a date estimated from its ${comet.periodYears}-year orbit)` : '';
+                addEvent({
+                    id: `comet-${key}-${n}`,
+                    title: n === 1 ? `${comet.name} Returns` : `${comet.name} Return ${n}`,
+                    ...describe`${wikiLink(key, comet.name)} (${comet.designation}), ${comet.about}, reaches perihelion${estimate}: its ${n === 1 ? 'first' : Milestones.getOrdinal(n)} return to the inner Solar System since you were born!`,
+                    date,
+                    category: 'scientific',
+                    icon: comet.icon,
+                    count: n,
+                    unit: 'perihelia',
+                    series: key
                 });
             }
         }
@@ -147,10 +1070,12 @@ const Calculator = {
                 id: `seconds-${m.value}`,
                 title: m.label,
                 description: `You've been alive for exactly ${m.short}!`,
-                date: new Date(birthDate.getTime() + m.value * Milestones.MS_PER_SECOND),
+                date: offsetDate(birthDate, m.value, Milestones.MS_PER_SECOND),
                 category: 'decimal',
                 icon: '🔢',
-                milestone: m.short
+                milestone: m.short,
+                count: m.value,
+                unit: 'seconds'
             });
         }
 
@@ -160,24 +1085,28 @@ const Calculator = {
                 id: `minutes-${m.value}`,
                 title: m.label,
                 description: `You've experienced exactly ${m.short}!`,
-                date: new Date(birthDate.getTime() + m.value * Milestones.MS_PER_MINUTE),
+                date: offsetDate(birthDate, m.value, Milestones.MS_PER_MINUTE),
                 category: 'decimal',
                 icon: '⏱️',
-                milestone: m.short
+                milestone: m.short,
+                count: m.value,
+                unit: 'minutes'
             });
         }
 
         // Hours
         for (const m of Milestones.hourMilestones) {
-            const extra = m.value === 10000 ? ` You've mastered life according to the ${wikiLink('tenKHours', '10,000-hour rule')}!` : '';
+            const extra = m.value === 10000 ? describe` You've mastered life according to the ${wikiLink('tenKHours', '10,000-hour rule')}!` : '';
             addEvent({
                 id: `hours-${m.value}`,
                 title: m.label,
-                description: `You've lived for exactly ${m.short}!${extra}`,
-                date: new Date(birthDate.getTime() + m.value * Milestones.MS_PER_HOUR),
+                ...describe`You've lived for exactly ${m.short}!${extra}`,
+                date: offsetDate(birthDate, m.value, Milestones.MS_PER_HOUR),
                 category: 'decimal',
                 icon: '⏰',
-                milestone: m.short
+                milestone: m.short,
+                count: m.value,
+                unit: 'hours'
             });
         }
 
@@ -187,10 +1116,12 @@ const Calculator = {
                 id: `days-${m.value}`,
                 title: m.label,
                 description: `You've experienced ${m.short} on Earth!`,
-                date: new Date(birthDate.getTime() + m.value * Milestones.MS_PER_DAY),
+                date: offsetDate(birthDate, m.value, Milestones.MS_PER_DAY),
                 category: 'decimal',
                 icon: '📆',
-                milestone: m.short
+                milestone: m.short,
+                count: m.value,
+                unit: 'days'
             });
         }
 
@@ -200,10 +1131,12 @@ const Calculator = {
                 id: `weeks-${m.value}`,
                 title: m.label,
                 description: `You've lived for ${m.short}!`,
-                date: new Date(birthDate.getTime() + m.value * Milestones.MS_PER_WEEK),
+                date: offsetDate(birthDate, m.value, Milestones.MS_PER_WEEK),
                 category: 'decimal',
                 icon: '📅',
-                milestone: m.short
+                milestone: m.short,
+                count: m.value,
+                unit: 'weeks'
             });
         }
 
@@ -213,10 +1146,12 @@ const Calculator = {
                 id: `months-${m.value}`,
                 title: m.label,
                 description: `You've experienced ${m.short} of life!`,
-                date: new Date(birthDate.getTime() + m.value * Milestones.MS_PER_MONTH),
+                date: offsetDate(birthDate, m.value, Milestones.MS_PER_MONTH),
                 category: 'decimal',
                 icon: '🗓️',
-                milestone: m.short
+                milestone: m.short,
+                count: m.value,
+                unit: 'months'
             });
         }
     },
@@ -225,7 +1160,7 @@ const Calculator = {
         // Powers of 2 in seconds
         for (const power of Milestones.POWERS_OF_2) {
             const value = Math.pow(2, power);
-            const eventDate = new Date(birthDate.getTime() + value * Milestones.MS_PER_SECOND);
+            const eventDate = offsetDate(birthDate, value, Milestones.MS_PER_SECOND);
             if (eventDate > birthDate) {
                 addEvent({
                     id: `binary-seconds-${power}`,
@@ -234,7 +1169,10 @@ const Calculator = {
                     date: eventDate,
                     category: 'binary',
                     icon: '💻',
-                    milestone: `2^${power} seconds`
+                    milestone: `2^${power} seconds`,
+                    count: value,
+                    unit: 'seconds',
+                    series: 'powers-of-2'
                 });
             }
         }
@@ -246,10 +1184,13 @@ const Calculator = {
                 id: `binary-minutes-${power}`,
                 title: `2^${power} Minutes`,
                 description: `You've lived for exactly 2${Milestones.toSuperscript(power)} = ${value.toLocaleString()} minutes!`,
-                date: new Date(birthDate.getTime() + value * Milestones.MS_PER_MINUTE),
+                date: offsetDate(birthDate, value, Milestones.MS_PER_MINUTE),
                 category: 'binary',
                 icon: '🔟',
-                milestone: `2^${power} minutes`
+                milestone: `2^${power} minutes`,
+                count: value,
+                unit: 'minutes',
+                series: 'powers-of-2'
             });
         }
 
@@ -259,10 +1200,14 @@ const Calculator = {
                 id: `hex-${m.hex}`,
                 title: `${m.hex} Seconds`,
                 description: `You've lived for ${m.hex} (${m.value.toLocaleString()}) seconds!`,
-                date: new Date(birthDate.getTime() + m.value * Milestones.MS_PER_SECOND),
+                date: offsetDate(birthDate, m.value, Milestones.MS_PER_SECOND),
                 category: 'binary',
                 icon: '🔢',
-                milestone: `${m.hex} seconds`
+                milestone: `${m.hex} seconds`,
+                count: m.value,
+                unit: 'seconds',
+                series: 'hex',
+                constant: m.constant
             });
         }
 
@@ -271,16 +1216,19 @@ const Calculator = {
             for (const { powers, unit, ms } of units) {
                 for (const power of powers) {
                     const value = Math.pow(base, power);
-                    const eventDate = new Date(birthDate.getTime() + value * ms);
+                    const eventDate = offsetDate(birthDate, value, ms);
                     if (eventDate > birthDate) {
                         addEvent({
                             id: `base${base}-${power}-${unit}`,
                             title: `${base}^${power} ${unit.charAt(0).toUpperCase() + unit.slice(1)}`,
-                            description: `You've lived for ${base}${Milestones.toSuperscript(power)} = ${value.toLocaleString()} ${unit} (${wikiLink(name, name)})!`,
+                            ...describe`You've lived for ${base}${Milestones.toSuperscript(power)} = ${value.toLocaleString()} ${unit} (${wikiLink(name, name)})!`,
                             date: eventDate,
                             category: 'binary',
                             icon,
-                            milestone: `${base}^${power} ${unit}`
+                            milestone: `${base}^${power} ${unit}`,
+                            count: value,
+                            unit,
+                            series: name
                         });
                     }
                 }
@@ -304,192 +1252,132 @@ const Calculator = {
                 const superscriptMap = { 1e7: '⁷', 1e8: '⁸', 1e9: '⁹' };
                 const superMult = superscriptMap[mult];
                 const label = `${c.symbol} × 10${superMult} Seconds`;
+                // Irrational: celebrated at the start of the second it falls in
+                const seconds = Math.floor(c.value * mult);
 
                 addEvent({
                     id: `${c.name}-${mult}`,
                     title: label,
-                    description: `You've lived for ${wikiLink(c.name, c.text)} × ${mult.toExponential(0)} ≈ ${Math.floor(c.value * mult).toLocaleString()} seconds!`,
-                    date: new Date(birthDate.getTime() + c.value * mult * Milestones.MS_PER_SECOND),
+                    ...describe`You've lived for ${wikiLink(c.name, c.text)} × ${mult.toExponential(0)} seconds — we round down to second ${seconds.toLocaleString()}!`,
+                    date: offsetDate(birthDate, seconds, Milestones.MS_PER_SECOND),
                     category: 'mathematical',
                     icon: c.symbol,
-                    milestone: label
+                    milestone: label,
+                    count: seconds,
+                    unit: 'seconds',
+                    constant: c.name
                 });
             }
         }
     },
 
-    _addSequenceMilestones(birthDate, addEvent, config) {
-        const { sequence, indexMap, idPrefix, name, wikiKey, icon, indexLabel } = config;
-        const units = [
-            { filter: n => n >= 1e6 && n <= 3e9, ms: Milestones.MS_PER_SECOND, unit: 'seconds', label: 'Second' },
-            { filter: n => n >= 1e5 && n <= 5e7, ms: Milestones.MS_PER_MINUTE, unit: 'minutes', label: 'Minute' },
-            { filter: n => n >= 10000 && n <= 1000000, ms: Milestones.MS_PER_HOUR, unit: 'hours', label: 'Hour' },
-            { filter: n => n >= 100 && n <= 40000, ms: Milestones.MS_PER_DAY, unit: 'days', label: 'Day' }
-        ];
+    _addSequenceMilestones(birthDate, addEvent, sequence) {
+        const { idPrefix = sequence.id, category = 'mathematical', icon, name, noun, wikiKey, symbol, explain, series, constant } = sequence;
+        const term = sequence.term || (symbol && (n => `${symbol}(${n})`));
 
-        for (const { filter, ms, unit, label } of units) {
-            for (const num of sequence.filter(filter)) {
-                const idx = indexMap.get(num);
+        for (const unitDef of Milestones.SEQUENCE_UNITS) {
+            const { unit, label, ms } = unitDef;
+            for (const { value, n } of sequenceTerms(sequence, unitDef)) {
+                const detail = explain ? ` (${explain(value, n)})` : '';
                 addEvent({
-                    id: `${idPrefix}-${unit}-${num}`,
-                    title: `${num.toLocaleString()} ${name} ${unit}`,
-                    description: `${label} ${num.toLocaleString()} is a ${wikiLink(wikiKey, `${name} number`)}!`,
-                    date: new Date(birthDate.getTime() + num * ms),
-                    category: 'fibonacci',
+                    id: `${idPrefix}-${unit}-${value}`,
+                    title: `${value.toLocaleString()} ${name} ${label}s`,
+                    ...describe`${label} ${value.toLocaleString()} is a ${wikiLink(wikiKey, noun)}${detail}!`,
+                    date: offsetDate(birthDate, value, ms),
+                    category,
                     icon,
-                    milestone: `${indexLabel}(${idx}) = ${num.toLocaleString()} ${unit}`
+                    milestone: term
+                        ? `${term(n)} = ${value.toLocaleString()} ${unit}`
+                        : `${value.toLocaleString()} ${unit} (${noun})`,
+                    count: value,
+                    unit,
+                    ...(series && { series }),
+                    ...(constant && { constant })
                 });
             }
         }
     },
 
-    _addFibonacciMilestones(birthDate, addEvent) {
-        this._addSequenceMilestones(birthDate, addEvent, {
-            sequence: Milestones.FIBONACCI,
-            indexMap: Milestones.FIBONACCI_INDEX,
-            idPrefix: 'fib',
-            name: 'Fibonacci',
-            wikiKey: 'fibonacci',
-            icon: '🌀',
-            indexLabel: 'F'
-        });
-    },
-
-    _addLucasMilestones(birthDate, addEvent) {
-        this._addSequenceMilestones(birthDate, addEvent, {
-            sequence: Milestones.LUCAS,
-            indexMap: Milestones.LUCAS_INDEX,
-            idPrefix: 'lucas',
-            name: 'Lucas',
-            wikiKey: 'lucas',
-            icon: '🔷',
-            indexLabel: 'L'
-        });
-    },
-
-    _addPerfectNumberMilestones(birthDate, addEvent) {
-        // Perfect number days
-        for (const perfect of Milestones.PERFECT_NUMBERS) {
-            addEvent({
-                id: `perfect-days-${perfect}`,
-                title: `${perfect} Perfect Days`,
-                description: `Day ${perfect} is a ${wikiLink('perfect', 'perfect number')}! (${perfect} = sum of its divisors)`,
-                date: new Date(birthDate.getTime() + perfect * Milestones.MS_PER_DAY),
-                category: 'mathematical',
-                icon: '💎',
-                milestone: `${perfect} days (perfect number)`
-            });
+    _addCombinatoricsMilestones(birthDate, addEvent) {
+        for (const sequence of Milestones.COMBINATORIAL_SEQUENCES) {
+            this._addSequenceMilestones(birthDate, addEvent, sequence);
         }
 
-        // Perfect number hours for larger ones
-        for (const perfect of Milestones.PERFECT_HOUR_NUMBERS) {
-            addEvent({
-                id: `perfect-hours-${perfect}`,
-                title: `${perfect.toLocaleString()} Perfect Hours`,
-                description: `Hour ${perfect.toLocaleString()} is a ${wikiLink('perfect', 'perfect number')}!`,
-                date: new Date(birthDate.getTime() + perfect * Milestones.MS_PER_HOUR),
-                category: 'mathematical',
-                icon: '💎',
-                milestone: `${perfect.toLocaleString()} hours (perfect number)`
-            });
-        }
-    },
-
-    _addTriangularMilestones(birthDate, addEvent) {
-        // Interesting triangular numbers
-        const interestingSet = new Set(Milestones.INTERESTING_TRIANGULAR);
-        const interesting = Milestones.TRIANGULAR.filter((t, i) =>
-            (i + 1) % 10 === 0 || interestingSet.has(t)
-        );
-
-        for (const tri of interesting) {
-            if (tri >= 100 && tri <= 15000) {
-                const n = Math.round((-1 + Math.sqrt(1 + 8 * tri)) / 2);
+        for (const { n, k, count, icon, constant } of Milestones.BINOMIAL_HIGHLIGHTS) {
+            const value = binomial(n, k);
+            for (const { unit, label, ms, min } of Milestones.SEQUENCE_UNITS) {
+                if (value < min || value * ms > Milestones.MAX_YEARS * Milestones.MS_PER_YEAR) { continue; }
                 addEvent({
-                    id: `triangular-days-${tri}`,
-                    title: `${tri.toLocaleString()} Triangular Days`,
-                    description: `Day ${tri.toLocaleString()} is ${wikiLink('triangular', 'triangular')}! (1+2+3+...+${n} = ${tri})`,
-                    date: new Date(birthDate.getTime() + tri * Milestones.MS_PER_DAY),
+                    id: `binomial-${n}-${k}-${unit}`,
+                    title: `${n} Choose ${k} ${label}s`,
+                    ...describe`${label} ${value.toLocaleString()} is ${wikiLink('binomial', `${n} choose ${k}`)}: the number of ${count}!`,
+                    date: offsetDate(birthDate, value, ms),
                     category: 'mathematical',
-                    icon: '🔺',
-                    milestone: `T(${n}) = ${tri.toLocaleString()} days`
+                    icon,
+                    milestone: `C(${n},${k}) = ${value.toLocaleString()} ${unit}`,
+                    count: value,
+                    unit,
+                    series: 'binomial',
+                    constant
                 });
             }
         }
-
-        // Triangular hours
-        const triangularHours = Milestones.TRIANGULAR.filter(t =>
-            t >= 10000 && t <= 100000 && Milestones.TRIANGULAR_INDEX.get(t) % 5 === 0
-        );
-        for (const tri of triangularHours) {
-            const n = Math.round((-1 + Math.sqrt(1 + 8 * tri)) / 2);
-            addEvent({
-                id: `triangular-hours-${tri}`,
-                title: `${tri.toLocaleString()} Triangular Hours`,
-                description: `Hour ${tri.toLocaleString()} is ${wikiLink('triangular', 'triangular')}! (1+2+...+${n})`,
-                date: new Date(birthDate.getTime() + tri * Milestones.MS_PER_HOUR),
-                category: 'mathematical',
-                icon: '🔺',
-                milestone: `T(${n}) = ${tri.toLocaleString()} hours`
-            });
-        }
     },
 
-    _addPalindromeMilestones(birthDate, addEvent) {
-        // Palindrome days
-        const interestingSet = new Set(Milestones.INTERESTING_PALINDROME_DAYS);
-        const interestingPals = Milestones.PALINDROMES.filter(p =>
-            p >= 1000 && p <= 15000 && (
-                p % 1111 === 0 ||
-                String(p).split('').every((c, i, a) => c === a[0]) ||
-                interestingSet.has(p)
-            )
-        );
-
-        for (const pal of interestingPals) {
-            addEvent({
-                id: `palindrome-days-${pal}`,
-                title: `${pal.toLocaleString()} Palindrome Days`,
-                description: `Day ${pal} is a ${wikiLink('palindrome', 'palindrome')} - reads the same forwards and backwards!`,
-                date: new Date(birthDate.getTime() + pal * Milestones.MS_PER_DAY),
-                category: 'mathematical',
-                icon: '🪞',
-                milestone: `${pal} days (palindrome)`
-            });
+    _addPrimeMilestones(birthDate, addEvent) {
+        for (const unitDef of Milestones.SEQUENCE_UNITS.filter(u => Milestones.PRIME_UNITS.includes(u.unit))) {
+            const { unit, label, ms } = unitDef;
+            for (const { value, series, reasons } of notablePrimes(unitDef)) {
+                addEvent({
+                    id: `prime-${unit}-${value}`,
+                    title: `${value.toLocaleString()} Prime ${label}s`,
+                    ...describe`${label} ${value.toLocaleString()} is ${wikiLink('prime', 'prime')}: ${reasons.reduce((all, reason) => describe`${all}, and ${reason}`)}!`,
+                    date: offsetDate(birthDate, value, ms),
+                    category: 'mathematical',
+                    icon: '🔐',
+                    milestone: `${value.toLocaleString()} ${unit} (prime)`,
+                    count: value,
+                    unit,
+                    series
+                });
+            }
         }
 
-        // Palindrome hours
-        for (const pal of Milestones.PALINDROME_HOURS) {
+        for (const { value, why, constant } of Milestones.FAMOUS_PRIME_SECONDS) {
             addEvent({
-                id: `palindrome-hours-${pal}`,
-                title: `${pal.toLocaleString()} Palindrome Hours`,
-                description: `Hour ${pal.toLocaleString()} is a ${wikiLink('palindrome', 'palindrome')}!`,
-                date: new Date(birthDate.getTime() + pal * Milestones.MS_PER_HOUR),
+                id: `prime-seconds-${value}`,
+                title: `${value.toLocaleString()} Prime Seconds`,
+                ...describe`Second ${value.toLocaleString()} is ${wikiLink('prime', 'prime')}: ${constant ? wikiLink(constant, why) : why}!`,
+                date: offsetDate(birthDate, value, Milestones.MS_PER_SECOND),
                 category: 'mathematical',
-                icon: '🪞',
-                milestone: `${pal.toLocaleString()} hours (palindrome)`
+                icon: '🔐',
+                milestone: `${value.toLocaleString()} seconds (prime)`,
+                count: value,
+                unit: 'seconds',
+                series: 'famous',
+                ...(constant && { constant })
             });
         }
     },
 
-    _addRepunitMilestones(birthDate, addEvent) {
-        const units = [
-            { filter: r => r >= 111 && r <= 11111, ms: Milestones.MS_PER_DAY, unit: 'days' },
-            { filter: r => r >= 1111 && r <= 111111, ms: Milestones.MS_PER_HOUR, unit: 'hours' },
-            { filter: r => r >= 111111 && r <= 11111111, ms: Milestones.MS_PER_MINUTE, unit: 'minutes' },
-            { filter: r => r >= 11111111 && r <= 1111111111, ms: Milestones.MS_PER_SECOND, unit: 'seconds' }
-        ];
-
-        for (const { filter, ms, unit } of units) {
-            for (const rep of Milestones.REPUNITS.filter(filter)) {
+    _addDiscoveredMilestones(birthDate, addEvent) {
+        for (const unitDef of Milestones.DISCOVERY_UNITS) {
+            const { unit, label, ms } = unitDef;
+            for (const { value, properties } of discoveredNumbers(unitDef)) {
+                const reasons = properties.map(({ noun, wikiKey, detail }) =>
+                    describe`a ${wikiLink(wikiKey, noun)} (${detail(value)})`
+                );
                 addEvent({
-                    id: `repunit-${unit}-${rep}`,
-                    title: `${rep.toLocaleString()} Repunit ${unit.charAt(0).toUpperCase() + unit.slice(1)}`,
-                    description: `${unit.charAt(0).toUpperCase() + unit.slice(1, -1)} ${rep.toLocaleString()} is a ${wikiLink('repunit', 'repunit')} (all 1s)!`,
-                    date: new Date(birthDate.getTime() + rep * ms),
-                    category: 'binary',
-                    icon: '1️⃣',
-                    milestone: `${rep.toLocaleString()} ${unit} (repunit)`
+                    id: `discovered-${unit}-${value}`,
+                    title: `${value.toLocaleString()} ${label}s`,
+                    ...describe`${label} ${value.toLocaleString()} is ${reasons.reduce((all, reason) => describe`${all} and ${reason}`)}!`,
+                    date: offsetDate(birthDate, value, ms),
+                    category: 'discovered',
+                    icon: '🔍',
+                    milestone: `${value.toLocaleString()} ${unit} (${properties.map(p => p.noun).join(', ')})`,
+                    count: value,
+                    unit,
+                    series: properties[0].id
                 });
             }
         }
@@ -503,13 +1391,17 @@ const Calculator = {
             addEvent({
                 id: `speed-of-light-${mult}x`,
                 title: `${label} Seconds`,
-                description: mult === 1
-                    ? `You've lived for ${seconds.toLocaleString()} seconds - the ${wikiLink('speedOfLight', 'speed of light')} in m/s!`
-                    : `You've lived for ${mult} × the speed of light = ${seconds.toLocaleString()} seconds!`,
-                date: new Date(birthDate.getTime() + seconds * Milestones.MS_PER_SECOND),
+                ...(mult === 1
+                    ? describe`You've lived for ${seconds.toLocaleString()} seconds - the ${wikiLink('speedOfLight', 'speed of light')} in m/s!`
+                    : describe`You've lived for ${mult} × the speed of light = ${seconds.toLocaleString()} seconds!`),
+                date: offsetDate(birthDate, seconds, Milestones.MS_PER_SECOND),
                 category: 'scientific',
                 icon: '💡',
-                milestone: `${label} seconds`
+                milestone: `${label} seconds`,
+                count: seconds,
+                unit: 'seconds',
+                series: 'c',
+                constant: mult === 1 ? 'speedOfLight' : undefined
             });
         }
 
@@ -521,28 +1413,92 @@ const Calculator = {
             { mult: 1e8, label: '100 Million' }
         ];
         for (const { mult, label } of multipliers) {
+            const seconds = Math.floor(ePi * mult);
             addEvent({
                 id: `e-pi-${mult}`,
                 title: `e^π × ${label} Seconds`,
-                description: `You've lived for e^π × ${mult.toLocaleString()} ≈ ${Math.floor(ePi * mult).toLocaleString()} seconds!`,
-                date: new Date(birthDate.getTime() + ePi * mult * Milestones.MS_PER_SECOND),
+                description: `You've lived for e^π × ${mult.toLocaleString()} seconds — we round down to second ${seconds.toLocaleString()}!`,
+                date: offsetDate(birthDate, seconds, Milestones.MS_PER_SECOND),
                 category: 'mathematical',
                 icon: '🧮',
-                milestone: `e^π × ${mult.toLocaleString()} seconds`
+                milestone: `e^π × ${mult.toLocaleString()} seconds`,
+                count: seconds,
+                unit: 'seconds',
+                series: 'e-pi'
             });
         }
     },
 
+    _addPhysicalConstantMilestones(birthDate, addEvent) {
+        for (const { constant, symbol, name, value, display, about, ages } of Milestones.PHYSICAL_CONSTANT_MILESTONES) {
+            for (const { unit, exponent, title } of ages) {
+                const { label, ms } = Milestones.CUSTOM_MILESTONE_UNITS[unit];
+                const scaled = exponent === 0 ? symbol : `${symbol} × ${superscriptPower(10, exponent)}`;
+                // 10 ** 42 is 9.999999999999999e+41; parse the power instead
+                const power = Number(`1e${exponent}`);
+                // Trim float noise from the product (6.02214076e23 × 1e-15)
+                const count = Number((value * power).toPrecision(12));
+                const relation = Number.isInteger(count) ? '=' : '≈';
+                addEvent({
+                    id: `physical-${constant}-${unit}-${Math.floor(count)}`,
+                    title: title || `${scaled} ${label}`,
+                    ...describe`The ${wikiLink(constant, name)} ${symbol} = ${display} ${about}. ${scaled} ${relation} ${count.toLocaleString()} — you've now lived that many ${unit}!`,
+                    date: offsetDate(birthDate, value, power, ms),
+                    category: 'scientific',
+                    icon: '⚛️',
+                    milestone: `${scaled} ${unit}`,
+                    count,
+                    unit,
+                    series: constant,
+                    constant
+                });
+            }
+        }
+    },
+
+    _addExoticUnitMilestones(birthDate, addEvent) {
+        for (const unit of Milestones.EXOTIC_TIME_UNITS) {
+            const { id, name, label, wikiKey, icon, category, about, powers10 = [], powers2 = [], values = [] } = unit;
+            const counts = [
+                ...powers10.map(p => ({ key: `10e${p}`, value: Number(`1e${p}`), title: `10^${p}`, text: superscriptPower(10, p) })),
+                ...powers2.map(p => ({ key: `2e${p}`, value: 2 ** p, title: `2^${p}`, text: superscriptPower(2, p) })),
+                ...values.map(v => ({ key: String(v), value: v, title: v.toLocaleString(), text: v.toLocaleString() }))
+            ];
+            for (const { key, value, title, text } of counts) {
+                // Spell out powers while the digits still fit on a line
+                const shown = text === value.toLocaleString() || value >= 1e15 ? text : `${text} = ${value.toLocaleString()}`;
+                addEvent({
+                    id: `${id}-${key}`,
+                    title: `${title} ${label}`,
+                    ...describe`You've lived for ${shown} ${wikiLink(wikiKey, name)} (${about})!`,
+                    date: unit.hz
+                        ? new Date(birthDate.getTime() + exactMs([value, Milestones.MS_PER_SECOND], unit.hz))
+                        : offsetDate(birthDate, value, unit.ms),
+                    category,
+                    icon,
+                    milestone: `${title} ${name}`,
+                    count: value,
+                    unit: id,
+                    series: id
+                });
+            }
+        }
+    },
+
     _addPopCultureMilestones(birthDate, addEvent) {
         for (const m of Milestones.popCultureMilestones) {
             addEvent({
                 id: `pop-${m.label.replace(/[\s,]/g, '-')}`,
                 title: m.label,
                 description: m.desc,
-                date: new Date(birthDate.getTime() + m.value * m.unit),
+                date: offsetDate(birthDate, m.value, m.unit),
                 category: 'pop-culture',
                 icon: m.icon,
-                milestone: m.label
+                milestone: m.label,
+                count: m.value,
+                unit: m.unitName,
+                series: 'pop-culture',
+                constant: m.constant
             });
         }
     },
@@ -554,7 +1510,7 @@ const Calculator = {
 
         for (const [key, dest] of Object.entries(Milestones.COSMIC_DISTANCES)) {
             const secondsNeeded = dest.meters / Milestones.SPEED_OF_LIGHT;
-            const eventDate = new Date(birthDate.getTime() + secondsNeeded * Milestones.MS_PER_SECOND);
+            const eventDate = new Date(birthDate.getTime() + exactMs([dest.meters, Milestones.MS_PER_SECOND], Milestones.SPEED_OF_LIGHT));
 
             // Format the distance nicely
             let distanceStr;
@@ -574,11 +1530,15 @@ const Calculator = {
             addEvent({
                 id: `lightspeed-${key}`,
                 title: `Light Speed to ${dest.name}`,
-                description: `If you traveled at the ${wikiLink('speedOfLight', 'speed of light')} since birth, you'd have reached ${destLink} (${distanceStr} away)!`,
+                ...describe`If you traveled at the ${wikiLink('speedOfLight', 'speed of light')} since birth, you'd have reached ${destLink} (${distanceStr} away)!`,
                 date: eventDate,
                 category: 'scientific',
                 icon: dest.icon,
-                milestone: `c × age = ${dest.name}`
+                milestone: `c × age = ${dest.name}`,
+                count: Math.round(secondsNeeded),
+                unit: 'seconds',
+                series: 'light-travel',
+                constant: dest.constant
             });
         }
 
@@ -588,76 +1548,193 @@ const Calculator = {
             addEvent({
                 id: `lightspeed-${unit.seconds}s`,
                 title: unit.name,
-                description: `At age ${unit.seconds.toLocaleString()} seconds, you've lived long enough for light to travel ${unitLink} - ${unit.desc}!`,
-                date: new Date(birthDate.getTime() + unit.seconds * Milestones.MS_PER_SECOND),
+                ...describe`At age ${unit.seconds.toLocaleString()} seconds, you've lived long enough for light to travel ${unitLink} - ${unit.desc}!`,
+                date: offsetDate(birthDate, unit.seconds, Milestones.MS_PER_SECOND),
                 category: 'scientific',
                 icon: '💡',
-                milestone: unit.name
+                milestone: unit.name,
+                count: unit.seconds,
+                unit: 'seconds',
+                series: 'light-time'
             });
         }
     },
 
-    _addLunationMilestones(birthDate, addEvent) {
-        const periodMs = Milestones.SYNODIC_MONTH_DAYS * Milestones.MS_PER_DAY;
+    // The Moon back in its birth phase: the Nth time its elongation from the
+    // Sun matches the one at birth, starting from N mean synodic months
+    _addLunationMilestones(birthDate, maxDate, addEvent, minDate = null) {
+        const phase = Ephemeris.moonPhase(birthDate);
+        const lit = `${Math.round(phase.illumination * 100)}% lit`;
         for (const n of Milestones.lunationMilestones) {
-            const eventDate = new Date(birthDate.getTime() + n * periodMs);
+            const guess = offsetDate(birthDate, n, Milestones.SYNODIC_MONTH_DAYS, Milestones.MS_PER_DAY);
+            if (outsideWindow(guess, minDate, maxDate, MOON_SEARCH_SLACK_MS)) { continue; }
             addEvent({
                 id: `lunation-${n}`,
-                title: `${n.toLocaleString()} New Moons`,
-                description: `${n.toLocaleString()} ${wikiLink('lunation', 'lunar months')} have passed since your birth!`,
-                date: eventDate,
+                title: `${n.toLocaleString()} Lunations`,
+                ...describe`The Moon is back in the ${wikiLink('lunarPhase', 'phase')} it had when you were born (${phase.name.toLowerCase()}, ${lit}): ${n.toLocaleString()} ${wikiLink('lunation', 'lunar months')} since your birth!`,
+                date: Ephemeris.findMoonPhase(phase.elongation, guess),
                 category: 'scientific',
-                icon: '🌑',
-                milestone: `${n.toLocaleString()} lunations`
+                icon: phase.icon,
+                milestone: `${n.toLocaleString()} lunations`,
+                count: n,
+                unit: 'lunations',
+                series: 'lunation'
             });
         }
     },
 
-    _addFractionalAgeMilestones(birthDate, maxDate, addEvent) {
-        const fractions = [
-            { frac: 0.25, label: '¼', decimal: '.25' },
-            { frac: 0.5, label: '½', decimal: '.5' },
-            { frac: 0.75, label: '¾', decimal: '.75' }
-        ];
-        for (let age = 1; age <= Milestones.MAX_YEARS; age++) {
-            for (const { frac, label, decimal } of fractions) {
-                const exactAge = age - 1 + frac;
-                const eventDate = new Date(birthDate.getTime() + exactAge * Milestones.MS_PER_YEAR);
+    // The Moon back at its birth position among the stars (sidereal months)
+    _addLunarReturns(birthDate, maxDate, addEvent, minDate = null) {
+        const longitude = Ephemeris.moonSiderealLongitude(birthDate);
+        for (const n of Milestones.lunarReturnMilestones) {
+            const guess = offsetDate(birthDate, n, Milestones.SIDEREAL_MONTH_DAYS, Milestones.MS_PER_DAY);
+            if (outsideWindow(guess, minDate, maxDate, MOON_SEARCH_SLACK_MS)) { continue; }
+            addEvent({
+                id: `lunar-return-${n}`,
+                title: n === 1 ? 'First Lunar Return' : `Lunar Return ${n.toLocaleString()}`,
+                ...describe`The Moon is back at ${longitude.toFixed(2)}° of ecliptic longitude, the spot among the stars where it was when you were born: ${n.toLocaleString()} ${wikiLink('siderealMonth', n === 1 ? 'sidereal month' : 'sidereal months')} on!`,
+                date: Ephemeris.findMoonSiderealLongitude(longitude, guess),
+                category: 'scientific',
+                icon: '🌙',
+                milestone: `${n.toLocaleString()} sidereal months`,
+                count: n,
+                unit: 'sidereal months',
+                series: 'lunar-return'
+            });
+        }
+    },
+
+    // Eclipses anywhere on Earth since birth: every total one, plus the first
+    // of each kind and round counts of solar and lunar eclipses
+    _addEclipses(birthDate, maxDate, addEvent, minDate = null) {
+        const counts = { solar: 0, lunar: 0 };
+        const typeCounts = { solar: {}, lunar: {} };
+        for (const eclipse of eclipsesBetween(birthDate, maxDate)) {
+            const { body, type } = eclipse;
+            const kind = Milestones.ECLIPSE_TYPES[body][type];
+            const n = ++counts[body];
+            typeCounts[body][type] = (typeCounts[body][type] || 0) + 1;
+            const m = typeCounts[body][type];
+            if (minDate && eclipse.date < minDate) { continue; }
+            const isCount = Milestones.eclipseMilestones.includes(n);
+            if (!isCount && m > 1 && !kind.listed) { continue; }
+
+            const bodyName = body === 'solar' ? 'Solar' : 'Lunar';
+            let title = `${kind.name} ${bodyName} Eclipse`;
+            if (isCount) {
+                title = `${n === 1 ? 'First' : Milestones.getOrdinal(n)} ${bodyName} Eclipse`;
+            } else if (m === 1) {
+                title = `First ${title}`;
+            }
+            const magnitude = eclipse.magnitude === null ? '' : ` (magnitude ${eclipse.magnitude.toFixed(2)})`;
+            const nth = n === 1 ? 'first' : Milestones.getOrdinal(n);
+            const mth = m === 1 ? 'first' : Milestones.getOrdinal(m);
+            const article = type === 'annular' ? 'An' : 'A';
+            addEvent({
+                id: `eclipse-${body}-${n}`,
+                title,
+                ...describe`${article} ${kind.name.toLowerCase()} ${wikiLink(`${body}Eclipse`, `${body} eclipse`)} somewhere on Earth: ${kind.about}${magnitude}. It's your ${nth} ${body} eclipse since you were born, and your ${mth} ${kind.name.toLowerCase()} one!`,
+                date: eclipse.date,
+                category: 'scientific',
+                icon: kind.icon,
+                milestone: `${nth} ${body} eclipse`,
+                count: n,
+                unit: 'eclipses',
+                series: `${body}-eclipse`
+            });
+        }
+    },
+
+    // Mean mode places ¼/½/¾ birthdays at exact fractions of a year from birth;
+    // calendar mode (Gregorian years only) 3, 6 and 9 calendar months after
+    // each birthday, which getEarthBirthdayAt can also find for push.
+    _addFractionalAgeMilestones(birthDate, maxDate, addEvent, options = {}, minDate = null) {
+        const { yearDefinition = Milestones.DEFAULT_YEAR_DEFINITION } = options;
+        const { fractionalAges } = getBirthdayPolicy(options);
+        const year = getYearDefinition(yearDefinition);
+        const isGregorian = yearDefinition === Milestones.DEFAULT_YEAR_DEFINITION;
+        const yearName = isGregorian ? '' : ` ${year.name.toLowerCase()}`;
+        const calendar = isGregorian && fractionalAges === 'calendar';
+
+        const first = firstCountFrom(birthDate, minDate, year.days * Milestones.MS_PER_DAY);
+        for (let age = first; age <= Milestones.MAX_YEARS; age++) {
+            for (const fraction of FRACTIONS) {
+                const eventDate = calendar
+                    ? calendarDate(birthDate, (age - 1) * 12 + fraction.months)
+                    : offsetDate(birthDate, age - 1 + fraction.frac, year.days, Milestones.MS_PER_DAY);
                 if (eventDate > maxDate) { return; }
-                addEvent({
-                    id: `frac-birthday-${age}-${frac}`,
-                    title: `${age - 1}${label} Years Old`,
-                    description: `You're exactly ${age - 1}${label} years old!`,
-                    date: eventDate,
-                    category: 'planetary',
-                    icon: '🎂',
-                    milestone: `${age - 1}${decimal} Earth years`
-                });
+                addEvent(this._buildFractionalAgeEvent(age, fraction, eventDate, yearName));
             }
         }
     },
 
-    _buildEarthBirthdayEvent(year, birthdayDate) {
+    _buildFractionalAgeEvent(age, { frac, label, decimal }, eventDate, yearName = '') {
+        return {
+            id: `frac-birthday-${age}-${frac}`,
+            title: `${age - 1}${label} Years Old`,
+            description: `You're exactly ${age - 1}${label}${yearName} years old!`,
+            date: eventDate,
+            category: 'planetary',
+            icon: '🎂',
+            milestone: `${age - 1}${decimal} Earth years`,
+            count: age - 1 + frac,
+            unit: 'years',
+            series: 'fractional'
+        };
+    },
+
+    _addCustomMilestones(birthDate, addEvent, customMilestones = []) {
+        for (const { value, unit } of customMilestones) {
+            const unitInfo = Milestones.CUSTOM_MILESTONE_UNITS[unit];
+            if (!unitInfo) { continue; }
+            addEvent({
+                id: `custom-${unit}-${value}`,
+                title: `${value.toLocaleString()} ${unitInfo.label}`,
+                description: `Your own milestone: you've lived for exactly ${value.toLocaleString()} ${unit}!`,
+                date: offsetDate(birthDate, value, unitInfo.ms),
+                category: 'custom',
+                icon: '⭐',
+                milestone: `${value.toLocaleString()} ${unit}`,
+                count: value,
+                unit
+            });
+        }
+    },
+
+    _buildEarthBirthdayEvent(year, birthdayDate, yearDefinition = Milestones.DEFAULT_YEAR_DEFINITION) {
         const ordinal = Milestones.getOrdinal(year);
+        const yearName = yearDefinition === Milestones.DEFAULT_YEAR_DEFINITION
+            ? ''
+            : getYearDefinition(yearDefinition).name;
         const labels = [];
 
-        if (year === 42) { labels.push(`${wikiLink('answer42', 'The Answer')}! 🌌`); }
+        if (year === 42) { labels.push(describe`${wikiLink('answer42', 'The Answer')}! 🌌`); }
         if (Milestones.primeAges.has(year)) { labels.push('Prime'); }
         if (Milestones.squareAges[year]) { labels.push(`Perfect Square (${Milestones.squareAges[year]})`); }
         if (Milestones.powerOf2Ages[year]) { labels.push(`Power of 2 (${Milestones.powerOf2Ages[year]})`); }
         if (Milestones.cubeAges[year]) { labels.push(`Perfect Cube (${Milestones.cubeAges[year]})`); }
         if (Milestones.hexRoundAges[year]) { labels.push(`Hex Round (${Milestones.hexRoundAges[year]})`); }
 
-        const specialLabel = labels.length > 0 ? ` — ${labels.join(', ')}` : '';
+        const specialLabel = labels.reduce((acc, label, i) => describe`${acc}${i > 0 ? ', ' : ' — '}${label}`, '');
+        let constant;
+        if (year === 42) {
+            constant = 'answer42';
+        } else if (labels.length > 0) {
+            constant = 'specialAge';
+        }
 
         return {
             id: `earth-birthday-${year}`,
             title: `${ordinal} Birthday`,
-            description: `Happy ${ordinal} birthday on Earth!${specialLabel}`,
+            ...describe`Happy ${ordinal} ${yearName ? `${yearName.toLowerCase()} ` : ''}birthday on Earth!${specialLabel}`,
             date: birthdayDate,
             category: 'planetary',
             icon: '🎂',
-            milestone: `${year} Earth years`
+            milestone: `${year} ${yearName || 'Earth'} years`,
+            count: year,
+            unit: 'years',
+            constant,
+            traits: labels.length
         };
     },
 
@@ -667,11 +1744,12 @@ const Calculator = {
         return {
             id: `${holiday.name.toLowerCase().replace(/\s/g, '-')}-${year}`,
             title: `${holiday.name} ${year}`,
-            description: `${linkText}! (${holiday.desc})`,
+            ...describe`${linkText}! (${holiday.desc})`,
             date: holidayDate,
             category: 'pop-culture',
             icon: holiday.icon,
             milestone: holiday.name,
+            series: holiday.name,
             isSharedHoliday: true
         };
     },
@@ -681,9 +1759,10 @@ const Calculator = {
      * Used by the worker to build events from the same source of truth as the website.
      * @param {Date} birthDate - The person's birth date/time
      * @param {Date} eventTime - The time to check for events
+     * @param {Object} [options] - leapDayPolicy / fractionalAges, as for calculate()
      * @returns {Array} Matching calendar events (earth birthdays + nerdy holidays)
      */
-    getCalendarEventsAt(birthDate, eventTime) {
+    getCalendarEventsAt(birthDate, eventTime, options = {}) {
         const events = [];
 
         // Calendar events always fire at the birth hour:minute
@@ -692,14 +1771,7 @@ const Calculator = {
             return events;
         }
 
-        // Earth birthday: same month+day as birth, future year
-        if (eventTime.getUTCMonth() === birthDate.getUTCMonth() &&
-            eventTime.getUTCDate() === birthDate.getUTCDate()) {
-            const year = eventTime.getUTCFullYear() - birthDate.getUTCFullYear();
-            if (year > 0 && year <= Milestones.MAX_YEARS) {
-                events.push(this._buildEarthBirthdayEvent(year, eventTime));
-            }
-        }
+        events.push(...this.getEarthBirthdayAt(birthDate, eventTime, options));
 
         // Nerdy holidays (when called without separate holiday handling)
         for (const holiday of Milestones.nerdyHolidays) {
@@ -729,54 +1801,89 @@ const Calculator = {
     },
 
     /**
-     * Get earth birthday events at a specific time (birth time match + month/day match).
-     * Used by the worker to fire birthday notifications at birth time.
+     * Get earth birthday events in the minute of `eventTime` (birth time match + calendar day match).
+     * Events are dated to the birthday itself, seconds included.
+     * Used by the worker to fire birthday notifications at birth time. Applies
+     * the same leap-day policy as calculate(), and in calendar fractional-age
+     * mode also finds ¼/½/¾ birthdays.
+     * @param {Date} birthDate - The person's birth date/time
+     * @param {Date} eventTime - The time to check for events
+     * @param {Object} [options] - leapDayPolicy / fractionalAges, as for calculate()
+     * @returns {Array} Matching birthday events
      */
-    getEarthBirthdayAt(birthDate, eventTime) {
+    getEarthBirthdayAt(birthDate, eventTime, options = {}) {
+        const { leapDayPolicy, fractionalAges, leapDayBirth } = getBirthdayPolicy(options);
         const events = [];
         if (eventTime.getUTCHours() !== birthDate.getUTCHours() ||
             eventTime.getUTCMinutes() !== birthDate.getUTCMinutes()) {
             return events;
         }
-        if (eventTime.getUTCMonth() === birthDate.getUTCMonth() &&
-            eventTime.getUTCDate() === birthDate.getUTCDate()) {
-            const year = eventTime.getUTCFullYear() - birthDate.getUTCFullYear();
-            if (year > 0 && year <= Milestones.MAX_YEARS) {
-                events.push(this._buildEarthBirthdayEvent(year, eventTime));
+
+        const year = eventTime.getUTCFullYear() - birthDate.getUTCFullYear();
+        if (year > 0 && year <= Milestones.MAX_YEARS) {
+            const birthdayDate = calendarDate(birthDate, year * 12, leapDayPolicy, leapDayBirth);
+            if (birthdayDate && sameMinute(birthdayDate, eventTime)) {
+                events.push(this._buildEarthBirthdayEvent(year, birthdayDate));
+            }
+        }
+
+        if (fractionalAges === 'calendar') {
+            // Fractional dates clamp rather than roll over, so the month is exact
+            const months = year * 12 + eventTime.getUTCMonth() - birthDate.getUTCMonth();
+            const fraction = FRACTIONS.find(f => f.months === ((months % 12) + 12) % 12);
+            const age = Math.floor(months / 12) + 1;
+            const fractionDate = calendarDate(birthDate, months);
+            if (fraction && months > 0 && age <= Milestones.MAX_YEARS && sameMinute(fractionDate, eventTime)) {
+                events.push(this._buildFractionalAgeEvent(age, fraction, fractionDate));
             }
         }
         return events;
     },
 
-    _addNerdyHolidays(birthDate, maxDate, addEvent) {
+    _addNerdyHolidays(birthDate, maxDate, addEvent, minDate = null) {
+        // Start at year 0 so holidays later in the birth year are included
+        // (the holidayDate > birthDate check below excludes ones already past)
+        const first = minDate ? Math.max(0, minDate.getUTCFullYear() - birthDate.getUTCFullYear() - 1) : 0;
         for (const holiday of Milestones.nerdyHolidays) {
-            // Start at year 0 so holidays later in the birth year are included
-            // (the holidayDate > birthDate check below excludes ones already past)
-            for (let year = 0; year <= Milestones.MAX_YEARS; year++) {
+            for (let year = first; year <= Milestones.MAX_YEARS; year++) {
                 const holidayDate = new Date(Date.UTC(
                     birthDate.getUTCFullYear() + year,
                     holiday.month,
                     holiday.day,
                     birthDate.getUTCHours(),
-                    birthDate.getUTCMinutes()
+                    birthDate.getUTCMinutes(),
+                    birthDate.getUTCSeconds()
                 ));
 
-                if (holidayDate > birthDate && holidayDate <= maxDate) {
+                if (holidayDate > maxDate) { break; }
+                if (holidayDate > birthDate) {
                     addEvent(this._buildNerdyHolidayEvent(holiday, holidayDate));
                 }
             }
         }
     },
 
-    _addEarthBirthdays(birthDate, maxDate, addEvent) {
-        for (let year = 1; year <= Milestones.MAX_YEARS; year++) {
-            const birthdayDate = new Date(Date.UTC(
-                birthDate.getUTCFullYear() + year,
-                birthDate.getUTCMonth(),
-                birthDate.getUTCDate(),
-                birthDate.getUTCHours(),
-                birthDate.getUTCMinutes()
-            ));
+    // Gregorian birthdays follow the calendar (same month/day, with Feb 29
+    // births placed by the leap-day policy); other year definitions count whole
+    // years of their length from birth. The push cron (getEarthBirthdayAt) only
+    // knows calendar birthdays.
+    _addEarthBirthdays(birthDate, maxDate, addEvent, options = {}, minDate = null) {
+        const { yearDefinition = Milestones.DEFAULT_YEAR_DEFINITION } = options;
+        const { leapDayPolicy, leapDayBirth } = getBirthdayPolicy(options);
+        const { days } = getYearDefinition(yearDefinition);
+        const first = firstCountFrom(birthDate, minDate, days * Milestones.MS_PER_DAY);
+        if (yearDefinition !== Milestones.DEFAULT_YEAR_DEFINITION) {
+            for (let year = first; year <= Milestones.MAX_YEARS; year++) {
+                const birthdayDate = offsetDate(birthDate, year, days, Milestones.MS_PER_DAY);
+                if (birthdayDate > maxDate) { return; }
+                addEvent(this._buildEarthBirthdayEvent(year, birthdayDate, yearDefinition));
+            }
+            return;
+        }
+
+        for (let year = first; year <= Milestones.MAX_YEARS; year++) {
+            const birthdayDate = calendarDate(birthDate, year * 12, leapDayPolicy, leapDayBirth);
+            if (!birthdayDate) { continue; }
 
             if (birthdayDate > birthDate && birthdayDate <= maxDate) {
                 addEvent(this._buildEarthBirthdayEvent(year, birthdayDate));
@@ -785,5 +1892,39 @@ const Calculator = {
     }
 };
 
+// Built-in generators, registered through the same public API as custom ones
+const BUILTIN_GENERATORS = [
+    { id: 'planetary-years', category: 'planetary', emit: (b, max, add, opts, min) => Calculator._addPlanetaryYears(b, max, add, opts, min) },
+    { id: 'planetary-sols', category: 'planetary', emit: (b, max, add) => Calculator._addPlanetarySols(b, max, add) },
+    { id: 'dwarf-planets', category: 'planetary', emit: (b, max, add, _opts, min) => Calculator._addDwarfPlanetYears(b, max, add, min) },
+    { id: 'moons', category: 'planetary', emit: (b, max, add) => Calculator._addMoonOrbits(b, max, add) },
+    { id: 'decimal', category: 'decimal', emit: (b, _max, add) => Calculator._addDecimalMilestones(b, add) },
+    { id: 'binary', category: 'binary', emit: (b, _max, add) => Calculator._addBinaryMilestones(b, add) },
+    { id: 'math-constants', category: 'mathematical', emit: (b, _max, add) => Calculator._addMathMilestones(b, add) },
+    { id: 'scientific', category: 'scientific', emit: (b, _max, add) => Calculator._addScientificMilestones(b, add) },
+    { id: 'physical-constants', category: 'scientific', emit: (b, _max, add) => Calculator._addPhysicalConstantMilestones(b, add) },
+    { id: 'exotic-units', category: 'scientific', emit: (b, _max, add) => Calculator._addExoticUnitMilestones(b, add) },
+    { id: 'pop-culture', category: 'pop-culture', emit: (b, _max, add) => Calculator._addPopCultureMilestones(b, add) },
+    { id: 'speed-of-light', category: 'scientific', emit: (b, _max, add) => Calculator._addSpeedOfLightMilestones(b, add) },
+    { id: 'lunations', category: 'scientific', emit: (b, max, add, _opts, min) => Calculator._addLunationMilestones(b, max, add, min) },
+    { id: 'lunar-returns', category: 'scientific', emit: (b, max, add, _opts, min) => Calculator._addLunarReturns(b, max, add, min) },
+    { id: 'eclipses', category: 'scientific', emit: (b, max, add, _opts, min) => Calculator._addEclipses(b, max, add, min) },
+    { id: 'comets', category: 'scientific', emit: (b, max, add) => Calculator._addCometReturns(b, max, add) },
+    { id: 'fractional-ages', category: 'planetary', emit: (b, max, add, opts, min) => Calculator._addFractionalAgeMilestones(b, max, add, opts, min) },
+    { id: 'nerdy-holidays', category: 'pop-culture', emit: (b, max, add, _opts, min) => Calculator._addNerdyHolidays(b, max, add, min) },
+    { id: 'earth-birthdays', category: 'planetary', emit: (b, max, add, opts, min) => Calculator._addEarthBirthdays(b, max, add, opts, min) },
+    { id: 'primes', category: 'mathematical', emit: (b, _max, add) => Calculator._addPrimeMilestones(b, add) },
+    { id: 'combinatorics', category: 'mathematical', emit: (b, _max, add) => Calculator._addCombinatoricsMilestones(b, add) },
+    { id: 'discovered', category: 'discovered', emit: (b, _max, add) => Calculator._addDiscoveredMilestones(b, add) },
+    { id: 'custom', category: 'custom', emit: (b, _max, add, opts) => Calculator._addCustomMilestones(b, add, opts.customMilestones) },
+];
+
+for (const generator of BUILTIN_GENERATORS) {
+    Calculator.registerGenerator(generator);
+}
+for (const sequence of Milestones.SEQUENCES) {
+    Calculator.registerSequence(sequence);
+}
+
 // ESM export
 export default Calculator;
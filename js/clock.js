@@ -0,0 +1,54 @@
+/**
+ * Clock - the single source of "now" for the calculator, website and worker.
+ *
+ * Normally this is the system clock. For previews ("time travel") the page
+ * can shift it to another instant; the shifted clock keeps ticking, so
+ * countdowns still count down. The worker is shared between requests, so it
+ * never shifts the clock — it threads an explicit `now` instead.
+ */
+
+let offsetMs = 0;
+
+const Clock = {
+    /**
+     * Current time (shifted if travelTo() was called)
+     * @returns {Date}
+     */
+    now() {
+        return new Date(Date.now() + offsetMs);
+    },
+
+    /**
+     * Shift the clock so now() returns `date` at this moment
+     * @param {?Date} date - Target instant, or null to return to real time
+     */
+    travelTo(date) {
+        offsetMs = date ? date.getTime() - Date.now() : 0;
+    },
+
+    /**
+     * Whether the clock is shifted away from real time
+     * @returns {boolean}
+     */
+    isTraveling() {
+        return offsetMs !== 0;
+    },
+
+    /**
+     * Parse a `?now=` override such as "2031-05-14T10:00Z" or "2031-05-14".
+     * Times without an offset are read as UTC so the page and worker agree.
+     * @param {?string} value
+     * @returns {?Date} The instant, or null if missing/invalid
+     */
+    parse(value) {
+        if (!value) { return null; }
+        const match = value.trim().match(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/);
+        if (!match) { return null; }
+        const iso = match[1] && !match[4] ? `${value.trim()}Z` : value.trim();
+        const date = new Date(iso);
+        return isNaN(date.getTime()) ? null : date;
+    }
+};
+
+// ESM export
+export default Clock;
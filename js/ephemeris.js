@@ -0,0 +1,334 @@
+/**
+ * Ephemeris - low-precision planet positions, computed offline.
+ *
+ * Heliocentric ecliptic longitudes from the Keplerian elements in
+ * Milestones.ORBITAL_ELEMENTS and the Moon's geocentric longitude from the
+ * series in Milestones.MOON_LONGITUDE_TERMS, referred to the equinox of date.
+ * Times are treated as TT; the ~1 minute TT − UTC difference shifts birth
+ * and milestone positions alike, so it cancels out of returns. Eclipses are
+ * absolute instants, so they are converted to UT with deltaT().
+ */
+
+import Milestones from './milestones.js';
+
+const DEG = Math.PI / 180;
+const J2000_MS = Date.UTC(2000, 0, 1, 12); // JD 2451545.0
+const MS_PER_CENTURY = 36525 * Milestones.MS_PER_DAY;
+const JD_UNIX_EPOCH = 2440587.5;
+
+// Newton steps stop below this (ms); returns are rounded down to the second
+const RETURN_TOLERANCE_MS = 1000;
+const RETURN_MAX_ITERATIONS = 20;
+
+function normalizeDegrees(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+// Signed difference a − b in degrees, in [-180, 180)
+function angleDifference(a, b) {
+    return normalizeDegrees(a - b + 180) - 180;
+}
+
+function getElements(body) {
+    const elements = Milestones.ORBITAL_ELEMENTS[body];
+    if (!elements) { throw new Error(`Unknown body: ${body}`); }
+    return elements;
+}
+
+// Polynomial in T with coefficients [c0, c1, c2, …]
+function polynomial(coefficients, T) {
+    return coefficients.reduceRight((sum, c) => sum * T + c, 0);
+}
+
+// When angleAt(t) (degrees, increasing) reaches `target`, by Newton's method
+// from a guess within half a turn
+function solveAngle(angleAt, target, guess) {
+    let t = guess;
+    for (let i = 0; i < RETURN_MAX_ITERATIONS; i++) {
+        const here = angleAt(t);
+        const degreesPerMs = angleDifference(angleAt(t + Milestones.MS_PER_HOUR), here) / Milestones.MS_PER_HOUR;
+        const step = angleDifference(target, here) / degreesPerMs;
+        t += step;
+        if (Math.abs(step) < RETURN_TOLERANCE_MS) { break; }
+    }
+    return new Date(Math.floor(t / 1000) * 1000);
+}
+
+// Meeus ch. 54 argument c0 + c1·k + c2·T² + c3·T³ + … at lunation k
+function lunationArgument(coefficients, k, T) {
+    return coefficients[0] + coefficients[1] * k + T * T * polynomial(coefficients.slice(2), T);
+}
+
+// The eclipse at new moon (integer k) or full moon (k + ½), if there is one:
+// its time of greatest eclipse (JDE), kind and magnitude
+function eclipseAt(k) {
+    const args = Milestones.ECLIPSE_ARGUMENTS;
+    const T = k / 1236.85;
+    const F = lunationArgument(args.F, k, T) * DEG;
+    // Too far from a node for the shadows to touch
+    if (Math.abs(Math.sin(F)) > 0.36) { return null; }
+
+    const M = lunationArgument(args.M, k, T) * DEG;
+    const Mp = lunationArgument(args.Mp, k, T) * DEG;
+    const omega = lunationArgument(args.omega, k, T) * DEG;
+    const F1 = F - 0.02665 * DEG * Math.sin(omega);
+    const A1 = (299.77 + 0.107408 * k - 0.009173 * T * T) * DEG;
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+    const lunar = k !== Math.floor(k);
+
+    let jde = lunationArgument(args.jde, k, T) + 0.0003 * Math.sin(A1) - 0.0002 * Math.sin(omega);
+    for (const [m, mp, f, atNew, atFull] of Milestones.ECLIPSE_TIME_TERMS) {
+        jde += (lunar ? atFull : atNew) * (m ? E : 1) * Math.sin(m * M + mp * Mp + f * F1);
+    }
+
+    // Least distance of the shadow axis from the Earth's (or Moon's) centre,
+    // in Earth radii, and the radius of the umbra there
+    const P = 0.2070 * E * Math.sin(M) + 0.0024 * E * Math.sin(2 * M) - 0.0392 * Math.sin(Mp) +
+        0.0116 * Math.sin(2 * Mp) - 0.0073 * E * Math.sin(Mp + M) + 0.0067 * E * Math.sin(Mp - M) +
+        0.0118 * Math.sin(2 * F1);
+    const Q = 5.2207 - 0.0048 * E * Math.cos(M) + 0.0020 * E * Math.cos(2 * M) - 0.3299 * Math.cos(Mp) -
+        0.0060 * E * Math.cos(Mp + M) + 0.0041 * E * Math.cos(Mp - M);
+    const gamma = (P * Math.cos(F1) + Q * Math.sin(F1)) * (1 - 0.0048 * Math.abs(Math.cos(F1)));
+    const u = 0.0059 + 0.0046 * E * Math.cos(M) - 0.0182 * Math.cos(Mp) + 0.0004 * Math.cos(2 * Mp) -
+        0.0005 * Math.cos(M + Mp);
+    const distance = Math.abs(gamma);
+
+    if (lunar) {
+        const penumbral = (1.5573 + u - distance) / 0.5450;
+        const umbral = (1.0128 - u - distance) / 0.5450;
+        if (penumbral <= 0) { return null; }
+        if (umbral <= 0) { return { jde, body: 'lunar', type: 'penumbral', magnitude: penumbral, gamma }; }
+        return { jde, body: 'lunar', type: umbral >= 1 ? 'total' : 'partial', magnitude: umbral, gamma };
+    }
+
+    if (distance > 1.5433 + u) { return null; }
+    if (distance < 0.9972) {
+        // Central: the umbra's axis crosses the Earth
+        let type = 'annular';
+        if (u < 0) {
+            type = 'total';
+        } else if (u < 0.00464 * Math.sqrt(1 - gamma * gamma)) {
+            type = 'hybrid';
+        }
+        return { jde, body: 'solar', type, magnitude: null, gamma };
+    }
+    // Non-central: only the edge of the umbra, if anything, grazes the Earth
+    if (distance < 0.9972 + Math.abs(u)) {
+        return { jde, body: 'solar', type: u < 0 ? 'total' : 'annular', magnitude: null, gamma };
+    }
+    const magnitude = (1.5433 + u - distance) / (0.5461 + 2 * u);
+    return { jde, body: 'solar', type: 'partial', magnitude, gamma };
+}
+
+// Eccentric anomaly E from mean anomaly M (radians): M = E − e sin E
+function solveKepler(meanAnomaly, e) {
+    let E = meanAnomaly + e * Math.sin(meanAnomaly);
+    for (let i = 0; i < 30; i++) {
+        const delta = (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-12) { break; }
+    }
+    return E;
+}
+
+const Ephemeris = {
+    /**
+     * Julian centuries since J2000.0
+     * @param {Date} date
+     * @returns {number}
+     */
+    centuriesSinceJ2000(date) {
+        return (date.getTime() - J2000_MS) / MS_PER_CENTURY;
+    },
+
+    /**
+     * Heliocentric ecliptic longitude of a planet (the Earth-Moon barycentre
+     * for 'earth'), measured from the equinox of date
+     * @param {string} body - Key of Milestones.ORBITAL_ELEMENTS
+     * @param {Date} date
+     * @returns {number} Degrees in [0, 360)
+     */
+    heliocentricLongitude(body, date) {
+        const elements = getElements(body);
+        const T = this.centuriesSinceJ2000(date);
+        const at = ([value, rate]) => value + rate * T;
+
+        const e = at(elements.e);
+        const inclination = at(elements.I) * DEG;
+        const peri = at(elements.peri);
+        const node = at(elements.node);
+        let meanAnomaly = at(elements.L) - peri;
+        if (elements.f) {
+            const fT = elements.f * T * DEG;
+            meanAnomaly += elements.b * T * T + elements.c * Math.cos(fT) + elements.s * Math.sin(fT);
+        }
+
+        const E = solveKepler(angleDifference(meanAnomaly, 0) * DEG, e);
+        // Position in the orbital plane, x towards perihelion (a drops out)
+        const x = Math.cos(E) - e;
+        const y = Math.sqrt(1 - e * e) * Math.sin(E);
+
+        const argPeri = (peri - node) * DEG;
+        const cosW = Math.cos(argPeri);
+        const sinW = Math.sin(argPeri);
+        const cosN = Math.cos(node * DEG);
+        const sinN = Math.sin(node * DEG);
+        const cosI = Math.cos(inclination);
+        const eclipticX = (cosW * cosN - sinW * sinN * cosI) * x + (-sinW * cosN - cosW * sinN * cosI) * y;
+        const eclipticY = (cosW * sinN + sinW * cosN * cosI) * x + (-sinW * sinN + cosW * cosN * cosI) * y;
+
+        return normalizeDegrees(Math.atan2(eclipticY, eclipticX) / DEG + Milestones.PRECESSION_DEG_PER_CENTURY * T);
+    },
+
+    /**
+     * Mean time for a planet to get back to the same longitude of date
+     * @param {string} body - Key of Milestones.ORBITAL_ELEMENTS
+     * @returns {number} Days
+     */
+    meanReturnDays(body) {
+        const degreesPerCentury = getElements(body).L[1] + Milestones.PRECESSION_DEG_PER_CENTURY;
+        return 360 / degreesPerCentury * 36525;
+    },
+
+    /**
+     * When a planet is next at `longitude`, searching from a nearby guess
+     * (within a few weeks for Mercury, a few years for Neptune)
+     * @param {string} body - Key of Milestones.ORBITAL_ELEMENTS
+     * @param {number} longitude - Target heliocentric longitude of date (degrees)
+     * @param {Date} guess - Starting point for the search
+     * @returns {Date} Rounded down to the whole second
+     */
+    findLongitude(body, longitude, guess) {
+        return solveAngle(t => this.heliocentricLongitude(body, new Date(t)), longitude, guess.getTime());
+    },
+
+    /**
+     * Geocentric ecliptic longitude of the Sun, from the equinox of date
+     * (geometric: the ~20″ aberration is the same at birth and at a return)
+     * @param {Date} date
+     * @returns {number} Degrees in [0, 360)
+     */
+    sunLongitude(date) {
+        return normalizeDegrees(this.heliocentricLongitude('earth', date) + 180);
+    },
+
+    /**
+     * Geocentric ecliptic longitude of the Moon, from the equinox of date
+     * @param {Date} date
+     * @returns {number} Degrees in [0, 360)
+     */
+    moonLongitude(date) {
+        const T = this.centuriesSinceJ2000(date);
+        const args = Milestones.MOON_ARGUMENTS;
+        const L = polynomial(args.L, T);
+        const D = polynomial(args.D, T) * DEG;
+        const M = polynomial(args.M, T) * DEG;
+        const Mp = polynomial(args.Mp, T) * DEG;
+        const F = polynomial(args.F, T) * DEG;
+        const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+
+        let sum = 0;
+        for (const [d, m, mp, f, coefficient] of Milestones.MOON_LONGITUDE_TERMS) {
+            sum += coefficient * E ** Math.abs(m) * Math.sin(d * D + m * M + mp * Mp + f * F);
+        }
+        // Venus, Jupiter and the flattening of the Earth
+        const A1 = (119.75 + 131.849 * T) * DEG;
+        const A2 = (53.09 + 479264.290 * T) * DEG;
+        sum += 3958 * Math.sin(A1) + 1962 * Math.sin(L * DEG - F) + 318 * Math.sin(A2);
+
+        return normalizeDegrees(L + sum / 1e6);
+    },
+
+    /**
+     * The Moon's phase: its elongation east of the Sun (0° new, 180° full),
+     * the lit fraction of its disc and the named phase (Milestones.MOON_PHASES)
+     * @param {Date} date
+     * @returns {{elongation: number, illumination: number, name: string, icon: string}}
+     */
+    moonPhase(date) {
+        const elongation = normalizeDegrees(this.moonLongitude(date) - this.sunLongitude(date));
+        const phase = Milestones.MOON_PHASES[Math.floor(normalizeDegrees(elongation + 22.5) / 45)];
+        return { elongation, illumination: (1 - Math.cos(elongation * DEG)) / 2, ...phase };
+    },
+
+    /**
+     * When the Moon is next at `elongation` from the Sun (the same phase)
+     * @param {number} elongation - Degrees east of the Sun
+     * @param {Date} guess - Within a week or so of the answer
+     * @returns {Date} Rounded down to the whole second
+     */
+    findMoonPhase(elongation, guess) {
+        return solveAngle(t => this.moonPhase(new Date(t)).elongation, elongation, guess.getTime());
+    },
+
+    /**
+     * When the Moon is next at `longitude` among the stars: longitudes from
+     * the fixed J2000 equinox, so this is a sidereal rather than tropical return
+     * @param {number} longitude - J2000 ecliptic longitude (degrees)
+     * @param {Date} guess - Within a week or so of the answer
+     * @returns {Date} Rounded down to the whole second
+     */
+    findMoonSiderealLongitude(longitude, guess) {
+        return solveAngle(t => this.moonSiderealLongitude(new Date(t)), longitude, guess.getTime());
+    },
+
+    /**
+     * The Moon's ecliptic longitude from the fixed J2000 equinox
+     * @param {Date} date
+     * @returns {number} Degrees in [0, 360)
+     */
+    moonSiderealLongitude(date) {
+        const T = this.centuriesSinceJ2000(date);
+        return normalizeDegrees(this.moonLongitude(date) - Milestones.PRECESSION_DEG_PER_CENTURY * T);
+    },
+
+    /**
+     * ΔT = TT − UT, interpolated in Milestones.DELTA_T and extrapolated along
+     * the long-term parabola beyond it
+     * @param {Date} date
+     * @returns {number} Seconds
+     */
+    deltaT(date) {
+        const { startYear, stepYears, seconds } = Milestones.DELTA_T;
+        const year = 2000 + this.centuriesSinceJ2000(date) * 100;
+        const endYear = startYear + stepYears * (seconds.length - 1);
+        const parabola = y => -20 + 32 * ((y - 1820) / 100) ** 2;
+        if (year < startYear) { return seconds[0] + parabola(year) - parabola(startYear); }
+        if (year >= endYear) { return seconds[seconds.length - 1] + parabola(year) - parabola(endYear); }
+        const position = (year - startYear) / stepYears;
+        const i = Math.floor(position);
+        return seconds[i] + (position - i) * (seconds[i + 1] - seconds[i]);
+    },
+
+    /**
+     * Solar and lunar eclipses (seen from anywhere on Earth) after `from` up
+     * to and including `to`, in date order
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {Array<{date: Date, body: string, type: string, magnitude: ?number, gamma: number}>}
+     *   `date` is greatest eclipse in UT, rounded down to the whole second;
+     *   `type` is a key of Milestones.ECLIPSE_TYPES[body]; `magnitude` is the
+     *   fraction of the Sun's or Moon's diameter in shadow (the umbra's, or
+     *   the penumbra's for a penumbral eclipse), null for a central solar eclipse
+     */
+    eclipses(from, to) {
+        const firstNewMoonMs = (Milestones.ECLIPSE_ARGUMENTS.jde[0] - JD_UNIX_EPOCH) * Milestones.MS_PER_DAY;
+        const monthMs = Milestones.SYNODIC_MONTH_DAYS * Milestones.MS_PER_DAY;
+        const lunation = date => (date.getTime() - firstNewMoonMs) / monthMs;
+
+        const found = [];
+        for (let k = Math.floor(lunation(from)) - 1; k <= Math.ceil(lunation(to)) + 1; k += 0.5) {
+            const eclipse = eclipseAt(k);
+            if (!eclipse) { continue; }
+            const { jde, ...details } = eclipse;
+            const tt = (jde - JD_UNIX_EPOCH) * Milestones.MS_PER_DAY;
+            const ut = tt - this.deltaT(new Date(tt)) * 1000;
+            const date = new Date(Math.floor(ut / 1000) * 1000);
+            if (date > from && date <= to) { found.push({ date, ...details }); }
+        }
+        return found;
+    }
+};
+
+// ESM export
+export default Ephemeris;
@@ -3,6 +3,7 @@
  */
 
 import * as Storage from './storage.js';
+import { buildFamilyParam, formatTimeStr, resolveLocalTime, julianToGregorian, parseCustomMilestones, formatCustomMilestones, parseBirthdayOptions, formatBirthdayOptions } from './shared.js';
 
 /**
  * Find the next available member index
@@ -165,6 +166,129 @@ function toggleTimezoneSelect(index) {
     }
 }
 
+const HISTORICAL_MIN_DATE = '0100-01-01';
+
+// The last countries (Greece, Turkey) left the Julian calendar in the 1920s
+const JULIAN_CALENDAR_UNTIL_YEAR = 1927;
+
+/**
+ * Show the leap-day policy select only for February 29 birthdays, and the
+ * birth calendar select only for dates a Julian calendar may have written
+ */
+function updateBirthdayOptionVisibility(index) {
+    const dateEl = document.getElementById(`birthdate-${index}`);
+    const leapEl = document.getElementById(`leap-${index}`);
+    const calendarEl = document.getElementById(`calendar-${index}`);
+    if (!dateEl) { return; }
+    if (leapEl) {
+        leapEl.closest('.leap-day-option').style.display = dateEl.value.endsWith('-02-29') ? '' : 'none';
+    }
+    if (calendarEl) {
+        const year = parseInt(dateEl.value.slice(0, 4), 10);
+        calendarEl.closest('.birth-calendar-option').style.display = year < JULIAN_CALENDAR_UNTIL_YEAR ? '' : 'none';
+    }
+    updateDstOption(index);
+}
+
+/**
+ * Format a wall-minus-UTC offset for display, e.g. "UTC−6" or "UTC+5:30"
+ */
+function formatUtcOffset(ms) {
+    const minutes = Math.round(Math.abs(ms) / 60000);
+    const sign = ms < 0 ? '−' : '+';
+    const hours = Math.floor(minutes / 60);
+    return `UTC${sign}${hours}${minutes % 60 ? `:${String(minutes % 60).padStart(2, '0')}` : ''}`;
+}
+
+/**
+ * Ask which instant a birth time means when the clocks changed that night:
+ * the time either happened twice or not at all in the birth timezone
+ */
+function updateDstOption(index) {
+    const dateEl = document.getElementById(`birthdate-${index}`);
+    const timeEl = document.getElementById(`birthtime-${index}`);
+    const tzEl = document.getElementById(`birthtz-${index}`);
+    const calendarEl = document.getElementById(`calendar-${index}`);
+    const occurrenceEl = document.getElementById(`occurrence-${index}`);
+    if (!dateEl || !timeEl || !occurrenceEl) { return; }
+    const group = occurrenceEl.closest('.dst-option');
+
+    const timezone = (tzEl && tzEl.style.display !== 'none' && tzEl.value) || getIANATimezone();
+    const isJulian = calendarEl && calendarEl.closest('.birth-calendar-option').style.display !== 'none' &&
+        calendarEl.value === 'julian';
+    const dateStr = isJulian ? julianToGregorian(dateEl.value) : dateEl.value;
+    let resolved = { status: 'ok', candidates: [] };
+    if (dateStr && timeEl.value) {
+        try {
+            resolved = resolveLocalTime(dateStr, timeEl.value, timezone);
+        } catch {
+            // Unknown timezone: nothing to ask
+        }
+    }
+    if (resolved.status === 'ok') {
+        group.style.display = 'none';
+        return;
+    }
+
+    const wall = new Date(`${dateStr}T${timeEl.value.length === 5 ? `${timeEl.value}:00` : timeEl.value}Z`).getTime();
+    const [before, after] = resolved.candidates.map(c => formatUtcOffset(wall - c.getTime()));
+    const time = formatTimeStr(timeEl.value);
+    group.querySelector('.dst-hint').textContent = resolved.status === 'gap'
+        ? `⚠️ ${time} didn't exist in ${timezone} that night: the clocks jumped forward. Which offset does the record use?`
+        : `⚠️ ${time} happened twice in ${timezone} that night: the clocks went back. Which one was it?`;
+    occurrenceEl.options[0].textContent = resolved.status === 'gap' ? `Before the change (${before})` : `The first ${time} (${before})`;
+    occurrenceEl.options[1].textContent = resolved.status === 'gap' ? `After the change (${after})` : `The second ${time} (${after})`;
+    group.style.display = '';
+}
+
+/**
+ * Fill a birth time input, showing a seconds field only for a time that has
+ * seconds (typed entry stays at whole minutes)
+ */
+function setBirthTime(timeEl, time) {
+    timeEl.step = time.length > 5 ? '1' : '60';
+    timeEl.value = time;
+}
+
+/**
+ * Fill a member's birthday option controls from the 6th family field
+ */
+function setBirthdayOptions(index, birthday) {
+    const { leapDayPolicy, fractionalAges, calendar, occurrence } = parseBirthdayOptions(birthday);
+    const leapEl = document.getElementById(`leap-${index}`);
+    const fracEl = document.getElementById(`calendarfrac-${index}`);
+    const calendarEl = document.getElementById(`calendar-${index}`);
+    const occurrenceEl = document.getElementById(`occurrence-${index}`);
+    if (leapEl) { leapEl.value = leapDayPolicy; }
+    if (fracEl) { fracEl.checked = fractionalAges === 'calendar'; }
+    if (calendarEl) { calendarEl.value = calendar; }
+    if (occurrenceEl) { occurrenceEl.value = occurrence; }
+    updateBirthdayOptionVisibility(index);
+}
+
+/**
+ * Read a member's birthday option controls as the 6th family field
+ */
+function getBirthdayOptions(index) {
+    const dateEl = document.getElementById(`birthdate-${index}`);
+    const leapEl = document.getElementById(`leap-${index}`);
+    const fracEl = document.getElementById(`calendarfrac-${index}`);
+    const calendarEl = document.getElementById(`calendar-${index}`);
+    const occurrenceEl = document.getElementById(`occurrence-${index}`);
+    // The leap-day policy only means something for February 29 births, the
+    // calendar select only shows for early dates, and the DST question only
+    // for times the clocks skipped or repeated
+    const isLeapDay = dateEl && dateEl.value.endsWith('-02-29');
+    const isHistorical = dateEl && parseInt(dateEl.value.slice(0, 4), 10) < JULIAN_CALENDAR_UNTIL_YEAR;
+    const isDstChange = occurrenceEl && occurrenceEl.closest('.dst-option').style.display !== 'none';
+    return formatBirthdayOptions({
+        leapDayPolicy: isLeapDay && leapEl ? leapEl.value : undefined,
+        fractionalAges: fracEl && fracEl.checked ? 'calendar' : undefined,
+        calendar: isHistorical && calendarEl ? calendarEl.value : undefined,
+        occurrence: isDstChange ? occurrenceEl.value : undefined
+    });
+}
+
 /**
  * Populate all timezone labels on the page
  */
@@ -206,6 +330,15 @@ document.addEventListener('DOMContentLoaded', async () => {
             const toggle = e.target.closest('.timezone-toggle');
             if (toggle) {
                 toggleTimezoneSelect(parseInt(toggle.dataset.index, 10));
+                updateBirthdayOptionVisibility(toggle.dataset.index);
+            }
+        });
+
+        // Birthday options follow the birth date, time, timezone and calendar —
+        // delegated like the toggle
+        form.addEventListener('input', e => {
+            if (['birthdate', 'birthtime', 'birthtz', 'calendar'].includes(e.target.name)) {
+                updateBirthdayOptionVisibility(e.target.closest('.family-member').dataset.index);
             }
         });
     }
@@ -240,10 +373,9 @@ function setupDateConstraints(index) {
     const today = new Date();
     birthdateInput.max = today.toISOString().split('T')[0];
 
-    // Set a reasonable min date (150 years ago)
-    const minDate = new Date();
-    minDate.setFullYear(minDate.getFullYear() - 150);
-    birthdateInput.min = minDate.toISOString().split('T')[0];
+    // Historical birthdates are welcome (see the calendar option); Date.UTC
+    // reads years 0–99 as 1900–1999, so stop at year 100
+    birthdateInput.min = HISTORICAL_MIN_DATE;
 }
 
 /**
@@ -262,7 +394,10 @@ async function loadStoredData() {
 
             if (nameEl) { nameEl.value = first.name || ''; }
             if (dateEl) { dateEl.value = first.date || ''; }
-            if (timeEl && first.time) { timeEl.value = first.time; }
+            if (timeEl && first.time) { setBirthTime(timeEl, first.time); }
+            const customEl = document.getElementById('custom-0');
+            if (customEl && first.custom) { customEl.value = first.custom; }
+            setBirthdayOptions(0, first.birthday);
             if (first.timezone) {
                 const tzSelect = document.getElementById('birthtz-0');
                 if (tzSelect) {
@@ -310,7 +445,9 @@ function loadFromUrlParams() {
                     name,
                     date: parts[1] || '',
                     time: parts[2] || '',
-                    timezone: parts[3] || ''
+                    timezone: parts[3] || '',
+                    custom: parts[4] || '',
+                    birthday: parts[5] || ''
                 };
             });
 
@@ -324,7 +461,10 @@ function loadFromUrlParams() {
 
                 if (nameEl) { nameEl.value = validMembers[0].name; }
                 if (dateEl) { dateEl.value = validMembers[0].date; }
-                if (timeEl && validMembers[0].time) { timeEl.value = validMembers[0].time; }
+                if (timeEl && validMembers[0].time) { setBirthTime(timeEl, validMembers[0].time); }
+                const customEl = document.getElementById('custom-0');
+                if (customEl && validMembers[0].custom) { customEl.value = validMembers[0].custom; }
+                setBirthdayOptions(0, validMembers[0].birthday);
                 if (validMembers[0].timezone) {
                     const tzSelect = document.getElementById('birthtz-0');
                     if (tzSelect) {
@@ -379,13 +519,54 @@ function addFamilyMember(data = null) {
             <input type="time" id="birthtime-${index}" name="birthtime" step="60">
             <select id="birthtz-${index}" name="birthtz" class="birth-timezone-select" style="display:none"></select>
         </div>
+        <div class="form-group optional">
+            <label for="custom-${index}">
+                Custom Milestones <span class="optional-label">(optional)</span>
+            </label>
+            <input type="text" id="custom-${index}" name="custom" placeholder="e.g. 777777777 seconds; 12345 hours" autocomplete="off">
+        </div>
+        <div class="form-group optional dst-option" style="display:none">
+            <label for="occurrence-${index}">
+                Clock Change <span class="optional-label">(daylight saving)</span>
+            </label>
+            <span class="hint dst-hint"></span>
+            <select id="occurrence-${index}" name="occurrence" class="option-select">
+                <option value="first">First</option>
+                <option value="second">Second</option>
+            </select>
+        </div>
+        <div class="form-group optional birth-calendar-option" style="display:none">
+            <label for="calendar-${index}">
+                Calendar <span class="optional-label">(the birthday is written in)</span>
+            </label>
+            <select id="calendar-${index}" name="calendar" class="option-select">
+                <option value="gregorian">Gregorian (New Style)</option>
+                <option value="julian">Julian (Old Style)</option>
+            </select>
+        </div>
+        <div class="form-group optional leap-day-option" style="display:none">
+            <label for="leap-${index}">
+                Leap-Day Birthday <span class="optional-label">(in common years)</span>
+            </label>
+            <select id="leap-${index}" name="leap" class="option-select">
+                <option value="mar1">March 1</option>
+                <option value="feb28">February 28</option>
+                <option value="leap-only">Only on February 29</option>
+            </select>
+        </div>
+        <div class="form-group optional">
+            <label class="checkbox-label" for="calendarfrac-${index}">
+                <input type="checkbox" id="calendarfrac-${index}" name="calendarfrac">Calendar ¼/½/¾ birthdays <span class="optional-label">(same day 3, 6 and 9 months on)</span>
+            </label>
+        </div>
     `;
 
     // Set values via DOM properties to prevent XSS
     if (data) {
         if (data.name) { memberDiv.querySelector(`#name-${index}`).value = data.name; }
         if (data.date) { memberDiv.querySelector(`#birthdate-${index}`).value = data.date; }
-        if (data.time) { memberDiv.querySelector(`#birthtime-${index}`).value = data.time; }
+        if (data.time) { setBirthTime(memberDiv.querySelector(`#birthtime-${index}`), data.time); }
+        if (data.custom) { memberDiv.querySelector(`#custom-${index}`).value = data.custom; }
         if (data.timezone) {
             const tzSelect = memberDiv.querySelector(`#birthtz-${index}`);
             populateTimezoneSelect(tzSelect);
@@ -395,6 +576,7 @@ function addFamilyMember(data = null) {
     }
 
     familyMembers.appendChild(memberDiv);
+    setBirthdayOptions(index, data && data.birthday);
     setupDateConstraints(index);
     updateTimezoneLabels();
 
@@ -482,14 +664,19 @@ async function submitForm() {
         const dateEl = document.getElementById(`birthdate-${index}`);
         const timeEl = document.getElementById(`birthtime-${index}`);
         const tzEl = document.getElementById(`birthtz-${index}`);
+        const customEl = document.getElementById(`custom-${index}`);
 
         if (!dateEl) { return; }
 
         const name = nameEl ? nameEl.value.trim() : '';
         const birthdate = dateEl.value;
-        const birthtime = timeEl ? timeEl.value : '';
+        // Seconds are optional (hospital records); whole minutes stay HH:MM
+        const birthtime = timeEl ? formatTimeStr(timeEl.value) : '';
         // Only include timezone if the select is visible (user explicitly chose it)
         const timezone = (tzEl && tzEl.style.display !== 'none') ? tzEl.value : '';
+        // Canonicalize so the URL carries "777777777s;12345h" whatever was typed
+        const custom = customEl ? formatCustomMilestones(parseCustomMilestones(customEl.value)) : '';
+        const birthday = getBirthdayOptions(index);
 
         if (birthdate) {
             // Use "You" as default name for single person
@@ -499,7 +686,9 @@ async function submitForm() {
                     name: displayName,
                     date: birthdate,
                     time: birthtime,
-                    timezone
+                    timezone,
+                    custom,
+                    birthday
                 });
             }
         }
@@ -526,16 +715,7 @@ async function submitForm() {
     }
 
     // Build URL params
-    const familyParam = family.map(m => {
-        let param = `${encodeURIComponent(m.name)}|${m.date}`;
-        if (m.time || m.timezone) {
-            param += `|${m.time || ''}`;
-        }
-        if (m.timezone) {
-            param += `|${m.timezone}`;
-        }
-        return param;
-    }).join(',');
+    const familyParam = buildFamilyParam(family);
 
     // Use relative URL - works regardless of subdirectory.
     // Encode the whole param value: URLSearchParams.get() decodes it once on read,
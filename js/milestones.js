@@ -15,17 +15,80 @@ const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
 const MS_PER_YEAR = 365.2425 * 24 * 60 * 60 * 1000; // Gregorian calendar average
 const MS_PER_MONTH = MS_PER_DAY * 30.4375;
 
+// Year definitions for Earth ages. Gregorian birthdays follow the calendar;
+// the others count whole years of that length from the moment of birth.
+const YEAR_DEFINITIONS = {
+    gregorian: { name: 'Gregorian', days: 365.2425, desc: 'the calendar average' },
+    julian: { name: 'Julian', days: 365.25, desc: 'the astronomers\' 365¼ days' },
+    tropical: { name: 'Tropical', days: 365.24219, desc: 'equinox to equinox' },
+    sidereal: { name: 'Sidereal', days: 365.256363, desc: 'one orbit against the fixed stars' },
+    anomalistic: { name: 'Anomalistic', days: 365.259636, desc: 'perihelion to perihelion' }
+};
+const DEFAULT_YEAR_DEFINITION = 'gregorian';
+
+// Where a February 29 birthday lands in common years
+const LEAP_DAY_POLICIES = {
+    mar1: 'March 1 in common years',
+    feb28: 'February 28 in common years',
+    'leap-only': 'Only on February 29 (leap years)'
+};
+const DEFAULT_LEAP_DAY_POLICY = 'mar1';
+
+// How ¼/½/¾ birthdays are placed: fractions of a mean year from the moment of
+// birth, or 3/6/9 calendar months after the birthday (clamped to month end)
+const FRACTIONAL_AGE_MODES = {
+    mean: 'Exact fractions of a year',
+    calendar: 'Same day 3, 6 and 9 months after your birthday'
+};
+const DEFAULT_FRACTIONAL_AGE_MODE = 'mean';
+
+// Calendar a birth date is written in. Julian (Old Style) dates are converted
+// to the proleptic Gregorian calendar before anything is computed — England,
+// for one, only switched in 1752, so Newton was born on Christmas 1642 (Julian)
+const BIRTH_CALENDARS = {
+    gregorian: 'Gregorian',
+    julian: 'Julian (Old Style)'
+};
+const DEFAULT_BIRTH_CALENDAR = 'gregorian';
+
+// Which instant a wall-clock birth time means when it happened twice (the
+// repeated hour when clocks fall back) or never (the hour skipped when they
+// spring forward): the one on the UTC offset in force before the change, or after
+const DST_OCCURRENCES = {
+    first: 'First occurrence (offset before the clock change)',
+    second: 'Second occurrence (offset after the clock change)'
+};
+const DEFAULT_DST_OCCURRENCE = 'first';
+
+// Without a birth time the birth could be any minute of the birth day, so
+// every milestone could fall anywhere in a window this wide
+const UNKNOWN_BIRTH_TIME_WINDOW_MS = MS_PER_DAY;
+
 // Maximum years to calculate milestones for
 const MAX_YEARS = 120;
 
 // Synodic month (new moon to new moon) in days
 const SYNODIC_MONTH_DAYS = 29.530589;
 
-// Lunation milestones (round-number lunar months since birth)
+// Sidereal month (back to the same place among the stars) in days
+const SIDEREAL_MONTH_DAYS = 27.321662;
+
+// Lunation milestones (round-number lunar months since birth: the Moon back
+// in the phase it had at birth, found from the ephemeris)
 const lunationMilestones = [
     100, 200, 250, 300, 400, 500, 600, 700, 750, 800, 900, 1000
 ];
 
+// Sidereal lunar returns (the Moon back at its birth position among the stars)
+const lunarReturnMilestones = [
+    1, 100, 200, 250, 500, 750, 1000, 1250, 1500
+];
+
+// Round counts of solar or lunar eclipses (anywhere on Earth) since birth
+const eclipseMilestones = [
+    1, 10, 25, 50, 100, 150, 200, 250, 300
+];
+
 // ============================================================================
 // PHYSICAL CONSTANTS
 // ============================================================================
@@ -52,9 +115,57 @@ const COSMIC_DISTANCES = {
     saturn: { name: 'Saturn', meters: 1275000000000, icon: '💫' },
     neptune: { name: 'Neptune', meters: 4347000000000, icon: '🔵' },
     voyager1: { name: 'Voyager 1', meters: 24000000000000, icon: '🛸' },
-    proximaCentauri: { name: 'Proxima Centauri', meters: 4.0208e16, icon: '⭐' }
+    proximaCentauri: { name: 'Proxima Centauri', meters: 4.0208e16, icon: '⭐', constant: 'nearestStar' }
 };
 
+// Other physical constants read as ages. Each entry in `ages` scales the
+// constant by 10^exponent into a count of `unit`s reached within a lifetime;
+// `constant` doubles as the WIKI_URLS key. An age may name its own `title`.
+const PHYSICAL_CONSTANT_MILESTONES = [
+    {
+        constant: 'fineStructure', symbol: 'α⁻¹', name: 'inverse fine-structure constant',
+        value: 137.035999177, display: '137.035999177',
+        about: 'sets how strongly light and electric charge interact',
+        ages: [{ unit: 'hours', exponent: 0 }, { unit: 'days', exponent: 0 }, { unit: 'hours', exponent: 3 }]
+    },
+    {
+        constant: 'avogadro', symbol: 'N_A', name: 'Avogadro constant',
+        value: 6.02214076e23, display: '6.02214076 × 10²³ per mole',
+        about: 'counts the particles in a mole',
+        ages: [{ unit: 'minutes', exponent: -17 }, { unit: 'seconds', exponent: -15, title: 'A Mole of Femtoseconds' }]
+    },
+    {
+        constant: 'caesium', symbol: 'Δν_Cs', name: 'caesium-133 hyperfine frequency',
+        value: 9192631770, display: '9,192,631,770 Hz',
+        about: 'defines the second: that many oscillations of a caesium atom',
+        ages: [{ unit: 'minutes', exponent: -3 }, { unit: 'seconds', exponent: -1 }]
+    },
+    {
+        constant: 'standardGravity', symbol: 'g₀', name: 'standard gravity',
+        value: 9.80665, display: '9.80665 m/s²',
+        about: 'is how fast a dropped apple speeds up at the Earth\'s surface',
+        ages: [{ unit: 'hours', exponent: 4 }, { unit: 'days', exponent: 3 }, { unit: 'seconds', exponent: 8 }]
+    },
+    {
+        constant: 'planck', symbol: 'h', name: 'Planck constant',
+        value: 6.62607015e-34, display: '6.62607015 × 10⁻³⁴ J·s',
+        about: 'sizes the smallest packet of light',
+        ages: [{ unit: 'seconds', exponent: 42 }]
+    },
+    {
+        constant: 'boltzmann', symbol: 'k_B', name: 'Boltzmann constant',
+        value: 1.380649e-23, display: '1.380649 × 10⁻²³ J/K',
+        about: 'turns temperature into energy',
+        ages: [{ unit: 'seconds', exponent: 32 }]
+    },
+    {
+        constant: 'elementaryCharge', symbol: 'e', name: 'elementary charge',
+        value: 1.602176634e-19, display: '1.602176634 × 10⁻¹⁹ C',
+        about: 'is the charge of a single proton',
+        ages: [{ unit: 'seconds', exponent: 28 }]
+    }
+];
+
 // ============================================================================
 // MATHEMATICAL CONSTANTS
 // ============================================================================
@@ -68,49 +179,587 @@ const TAU = 2 * Math.PI;
 // PLANETARY DATA
 // ============================================================================
 
+// `days` is the orbital period; `solarDayHours` the synodic rotation period,
+// sunrise to sunrise (NASA planetary fact sheets; the giants by their
+// System III radio period), with `solIcon` for solar-day milestones. Mars
+// mission clocks call its solar day a sol.
 const PLANETS = {
-    mercury: { name: 'Mercury', days: 87.969, icon: '☿️' },
-    venus: { name: 'Venus', days: 224.701, icon: '♀️' },
-    mars: { name: 'Mars', days: 686.980, icon: '♂️' },
-    jupiter: { name: 'Jupiter', days: 4332.59, icon: '♃' },
-    saturn: { name: 'Saturn', days: 10759.22, icon: '♄' },
-    uranus: { name: 'Uranus', days: 30688.5, icon: '⛢' },
-    neptune: { name: 'Neptune', days: 60182, icon: '♆' }
+    mercury: { name: 'Mercury', days: 87.969, icon: '☿️', solarDayHours: 4222.6, solIcon: '🔥' },
+    venus: { name: 'Venus', days: 224.701, icon: '♀️', solarDayHours: 2802.0, solIcon: '🌋' },
+    mars: { name: 'Mars', days: 686.980, icon: '♂️', solarDayHours: 24.65979, solIcon: '🤖', solarDayName: 'Sol' },
+    jupiter: { name: 'Jupiter', days: 4332.59, icon: '♃', solarDayHours: 9.9259, solIcon: '🌀' },
+    saturn: { name: 'Saturn', days: 10759.22, icon: '♄', solarDayHours: 10.656, solIcon: '💫' },
+    uranus: { name: 'Uranus', days: 30688.5, icon: '⛢', solarDayHours: 17.24, solIcon: '🧊' },
+    neptune: { name: 'Neptune', days: 60182, icon: '♆', solarDayHours: 16.11, solIcon: '🌊' }
+};
+
+// Round numbers of solar days lived on another planet
+const solarDayMilestones = [
+    100, 200, 250, 500, 1000, 2500, 5000, 10000, 15000, 20000, 25000,
+    30000, 40000, 50000, 75000, 100000
+];
+
+// Dwarf planets by mean orbital period (JPL Small-Body Database). Counted
+// like planet years, by mean period only: the offline ephemeris covers the
+// major planets.
+const DWARF_PLANETS = {
+    ceres: { name: 'Ceres', days: 1681.63, icon: '⚳' },
+    pluto: { name: 'Pluto', days: 90560, icon: '♇' },
+    haumea: { name: 'Haumea', days: 103410, icon: '🥚' },
+    makemake: { name: 'Makemake', days: 111845, icon: '🪨' },
+    eris: { name: 'Eris', days: 203830, icon: '⯰' }
+};
+
+// Bodies slower than a lifetime also mark these fractions of their first
+// orbit, e.g. ¼ Pluto year at ~62
+const FIRST_ORBIT_FRACTIONS = [
+    { numerator: 1, denominator: 8, label: '⅛' },
+    { numerator: 1, denominator: 4, label: '¼' },
+    { numerator: 1, denominator: 3, label: '⅓' },
+    { numerator: 3, denominator: 8, label: '⅜' },
+    { numerator: 1, denominator: 2, label: '½' },
+    { numerator: 5, denominator: 8, label: '⅝' },
+    { numerator: 2, denominator: 3, label: '⅔' },
+    { numerator: 3, denominator: 4, label: '¾' },
+    { numerator: 7, denominator: 8, label: '⅞' }
+];
+const SLOW_BODY_MIN_DAYS = 100 * MS_PER_YEAR / MS_PER_DAY;
+
+// Notable moons by sidereal orbital period in days. Our own Moon's sidereal
+// month is covered by the lunar returns, found from the lunar ephemeris.
+const MOONS = {
+    phobos: { name: 'Phobos', parent: 'Mars', days: 0.31891023, icon: '🥔' },
+    io: { name: 'Io', parent: 'Jupiter', days: 1.769137786, icon: '🌋' },
+    europa: { name: 'Europa', parent: 'Jupiter', days: 3.551181, icon: '🧊' },
+    ganymede: { name: 'Ganymede', parent: 'Jupiter', days: 7.15455296, icon: '🌑' },
+    callisto: { name: 'Callisto', parent: 'Jupiter', days: 16.6890184, icon: '🌑' },
+    titan: { name: 'Titan', parent: 'Saturn', days: 15.945421, icon: '🟠' },
+    triton: { name: 'Triton', parent: 'Neptune', days: 5.876854, icon: '❄️' }
+};
+
+// Round numbers of a moon's orbits since birth
+const moonOrbitMilestones = [
+    100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000
+];
+
+// Periodic comets: perihelion dates (UTC, to the day) observed or predicted
+// by the JPL Small-Body Database, and the mean period in years used to carry
+// them on beyond the list, where they are only good to a few weeks.
+const PERIODIC_COMETS = {
+    halley: {
+        name: "Halley's Comet", designation: '1P/Halley', periodYears: 75.3, icon: '☄️',
+        about: 'the only naked-eye comet you can expect to see twice in a lifetime',
+        perihelia: ['1835-11-16', '1910-04-20', '1986-02-09', '2061-07-28', '2134-03-27']
+    },
+    encke: {
+        name: 'Comet Encke', designation: '2P/Encke', periodYears: 3.30, icon: '☄️',
+        about: 'the shortest orbit of any known comet',
+        perihelia: ['2013-11-21', '2017-03-10', '2020-06-25', '2023-10-22']
+    },
+    churyumovGerasimenko: {
+        name: 'Comet Churyumov–Gerasimenko', designation: '67P', periodYears: 6.44, icon: '☄️',
+        about: 'the comet Rosetta orbited and landed Philae on',
+        perihelia: ['2015-08-13', '2021-11-02']
+    },
+    tempelTuttle: {
+        name: 'Comet Tempel–Tuttle', designation: '55P', periodYears: 33.2, icon: '☄️',
+        about: 'the parent of the Leonid meteor showers',
+        perihelia: ['1965-04-30', '1998-02-28', '2031-05-20']
+    },
+    swiftTuttle: {
+        name: 'Comet Swift–Tuttle', designation: '109P', periodYears: 133.3, icon: '☄️',
+        about: 'the parent of the Perseid meteor showers',
+        perihelia: ['1862-08-23', '1992-12-12', '2126-07-12']
+    }
+};
+
+// How planet years are counted: whole mean orbital periods from the moment of
+// birth, or each time the planet really gets back to the heliocentric
+// longitude it had at birth, measured from the equinox of date. Precession
+// and the giant planets' pull on each other move true returns days (Jupiter)
+// to months (Uranus) away from the mean ones. True returns also add Earth's
+// solar returns: the Sun back where it stood at birth.
+const PLANETARY_RETURN_MODES = {
+    mean: 'Mean orbital period',
+    true: 'True return to the birth longitude'
+};
+const DEFAULT_PLANETARY_RETURN_MODE = 'mean';
+
+// Keplerian elements at J2000 and their rates per Julian century, from
+// E. M. Standish, "Keplerian Elements for Approximate Positions of the Major
+// Planets" (JPL, table 2a: 3000 BC – AD 3000). a in AU, e, then degrees:
+// I inclination, L mean longitude, peri longitude of perihelion, node
+// longitude of the ascending node. The giants' extra b/c/s/f terms correct
+// the mean anomaly for their mutual pull. Good to a few arcminutes — returns
+// found from them are minutes off for Earth, up to a few days for Saturn.
+const ORBITAL_ELEMENTS = {
+    mercury: {
+        a: [0.38709843, 0], e: [0.20563661, 0.00002123], I: [7.00559432, -0.00590158],
+        L: [252.25166724, 149472.67486623], peri: [77.45771895, 0.15940013], node: [48.33961819, -0.12214182]
+    },
+    venus: {
+        a: [0.72332102, -0.00000026], e: [0.00676399, -0.00005107], I: [3.39777545, 0.00043494],
+        L: [181.97970850, 58517.81560260], peri: [131.76755713, 0.05679648], node: [76.67261496, -0.27274174]
+    },
+    earth: {
+        a: [1.00000018, -0.00000003], e: [0.01673163, -0.00003661], I: [-0.00054346, -0.01337178],
+        L: [100.46691572, 35999.37306329], peri: [102.93005885, 0.31795260], node: [-5.11260389, -0.24123856]
+    },
+    mars: {
+        a: [1.52371243, 0.00000097], e: [0.09336511, 0.00009149], I: [1.85181869, -0.00724757],
+        L: [-4.56813164, 19140.29934243], peri: [-23.91744784, 0.45223625], node: [49.71320984, -0.26852431]
+    },
+    jupiter: {
+        a: [5.20248019, -0.00002864], e: [0.04853590, 0.00018026], I: [1.29861416, -0.00322699],
+        L: [34.33479152, 3034.90371757], peri: [14.27495244, 0.18199196], node: [100.29282654, 0.13024619],
+        b: -0.00012452, c: 0.06064060, s: -0.35635438, f: 38.35125000
+    },
+    saturn: {
+        a: [9.54149883, -0.00003065], e: [0.05550825, -0.00032044], I: [2.49424102, 0.00451969],
+        L: [50.07571329, 1222.11494724], peri: [92.86136063, 0.54179478], node: [113.63998702, -0.25015002],
+        b: 0.00025899, c: -0.13434469, s: 0.87320147, f: 38.35125000
+    },
+    uranus: {
+        a: [19.18797948, -0.00020455], e: [0.04685740, -0.00001550], I: [0.77298127, -0.00180155],
+        L: [314.20276625, 428.49512595], peri: [172.43404441, 0.09266985], node: [73.96250215, 0.05739699],
+        b: 0.00058331, c: -0.97731848, s: 0.17689245, f: 7.67025000
+    },
+    neptune: {
+        a: [30.06952752, 0.00006447], e: [0.00895439, 0.00000818], I: [1.77005520, 0.00022400],
+        L: [304.22289287, 218.46515314], peri: [46.68158724, 0.01009938], node: [131.78635853, -0.00606302],
+        b: -0.00041348, c: 0.68346318, s: -0.10162547, f: 7.67025000
+    }
+};
+
+// Precession of the equinoxes in ecliptic longitude. The elements above are
+// referred to the fixed J2000 equinox; returns are measured from the equinox
+// of date, like the solar return behind a birthday.
+const PRECESSION_DEG_PER_CENTURY = 1.396971;
+
+// The Moon's geocentric longitude, after J. Meeus, "Astronomical Algorithms"
+// ch. 47 (ELP-2000/82, truncated to terms above 0.0003°; good to ~20″, well
+// under a minute of the Moon's motion). Mean arguments in degrees as
+// polynomials in Julian centuries from J2000: L mean longitude, D mean
+// elongation, M the Sun's and Mp the Moon's mean anomaly, F argument of latitude.
+const MOON_ARGUMENTS = {
+    L: [218.3164477, 481267.88123421, -0.0015786, 1 / 538841, -1 / 65194000],
+    D: [297.8501921, 445267.1114034, -0.0018819, 1 / 545868, -1 / 113065000],
+    M: [357.5291092, 35999.0502909, -0.0001536, 1 / 24490000],
+    Mp: [134.9633964, 477198.8675055, 0.0087414, 1 / 69699, -1 / 14712000],
+    F: [93.2720950, 483202.0175233, -0.0036539, -1 / 3526000, 1 / 863310000]
+};
+
+// Periodic terms [D, M, Mp, F, coefficient in 10⁻⁶ degrees]. Terms with M
+// are scaled by the Earth's shrinking eccentricity once per power of M.
+const MOON_LONGITUDE_TERMS = [
+    [0, 0, 1, 0, 6288774], [2, 0, -1, 0, 1274027], [2, 0, 0, 0, 658314],
+    [0, 0, 2, 0, 213618], [0, 1, 0, 0, -185116], [0, 0, 0, 2, -114332],
+    [2, 0, -2, 0, 58793], [2, -1, -1, 0, 57066], [2, 0, 1, 0, 53322],
+    [2, -1, 0, 0, 45758], [0, 1, -1, 0, -40923], [1, 0, 0, 0, -34720],
+    [0, 1, 1, 0, -30383], [2, 0, 0, -2, 15327], [0, 0, 1, 2, -12528],
+    [0, 0, 1, -2, 10980], [4, 0, -1, 0, 10675], [0, 0, 3, 0, 10034],
+    [4, 0, -2, 0, 8548], [2, 1, -1, 0, -7888], [2, 1, 0, 0, -6766],
+    [1, 0, -1, 0, -5163], [1, 1, 0, 0, 4987], [2, -1, 1, 0, 4036],
+    [2, 0, 2, 0, 3994], [4, 0, 0, 0, 3861], [2, 0, -3, 0, 3665],
+    [0, 1, -2, 0, -2689], [2, 0, -1, 2, -2602], [2, -1, -2, 0, 2390],
+    [1, 0, 1, 0, -2348], [2, -2, 0, 0, 2236], [0, 1, 2, 0, -2120],
+    [0, 2, 0, 0, -2069], [2, -2, -1, 0, 2048], [2, 0, 1, -2, -1773],
+    [2, 0, 0, 2, -1595], [4, -1, -1, 0, 1215], [0, 0, 2, 2, -1110],
+    [3, 0, -1, 0, -892], [2, 1, 1, 0, -810], [4, -1, -2, 0, 759],
+    [0, 2, -1, 0, -713], [2, 2, -1, 0, -700], [2, 1, -2, 0, 691],
+    [2, -1, 0, -2, 596], [4, 0, 1, 0, 549], [0, 0, 4, 0, 537],
+    [4, -1, 0, 0, 520], [1, 0, -2, 0, -487], [2, 1, 0, -2, -399],
+    [0, 0, 2, -2, -381], [1, 1, 1, 0, 351], [3, 0, -2, 0, -340],
+    [4, 0, -3, 0, 330], [2, -1, 2, 0, 327], [0, 2, 1, 0, -323],
+    [1, 1, -1, 0, 299], [2, 0, 3, 0, 294]
+];
+
+// Moon phases by elongation from the Sun, each the 45° centred on its angle
+const MOON_PHASES = [
+    { name: 'New Moon', icon: '🌑' },
+    { name: 'Waxing Crescent', icon: '🌒' },
+    { name: 'First Quarter', icon: '🌓' },
+    { name: 'Waxing Gibbous', icon: '🌔' },
+    { name: 'Full Moon', icon: '🌕' },
+    { name: 'Waning Gibbous', icon: '🌖' },
+    { name: 'Last Quarter', icon: '🌗' },
+    { name: 'Waning Crescent', icon: '🌘' }
+];
+
+// Eclipses from the new and full moons, after J. Meeus, "Astronomical
+// Algorithms" ch. 54. Arguments in degrees (the JDE in days) as
+// c0 + c1·k + c2·T² + c3·T³ + c4·T⁴, with k the lunation number (0 at the
+// new moon of 2000 January 6, halves at full moons) and T = k / 1236.85.
+const ECLIPSE_ARGUMENTS = {
+    jde: [2451550.09766, 29.530588861, 0.00015437, -0.000000150, 0.00000000073],
+    M: [2.5534, 29.10535670, -0.0000014, -0.00000011],
+    Mp: [201.5643, 385.81693528, 0.0107582, 0.00001238, -0.000000058],
+    F: [160.7108, 390.67050284, -0.0016118, -0.00000227, 0.000000011],
+    omega: [124.7746, -1.56375588, 0.0020672, 0.00000215]
+};
+
+// Corrections to the time of greatest eclipse [M, Mp, F1, days at new moon,
+// days at full moon]. Terms with M are scaled once by the Earth's eccentricity.
+const ECLIPSE_TIME_TERMS = [
+    [0, 1, 0, -0.4075, -0.4065], [1, 0, 0, 0.1721, 0.1727],
+    [0, 2, 0, 0.0161, 0.0161], [0, 0, 2, -0.0097, -0.0097],
+    [-1, 1, 0, 0.0073, 0.0073], [1, 1, 0, -0.0050, -0.0050],
+    [0, 1, -2, -0.0023, -0.0023], [2, 0, 0, 0.0021, 0.0021],
+    [0, 1, 2, 0.0012, 0.0012], [1, 2, 0, 0.0006, 0.0006],
+    [0, 3, 0, -0.0004, -0.0004], [1, 0, 2, -0.0003, -0.0003],
+    [1, 0, -2, -0.0002, -0.0002], [-1, 2, 0, -0.0002, -0.0002]
+];
+
+// Kinds of eclipse, most spectacular first
+// (solar totals are every ~18 months, lunar ones every ~2 years, and both are
+// listed whenever they happen; the rest only when they mark a count)
+const ECLIPSE_TYPES = {
+    solar: {
+        total: { name: 'Total', icon: '🌑', listed: true, about: 'the Moon blots out the Sun' },
+        hybrid: { name: 'Hybrid', icon: '🌑', listed: true, about: 'the Moon blots out the Sun along part of its track and leaves a ring of sunlight along the rest' },
+        annular: { name: 'Annular', icon: '💍', about: 'the Moon leaves a ring of sunlight around itself' },
+        partial: { name: 'Partial', icon: '🌘', about: 'the Moon takes a bite out of the Sun' }
+    },
+    lunar: {
+        total: { name: 'Total', icon: '🔴', listed: true, about: "the Moon turns red in the Earth's shadow" },
+        partial: { name: 'Partial', icon: '🌗', about: "part of the Moon slips into the Earth's shadow" },
+        penumbral: { name: 'Penumbral', icon: '🌕', about: "the Moon dims in the Earth's outer shadow" }
+    }
+};
+
+// ΔT = TT − UT in seconds at the start of each decade from 1900 (IERS).
+// Outside the table the Morrison–Stephenson parabola −20 + 32u² (u in
+// centuries from 1820) carries on from the nearest end.
+const DELTA_T = {
+    startYear: 1900,
+    stepYears: 10,
+    seconds: [-2.7, 10.4, 21.2, 24.0, 24.3, 29.1, 33.2, 40.2, 50.5, 56.9, 63.8, 66.1, 69.4]
 };
 
 // ============================================================================
 // NUMBER SEQUENCES
 // ============================================================================
 
-// Fibonacci sequence (extended for seconds milestones - covers 95+ years)
-const FIBONACCI = [1, 2, 3, 5, 8, 13, 21, 34, 55, 89, 144, 233, 377, 610, 987, 1597, 2584, 4181, 6765, 10946, 17711, 28657, 46368, 75025, 121393, 196418, 317811, 514229, 832040, 1346269, 2178309, 3524578, 5702887, 9227465, 14930352, 24157817, 39088169, 63245986, 102334155, 165580141, 267914296, 433494437, 701408733, 1134903170, 1836311903, 2971215073];
+// Declared integer sequences. The engine in calculator.js
+// (Calculator.registerSequence) turns each into second, minute, hour and day
+// milestones within a lifetime:
+//   id        generator id          idPrefix  event id prefix
+//   terms()   generator yielding the sequence, eventually increasing; term n
+//             is `firstIndex` + its position
+//   name      title word ("Fibonacci Seconds"); noun + wikiKey link the
+//             description; symbol labels the term ("F(31)"), if it has one,
+//             or term(n) does when it's written differently ("10!")
+//   explain   optional (value, n) => detail shown after the noun
+//   series, constant  optional rarity fields for every event (see RARITY)
+//   notable   values always kept when the sequence is too dense to show in full;
+//             notableIn the same per unit ({ hours: [...] })
+//   min       optional per-unit lower bounds replacing SEQUENCE_UNITS' ones
+//   landmarks false when every 10th/25th/… term means nothing (palindromes)
 
-// Lucas numbers (like Fibonacci but starts 2, 1)
-const LUCAS = [2, 1, 3, 4, 7, 11, 18, 29, 47, 76, 123, 199, 322, 521, 843, 1364, 2207, 3571, 5778, 9349, 15127, 24476, 39603, 64079, 103682, 167761, 271443, 439204, 710647, 1149851, 1860498, 3010349, 4870847, 7881196, 12752043, 20633239, 33385282, 54018521, 87403803];
+function* fibonacciLike(a, b) {
+    for (;;) {
+        yield a;
+        [a, b] = [b, a + b];
+    }
+}
 
-// Lookup maps for O(1) index access (avoids O(n) indexOf calls).
-// FIBONACCI omits the leading duplicate 1, so array[i] is conventionally F(i+2)
-// (F(1)=F(2)=1, F(3)=2, ...). LUCAS starts at L(0)=2, so array[i] is L(i).
-const FIBONACCI_INDEX = new Map(FIBONACCI.map((v, i) => [v, i + 2]));
-const LUCAS_INDEX = new Map(LUCAS.map((v, i) => [v, i]));
+// Exponents p with 2^p − 1 prime; each gives the even perfect number
+// 2^(p−1)(2^p − 1) (Euclid–Euler)
+const MERSENNE_EXPONENTS = [2, 3, 5, 7, 13, 17, 19, 31];
 
-// Perfect numbers (sum of proper divisors = number)
-const PERFECT_NUMBERS = [6, 28, 496, 8128];
+function reverseDigits(value, base) {
+    let reversed = 0;
+    for (let rest = value; rest > 0; rest = Math.floor(rest / base)) {
+        reversed = reversed * base + rest % base;
+    }
+    return reversed;
+}
 
-// Triangular numbers T(n) = n*(n+1)/2
-// Goes to n=150 so INTERESTING_TRIANGULAR entries like 5778 (T(107)) and
-// 8128 (T(127)) are reachable by the day-milestone filter
-const TRIANGULAR = [];
-for (let n = 1; n <= 150; n++) {
-    TRIANGULAR.push(n * (n + 1) / 2);
+// Palindromes in increasing order: mirror every first half of each length
+// (without its middle digit when the length is odd)
+function* palindromes() {
+    for (let length = 1; ; length++) {
+        const half = Math.ceil(length / 2);
+        const shift = 10 ** (length - half);
+        for (let first = 10 ** (half - 1); first < 10 ** half; first++) {
+            yield first * shift + reverseDigits(length % 2 ? Math.floor(first / 10) : first, 10);
+        }
+    }
 }
-const TRIANGULAR_INDEX = new Map(TRIANGULAR.map((v, i) => [v, i]));
 
-// Palindrome numbers (interesting ones for days)
-const PALINDROMES = [101, 111, 121, 131, 141, 151, 161, 171, 181, 191, 202, 212, 303, 313, 404, 414, 505, 515, 606, 616, 707, 717, 808, 818, 909, 919, 1001, 1111, 1221, 1331, 1441, 1551, 1661, 1771, 1881, 1991, 2002, 2112, 2222, 2332, 2442, 2552, 2662, 2772, 2882, 2992, 3003, 3113, 3223, 3333, 4004, 4114, 4224, 4334, 4444, 5005, 5115, 5225, 5335, 5445, 5555, 5775, 6006, 6116, 6226, 6336, 6446, 6556, 6666, 7007, 7117, 7227, 7337, 7447, 7557, 7667, 7777, 8008, 8118, 8228, 8338, 8448, 8558, 8668, 8778, 8888, 9009, 9119, 9229, 9339, 9449, 9559, 9669, 9779, 9889, 9999, 10001, 10101, 10201, 11011, 11111, 11211, 11311, 11411, 11511, 11611, 11711, 11811, 11911, 12021, 12121, 12221, 12321, 12921];
+const SEQUENCES = [
+    {
+        id: 'fibonacci', idPrefix: 'fib', category: 'fibonacci', icon: '🌀',
+        name: 'Fibonacci', noun: 'Fibonacci number', wikiKey: 'fibonacci', symbol: 'F',
+        // Skips the leading duplicate 1, so 1, 2, 3, 5 are F(2), F(3), F(4), F(5)
+        firstIndex: 2,
+        terms: () => fibonacciLike(1, 2)
+    },
+    {
+        id: 'lucas', idPrefix: 'lucas', category: 'fibonacci', icon: '🔷',
+        name: 'Lucas', noun: 'Lucas number', wikiKey: 'lucas', symbol: 'L',
+        firstIndex: 0,
+        terms: () => fibonacciLike(2, 1)
+    },
+    {
+        id: 'perfect-numbers', idPrefix: 'perfect', category: 'mathematical', icon: '💎',
+        name: 'Perfect', noun: 'perfect number', wikiKey: 'perfect',
+        explain: value => `${value.toLocaleString()} = the sum of its divisors`,
+        firstIndex: 1,
+        // Too few to skip the small ones: 6 and 28 days, 496 and 8,128 hours
+        min: { days: 1, hours: 100 },
+        * terms() {
+            for (const p of MERSENNE_EXPONENTS) {
+                yield 2 ** (p - 1) * (2 ** p - 1);
+            }
+        }
+    },
+    {
+        id: 'triangular', idPrefix: 'triangular', category: 'mathematical', icon: '🔺',
+        name: 'Triangular', noun: 'triangular number', wikiKey: 'triangular', symbol: 'T',
+        explain: (_value, n) => `1+2+3+…+${n}`,
+        firstIndex: 1,
+        notable: [666, 1225, 2016, 3003, 5050, 5778, 8128],
+        // Every 10th term below 10,000 days, and the first hours
+        notableIn: {
+            days: [210, 465, 820, 1830, 2485, 3240, 4095, 6105, 7260, 8515, 9870],
+            hours: [10011, 10731]
+        },
+        * terms() {
+            for (let n = 1; ; n++) {
+                yield n * (n + 1) / 2;
+            }
+        }
+    },
+    {
+        id: 'palindromes', idPrefix: 'palindrome', category: 'mathematical', icon: '🪞',
+        name: 'Palindrome', noun: 'palindrome', wikiKey: 'palindrome',
+        explain: () => 'it reads the same forwards and backwards',
+        firstIndex: 1,
+        landmarks: false,
+        notable: [
+            1001, 1111, 1221, 1331, 1441, 2112, 2222, 2552, 3003, 3333, 4444, 5005,
+            5555, 5775, 6666, 7007, 7337, 7777, 8888, 9009, 9999,
+            10001, 10101, 10201, 11011, 11111, 11211, 12021, 12121, 12221, 12321, 12921
+        ],
+        terms: palindromes
+    },
+    {
+        id: 'repunits', idPrefix: 'repunit', category: 'binary', icon: '1️⃣',
+        name: 'Repunit', noun: 'repunit', wikiKey: 'repunit',
+        explain: () => 'all 1s',
+        firstIndex: 1,
+        min: { hours: 1000 },
+        * terms() {
+            for (let value = 1; ; value = value * 10 + 1) {
+                yield value;
+            }
+        }
+    }
+];
 
-// Repunit numbers (all 1s)
-const REPUNITS = [11, 111, 1111, 11111, 111111, 1111111, 11111111];
+// Sequences the combinatorics generator emits together with the binomial
+// highlights below (not registered one by one)
+const COMBINATORIAL_SEQUENCES = [
+    {
+        id: 'factorial', series: 'factorial', constant: 'factorial', icon: '❗',
+        name: 'Factorial', noun: 'factorial', wikiKey: 'factorial', term: n => `${n}!`,
+        explain: (_value, n) => `${n}! = 1×2×3×…×${n}`,
+        firstIndex: 1,
+        * terms() {
+            for (let n = 1, value = 1; ; n++, value *= n) {
+                yield value;
+            }
+        }
+    },
+    {
+        id: 'double-factorial', series: 'double-factorial', icon: '‼️',
+        name: 'Double Factorial', noun: 'double factorial', wikiKey: 'doubleFactorial', term: n => `${n}!!`,
+        explain: (_value, n) => `${n}!! = ${n}×${n - 2}×${n - 4}×…×${n % 2 ? 1 : 2}`,
+        firstIndex: 1,
+        * terms() {
+            // n!! = n × (n−2)!!, so keep the last two
+            for (let n = 1, previous = 1, value = 1; ; n++, [previous, value] = [value, previous * n]) {
+                yield value;
+            }
+        }
+    },
+    {
+        id: 'catalan', series: 'catalan', icon: '🌳',
+        name: 'Catalan', noun: 'Catalan number', wikiKey: 'catalan', symbol: 'C',
+        explain: (_value, n) => `the number of ways to cut a polygon with ${n + 2} sides into triangles`,
+        firstIndex: 0,
+        * terms() {
+            for (let n = 0, value = 1; ; value = value * 2 * (2 * n + 1) / (n + 2), n++) {
+                yield value;
+            }
+        }
+    },
+    {
+        id: 'central-binomial', series: 'central-binomial', icon: '📐',
+        name: 'Central Binomial', noun: 'central binomial coefficient', wikiKey: 'centralBinomial',
+        term: n => `C(${2 * n},${n})`,
+        explain: (_value, n) => `${2 * n} choose ${n}, the middle of row ${2 * n} of Pascal's triangle`,
+        firstIndex: 0,
+        * terms() {
+            for (let n = 0, value = 1; ; value = value * 2 * (2 * n + 1) / (n + 1), n++) {
+                yield value;
+            }
+        }
+    }
+];
+
+// Binomial coefficients everybody has met: C(n, k) = what there is `count`
+const BINOMIAL_HIGHLIGHTS = [
+    { n: 52, k: 5, count: 'five-card poker hands', icon: '🃏', constant: 'pokerHands' },
+    { n: 49, k: 6, count: 'tickets in a 6-from-49 lottery', icon: '🎟️', constant: 'lottery' }
+];
+
+// Primes (Calculator._addPrimeMilestones). Day, hour and minute counts are
+// searched for Mersenne primes, the primes either side of each power of ten,
+// the first twin primes past it, and the PRIME_RANKS below; seconds get the
+// famous primes instead.
+const PRIME_UNITS = ['minutes', 'hours', 'days'];
+
+// The nth prime, for round n
+const PRIME_RANKS = [
+    { rank: 1000, prime: 7919 },
+    { rank: 10000, prime: 104729 },
+    { rank: 100000, prime: 1299709 },
+    { rank: 1000000, prime: 15485863 },
+    { rank: 10000000, prime: 179424673 }
+];
+
+const FAMOUS_PRIME_SECONDS = [
+    { value: 15485863, why: 'the millionth prime' },
+    { value: 179424673, why: 'the ten-millionth prime' },
+    { value: 1000000007, why: '10⁹ + 7, the modulus behind countless programming-contest answers' },
+    { value: 1234567891, why: 'the digits 1 to 9, and then 1 again' },
+    {
+        value: 2147483647, constant: 'int32Max',
+        why: '2³¹ − 1, a Mersenne prime and the most seconds a signed 32-bit clock can count'
+    }
+];
+
+// Units every sequence is counted in. Terms below `min` come too soon after
+// birth to celebrate; terms past MAX_YEARS are never reached.
+const SEQUENCE_UNITS = [
+    { unit: 'seconds', label: 'Second', ms: MS_PER_SECOND, min: 1e6 },
+    { unit: 'minutes', label: 'Minute', ms: MS_PER_MINUTE, min: 1e5 },
+    { unit: 'hours', label: 'Hour', ms: MS_PER_HOUR, min: 1e4 },
+    { unit: 'days', label: 'Day', ms: MS_PER_DAY, min: 100 }
+];
+
+// A sequence with more terms than this in a unit's range is too dense to show
+// in full: only its notable values and landmark terms (every 10th, 25th,
+// 50th, 100th, … — the smallest step giving at most SEQUENCE_MAX_LANDMARKS)
+// are kept
+const SEQUENCE_MAX_TERMS_PER_UNIT = 25;
+const SEQUENCE_MAX_LANDMARKS = 10;
+
+// ============================================================================
+// DISCOVERED NUMBERS
+// Beyond the curated lists, calculator.js scans each unit for counts with a
+// notable property and files them under "discovered". A property yields its
+// candidates up to a limit (in any order); noun, wikiKey and detail(value)
+// explain a hit, as for sequences.
+// ============================================================================
+
+const DISCOVERY_UNITS = [
+    ...SEQUENCE_UNITS,
+    { unit: 'weeks', label: 'Week', ms: MS_PER_WEEK, min: 100 }
+];
+
+// Only counts within this many digits of the largest a lifetime reaches in
+// the unit are scanned (days: 1,000 up to ~43,800)
+const DISCOVERY_DIGIT_SPAN = 2;
+
+// Most discovered counts per unit, taken evenly across the properties
+const DISCOVERY_MAX_PER_UNIT = 8;
+
+// Bases whose powers aren't celebrated already: not decimal, not the bases in
+// baseMilestones and binary, and not their powers (4 = 2², 9 = 3², 36 = 6², …)
+const DISCOVERY_BASES = [11, 13, 14, 15, 17, 18, 19, 20, 21, 22, 23, 24, 26, 28, 29, 30, 31, 33, 34, 35];
+
+// A trailing zero can't mirror a leading digit, so those are out at once
+function isPalindromeIn(value, base) {
+    return value % base !== 0 && reverseDigits(value, base) === value;
+}
+
+// Decimal palindromes up to the largest max asked for so far, shared by the
+// binary and hexadecimal properties so they're enumerated once
+let decimalPalindromes = { max: 0, values: [] };
+
+// Decimal palindromes up to max that are palindromes in `base` as well
+function doublePalindromes(base, max) {
+    if (max > decimalPalindromes.max) {
+        const values = [];
+        for (const value of palindromes()) {
+            if (value > max) { break; }
+            values.push(value);
+        }
+        decimalPalindromes = { max, values };
+    }
+    return decimalPalindromes.values.filter(value => value <= max && isPalindromeIn(value, base));
+}
+
+const DISCOVERY_PROPERTIES = [
+    {
+        id: 'repdigit', noun: 'repdigit', wikiKey: 'repdigit',
+        detail: value => `every digit is a ${String(value)[0]}`,
+        // All 1s is a repunit, a sequence of its own
+        * candidates(max) {
+            for (let length = 2; 10 ** (length - 1) <= max; length++) {
+                for (let digit = 2; digit <= 9; digit++) {
+                    yield digit * (10 ** length - 1) / 9;
+                }
+            }
+        }
+    },
+    {
+        id: 'ascending', noun: 'digit run',
+        detail: () => 'its digits count up 1, 2, 3, …',
+        * candidates() {
+            for (let length = 3; length <= 10; length++) {
+                yield Number('1234567890'.slice(0, length));
+            }
+        }
+    },
+    {
+        id: 'descending', noun: 'digit run',
+        detail: () => 'its digits count down 9, 8, 7, …',
+        * candidates() {
+            for (let length = 3; length <= 10; length++) {
+                yield Number('9876543210'.slice(0, length));
+            }
+        }
+    },
+    {
+        id: 'binary-palindrome', noun: 'palindrome', wikiKey: 'palindrome',
+        detail: value => `in binary too: ${value.toString(2)}`,
+        candidates: max => doublePalindromes(2, max)
+    },
+    {
+        id: 'hex-palindrome', noun: 'palindrome', wikiKey: 'palindrome',
+        detail: value => `in hexadecimal too: 0x${value.toString(16).toUpperCase()}`,
+        candidates: max => doublePalindromes(16, max)
+    },
+    {
+        id: 'round-base', noun: 'round number', wikiKey: 'radix',
+        detail: value => {
+            const base = DISCOVERY_BASES.find(b => b ** Math.round(Math.log(value) / Math.log(b)) === value);
+            const power = Math.round(Math.log(value) / Math.log(base));
+            return `1${'0'.repeat(power)} in base ${base}`;
+        },
+        * candidates(max) {
+            for (const base of DISCOVERY_BASES) {
+                for (let power = 4; base ** power <= max; power++) {
+                    yield base ** power;
+                }
+            }
+        }
+    }
+];
 
 // Powers of 2 for binary milestones
 const POWERS_OF_2 = [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32];
@@ -124,22 +773,7 @@ const HEX_MILESTONES = [
     { value: 0x1000000, hex: '0x1000000' },
     { value: 0xFFFFFF, hex: '0xFFFFFF' },
     { value: 0x10000000, hex: '0x10000000' },
-    { value: 0xDEADBEEF, hex: '0xDEADBEEF' }
-];
-
-// Palindrome hours
-const PALINDROME_HOURS = [10001, 10101, 10201, 11011, 11111, 11211, 12021, 12121, 12221, 12321];
-
-// Perfect numbers that work as hour milestones
-const PERFECT_HOUR_NUMBERS = [496, 8128];
-
-// Interesting triangular numbers for day milestones
-const INTERESTING_TRIANGULAR = [666, 1225, 2016, 3003, 5050, 5778, 8128];
-
-// Interesting palindrome days
-const INTERESTING_PALINDROME_DAYS = [
-    1001, 1221, 1331, 1441, 2112, 2552, 3003, 5005, 5775, 7007, 7337, 9009,
-    10001, 10101, 11011, 11111, 12321, 12921
+    { value: 0xDEADBEEF, hex: '0xDEADBEEF', constant: 'deadbeef' }
 ];
 
 // Distance formatting thresholds (in meters)
@@ -166,11 +800,37 @@ const WIKI_URLS = {
     triangular: 'https://en.wikipedia.org/wiki/Triangular_number',
     palindrome: 'https://en.wikipedia.org/wiki/Palindromic_number',
     repunit: 'https://en.wikipedia.org/wiki/Repunit',
+    repdigit: 'https://en.wikipedia.org/wiki/Repdigit',
+    factorial: 'https://en.wikipedia.org/wiki/Factorial',
+    doubleFactorial: 'https://en.wikipedia.org/wiki/Double_factorial',
+    catalan: 'https://en.wikipedia.org/wiki/Catalan_number',
+    centralBinomial: 'https://en.wikipedia.org/wiki/Central_binomial_coefficient',
+    binomial: 'https://en.wikipedia.org/wiki/Binomial_coefficient',
+    prime: 'https://en.wikipedia.org/wiki/Prime_number',
+    mersennePrime: 'https://en.wikipedia.org/wiki/Mersenne_prime',
+    twinPrime: 'https://en.wikipedia.org/wiki/Twin_prime',
+    int32Max: 'https://en.wikipedia.org/wiki/2,147,483,647',
+    radix: 'https://en.wikipedia.org/wiki/Radix',
     phi: 'https://en.wikipedia.org/wiki/Golden_ratio',
     pi: 'https://en.wikipedia.org/wiki/Pi',
     e: 'https://en.wikipedia.org/wiki/E_(mathematical_constant)',
     tau: 'https://en.wikipedia.org/wiki/Tau_(mathematics)',
     speedOfLight: 'https://en.wikipedia.org/wiki/Speed_of_light',
+    fineStructure: 'https://en.wikipedia.org/wiki/Fine-structure_constant',
+    avogadro: 'https://en.wikipedia.org/wiki/Avogadro_constant',
+    caesium: 'https://en.wikipedia.org/wiki/Caesium_standard',
+    standardGravity: 'https://en.wikipedia.org/wiki/Standard_gravity',
+    planck: 'https://en.wikipedia.org/wiki/Planck_constant',
+    boltzmann: 'https://en.wikipedia.org/wiki/Boltzmann_constant',
+    elementaryCharge: 'https://en.wikipedia.org/wiki/Elementary_charge',
+    planckTime: 'https://en.wikipedia.org/wiki/Planck_units#Planck_time',
+    shake: 'https://en.wikipedia.org/wiki/Shake_(unit)',
+    jiffy: 'https://en.wikipedia.org/wiki/Jiffy_(time)',
+    millisecond: 'https://en.wikipedia.org/wiki/Millisecond',
+    microsecond: 'https://en.wikipedia.org/wiki/Microsecond',
+    century: 'https://en.wikipedia.org/wiki/Century',
+    fortnight: 'https://en.wikipedia.org/wiki/Fortnight',
+    siderealDay: 'https://en.wikipedia.org/wiki/Sidereal_time',
     tenKHours: 'https://en.wikipedia.org/wiki/Outliers_(book)',
     answer42: 'https://en.wikipedia.org/wiki/Phrases_from_The_Hitchhiker%27s_Guide_to_the_Galaxy#The_Answer_to_the_Ultimate_Question_of_Life,_the_Universe,_and_Everything_is_42',
     binary: 'https://en.wikipedia.org/wiki/Binary_number',
@@ -190,6 +850,13 @@ const WIKI_URLS = {
     moleDay: 'https://en.wikipedia.org/wiki/Mole_Day',
     fibonacciDay: 'https://en.wikipedia.org/wiki/Fibonacci_Day',
     lunation: 'https://en.wikipedia.org/wiki/Lunar_month#Synodic_month',
+    solarReturn: 'https://en.wikipedia.org/wiki/Solar_return',
+    solarDay: 'https://en.wikipedia.org/wiki/Solar_time',
+    sol: 'https://en.wikipedia.org/wiki/Timekeeping_on_Mars#Sols',
+    lunarPhase: 'https://en.wikipedia.org/wiki/Lunar_phase',
+    siderealMonth: 'https://en.wikipedia.org/wiki/Lunar_month#Sidereal_month',
+    solarEclipse: 'https://en.wikipedia.org/wiki/Solar_eclipse',
+    lunarEclipse: 'https://en.wikipedia.org/wiki/Lunar_eclipse',
     mercury: 'https://en.wikipedia.org/wiki/Mercury_(planet)#Orbit,_rotation,_and_longitude',
     venus: 'https://en.wikipedia.org/wiki/Venus#Orbit_and_rotation',
     mars: 'https://en.wikipedia.org/wiki/Mars#Orbit_and_rotation',
@@ -197,6 +864,23 @@ const WIKI_URLS = {
     saturn: 'https://en.wikipedia.org/wiki/Saturn#Orbit_and_rotation',
     uranus: 'https://en.wikipedia.org/wiki/Uranus#Orbit_and_rotation',
     neptune: 'https://en.wikipedia.org/wiki/Neptune#Orbit_and_rotation',
+    ceres: 'https://en.wikipedia.org/wiki/Ceres_(dwarf_planet)',
+    pluto: 'https://en.wikipedia.org/wiki/Pluto',
+    haumea: 'https://en.wikipedia.org/wiki/Haumea',
+    makemake: 'https://en.wikipedia.org/wiki/Makemake',
+    eris: 'https://en.wikipedia.org/wiki/Eris_(dwarf_planet)',
+    phobos: 'https://en.wikipedia.org/wiki/Phobos_(moon)',
+    io: 'https://en.wikipedia.org/wiki/Io_(moon)',
+    europa: 'https://en.wikipedia.org/wiki/Europa_(moon)',
+    ganymede: 'https://en.wikipedia.org/wiki/Ganymede_(moon)',
+    callisto: 'https://en.wikipedia.org/wiki/Callisto_(moon)',
+    titan: 'https://en.wikipedia.org/wiki/Titan_(moon)',
+    triton: 'https://en.wikipedia.org/wiki/Triton_(moon)',
+    halley: 'https://en.wikipedia.org/wiki/Halley%27s_Comet',
+    encke: 'https://en.wikipedia.org/wiki/Comet_Encke',
+    churyumovGerasimenko: 'https://en.wikipedia.org/wiki/67P/Churyumov%E2%80%93Gerasimenko',
+    tempelTuttle: 'https://en.wikipedia.org/wiki/55P/Tempel%E2%80%93Tuttle',
+    swiftTuttle: 'https://en.wikipedia.org/wiki/Comet_Swift%E2%80%93Tuttle',
     lightSecond: 'https://en.wikipedia.org/wiki/Light-second',
     lightMinute: 'https://en.wikipedia.org/wiki/Light-minute',
     lightHour: 'https://en.wikipedia.org/wiki/Light-hour',
@@ -393,10 +1077,50 @@ const baseMilestones = [
     ] }
 ];
 
+// Lesser-known units of time (`name` is the plural used in sentences). A unit
+// lasts `ms` milliseconds (as written), or 1 / `hz` seconds when it is defined
+// by a frequency; its milestones are the listed powers of 10, powers of 2 and
+// plain round `values` of that unit. New units are data-only additions.
+const EXOTIC_TIME_UNITS = [
+    { id: 'planck-times', name: 'Planck times', label: 'Planck Times', wikiKey: 'planckTime', icon: '🔬', category: 'scientific', ms: 5.391247e-41,
+        about: 'a Planck time is 5.39 × 10⁻⁴⁴ s, the shortest interval physics can talk about', powers10: [51, 52], powers2: [172, 175] },
+    { id: 'shakes', name: 'shakes', label: 'Shakes', wikiKey: 'shake', icon: '〰️', category: 'scientific', ms: 1e-5,
+        about: 'a shake is 10 nanoseconds, a unit from nuclear physics', powers10: [16], powers2: [55, 57] },
+    { id: 'caesium-periods', name: 'caesium periods', label: 'Caesium Periods', wikiKey: 'caesium', icon: '⚛️', category: 'scientific', hz: 9192631770,
+        about: '9,192,631,770 caesium-133 periods make one SI second', powers10: [18, 19], powers2: [60, 63] },
+    { id: 'jiffies', name: 'jiffies', label: 'Jiffies', wikiKey: 'jiffy', icon: '⚡', category: 'binary', ms: 10,
+        about: 'a jiffy is 1/100 s, the classic Linux timer tick', powers2: [32, 35, 37] },
+    { id: 'milliseconds', name: 'milliseconds', label: 'Milliseconds', wikiKey: 'millisecond', icon: '⏱️', category: 'binary', ms: 1,
+        about: 'the unit of JavaScript\'s Date.now()', powers10: [12], powers2: [35, 40] },
+    { id: 'microseconds', name: 'microseconds', label: 'Microseconds', wikiKey: 'microsecond', icon: '⏲️', category: 'binary', ms: 1e-3,
+        about: 'a microsecond is a millionth of a second', powers2: [45, 48, 50] },
+    { id: 'nanocenturies', name: 'nanocenturies', label: 'Nanocenturies', wikiKey: 'century', icon: '🥧', category: 'decimal', ms: 3155.76,
+        about: 'a nanocentury is 3.156 s, close enough to π seconds for programmers', powers2: [26, 28, 29] },
+    { id: 'microcenturies', name: 'microcenturies', label: 'Microcenturies', wikiKey: 'century', icon: '🎓', category: 'decimal', ms: 3155760,
+        about: 'a microcentury is 52.6 minutes, the length of a lecture', values: [100000, 500000, 1000000] },
+    { id: 'fortnights', name: 'fortnights', label: 'Fortnights', wikiKey: 'fortnight', icon: '🗓️', category: 'decimal', ms: 1209600000,
+        about: 'a fortnight is 14 nights', powers2: [10], values: [100, 500, 1000, 2000] },
+    { id: 'sidereal-days', name: 'sidereal days', label: 'Sidereal Days', wikiKey: 'siderealDay', icon: '🌟', category: 'scientific', ms: 86164090.5,
+        about: 'a sidereal day is one turn of the Earth against the stars, 3 min 56 s short of a solar day', values: [10000, 20000, 25000, 30000] }
+];
+
+// Units for user-defined custom milestones (e.g. "777777777s" in the family URL).
+// code is the canonical URL suffix; aliases are accepted when parsing user input.
+const CUSTOM_MILESTONE_UNITS = {
+    seconds: { code: 's', label: 'Seconds', ms: MS_PER_SECOND, aliases: ['s', 'sec', 'secs', 'second', 'seconds'] },
+    minutes: { code: 'm', label: 'Minutes', ms: MS_PER_MINUTE, aliases: ['m', 'min', 'mins', 'minute', 'minutes'] },
+    hours: { code: 'h', label: 'Hours', ms: MS_PER_HOUR, aliases: ['h', 'hr', 'hrs', 'hour', 'hours'] },
+    days: { code: 'd', label: 'Days', ms: MS_PER_DAY, aliases: ['d', 'day', 'days'] },
+    weeks: { code: 'w', label: 'Weeks', ms: MS_PER_WEEK, aliases: ['w', 'wk', 'wks', 'week', 'weeks'] }
+};
+
+// Per-person cap on custom milestones (the push cron checks each one every minute)
+const MAX_CUSTOM_MILESTONES = 10;
+
 // Pop culture milestones
 const popCultureMilestones = [
-    { value: 42e6, unit: MS_PER_SECOND, label: '42 Million Seconds', icon: '🌌', desc: 'The Answer to Life, the Universe, and Everything!' },
-    { value: 1337, unit: MS_PER_DAY, label: '1,337 Days', icon: '🎮', desc: 'You are now officially 1337 (elite)!' }
+    { value: 42e6, unit: MS_PER_SECOND, unitName: 'seconds', constant: 'answer42', label: '42 Million Seconds', icon: '🌌', desc: 'The Answer to Life, the Universe, and Everything!' },
+    { value: 1337, unit: MS_PER_DAY, unitName: 'days', constant: 'leet', label: '1,337 Days', icon: '🎮', desc: 'You are now officially 1337 (elite)!' }
 ];
 
 // Nerdy holidays
@@ -416,6 +1140,87 @@ const powerOf2Ages = { 2: '2¹', 4: '2²', 8: '2³', 16: '2⁴', 32: '2⁵', 64:
 const cubeAges = { 8: '2³', 27: '3³', 64: '4³' };
 const hexRoundAges = { 16: '0x10', 32: '0x20', 48: '0x30', 64: '0x40', 80: '0x50', 96: '0x60', 112: '0x70' };
 
+// ============================================================================
+// RARITY SCORING
+// Score 0-100 from: how often this kind of milestone happens in a lifetime
+// (scarcity), how memorable the number is (roundness), how close it is to the
+// largest of its kind (magnitude), being the first of its kind, the unit, and
+// special constants. Tune freely — display-only.
+// ============================================================================
+
+const RARITY_WEIGHTS = {
+    // Once-per-lifetime kinds get all of it; kinds seen scarcityCeiling times get none
+    scarcity: 40,
+    scarcityCeiling: 500,
+    // 10^n gets all of it (see roundness in calculator.js)
+    roundness: 40,
+    // The largest count of its kind in a lifetime gets all of it, 10× smaller none
+    magnitude: 8,
+    // Count of 1: the first orbit/lap (Jupiter Year 1, Saturn Year 1, ...)
+    first: 30,
+    // Each property past the first of a special birthday (64 = 8² = 4³ = 2⁶ = 0x40)
+    extraTrait: 7,
+    // Roundness and magnitude count fully from this age, scaled down before
+    adultAgeYears: 10,
+    // Likewise for firsts: Mars Year 1 is worth a cake, light's first second isn't
+    firstAgeYears: 2
+};
+
+// Roundness of d × 10^n (or d × 1024^n) by its digit d
+const RARITY_LEADING_DIGITS = { 1: 1, 2: 0.9, 3: 0.9, 5: 0.7 };
+const RARITY_DEFAULT_LEADING_DIGIT = 0.3;
+
+// Unit familiarity multiplies the rest: a round number of days means more to
+// people than one of minutes, let alone of microcenturies
+const RARITY_UNIT_WEIGHTS = {
+    years: 1,
+    seconds: 1,
+    days: 1,
+    weeks: 1,
+    hours: 0.8,
+    minutes: 0.8,
+    months: 0.75
+};
+const RARITY_DEFAULT_UNIT_WEIGHT = 0.5;
+
+// Bonus points for milestones tied to a famous constant or joke
+const SPECIAL_CONSTANTS = {
+    answer42: 45,
+    deadbeef: 10,
+    leet: 10,
+    pi: 27,
+    e: 27,
+    phi: 27,
+    tau: 10,
+    speedOfLight: 5,
+    fineStructure: 10,
+    avogadro: 10,
+    caesium: 5,
+    factorial: 15,
+    pokerHands: 10,
+    lottery: 10,
+    int32Max: 15,
+    nearestStar: 30,
+    // Prime / square / cube / power-of-2 / hex-round birthdays
+    specialAge: 26
+};
+
+// Minimum score per tier
+const RARITY_TIERS = {
+    legendary: 55,
+    rare: 35
+};
+
+// ============================================================================
+// COMBOS
+// Milestones landing within COMBO_WINDOW_MS of each other are merged into one
+// combo event on the website. Each extra milestone adds COMBO_RARITY_BOOST to
+// the best member's rarity score.
+// ============================================================================
+
+const COMBO_WINDOW_MS = MS_PER_HOUR;
+const COMBO_RARITY_BOOST = 15;
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -444,6 +1249,17 @@ const MilestonesExports = {
     MS_PER_WEEK,
     MS_PER_YEAR,
     MS_PER_MONTH,
+    YEAR_DEFINITIONS,
+    DEFAULT_YEAR_DEFINITION,
+    LEAP_DAY_POLICIES,
+    DEFAULT_LEAP_DAY_POLICY,
+    FRACTIONAL_AGE_MODES,
+    DEFAULT_FRACTIONAL_AGE_MODE,
+    BIRTH_CALENDARS,
+    DEFAULT_BIRTH_CALENDAR,
+    UNKNOWN_BIRTH_TIME_WINDOW_MS,
+    DST_OCCURRENCES,
+    DEFAULT_DST_OCCURRENCE,
 
     // Math constants
     PI,
@@ -455,27 +1271,48 @@ const MilestonesExports = {
     SPEED_OF_LIGHT,
     METERS_PER_LIGHT_YEAR,
     COSMIC_DISTANCES,
+    PHYSICAL_CONSTANT_MILESTONES,
 
     // Planetary data
     PLANETS,
+    solarDayMilestones,
+    DWARF_PLANETS,
+    FIRST_ORBIT_FRACTIONS,
+    SLOW_BODY_MIN_DAYS,
+    MOONS,
+    moonOrbitMilestones,
+    PERIODIC_COMETS,
+    PLANETARY_RETURN_MODES,
+    DEFAULT_PLANETARY_RETURN_MODE,
+    ORBITAL_ELEMENTS,
+    PRECESSION_DEG_PER_CENTURY,
+    MOON_ARGUMENTS,
+    MOON_LONGITUDE_TERMS,
+    MOON_PHASES,
+    ECLIPSE_ARGUMENTS,
+    ECLIPSE_TIME_TERMS,
+    ECLIPSE_TYPES,
+    DELTA_T,
 
     // Number sequences
-    FIBONACCI,
-    LUCAS,
-    FIBONACCI_INDEX,
-    LUCAS_INDEX,
-    PERFECT_NUMBERS,
-    PERFECT_HOUR_NUMBERS,
-    TRIANGULAR,
-    TRIANGULAR_INDEX,
-    INTERESTING_TRIANGULAR,
-    PALINDROMES,
-    INTERESTING_PALINDROME_DAYS,
-    REPUNITS,
+    SEQUENCES,
+    COMBINATORIAL_SEQUENCES,
+    BINOMIAL_HIGHLIGHTS,
+    MERSENNE_EXPONENTS,
+    PRIME_UNITS,
+    PRIME_RANKS,
+    FAMOUS_PRIME_SECONDS,
+    SEQUENCE_UNITS,
+    SEQUENCE_MAX_TERMS_PER_UNIT,
+    SEQUENCE_MAX_LANDMARKS,
+    DISCOVERY_UNITS,
+    DISCOVERY_DIGIT_SPAN,
+    DISCOVERY_MAX_PER_UNIT,
+    DISCOVERY_BASES,
+    DISCOVERY_PROPERTIES,
     POWERS_OF_2,
     MINUTE_POWERS,
     HEX_MILESTONES,
-    PALINDROME_HOURS,
 
     // Distance thresholds
     DISTANCE_THRESHOLD_LIGHT_YEAR,
@@ -485,7 +1322,10 @@ const MilestonesExports = {
 
     // Lunar
     SYNODIC_MONTH_DAYS,
+    SIDEREAL_MONTH_DAYS,
     lunationMilestones,
+    lunarReturnMilestones,
+    eclipseMilestones,
 
     // Limits
     MAX_YEARS,
@@ -506,9 +1346,27 @@ const MilestonesExports = {
     weekMilestones,
     monthMilestones,
     baseMilestones,
+    EXOTIC_TIME_UNITS,
     popCultureMilestones,
     nerdyHolidays,
 
+    // Custom milestones
+    CUSTOM_MILESTONE_UNITS,
+    MAX_CUSTOM_MILESTONES,
+
+    // Rarity scoring
+    RARITY_WEIGHTS,
+    RARITY_LEADING_DIGITS,
+    RARITY_DEFAULT_LEADING_DIGIT,
+    RARITY_UNIT_WEIGHTS,
+    RARITY_DEFAULT_UNIT_WEIGHT,
+    SPECIAL_CONSTANTS,
+    RARITY_TIERS,
+
+    // Combos
+    COMBO_WINDOW_MS,
+    COMBO_RARITY_BOOST,
+
     // Birthday special labels
     primeAges,
     squareAges,
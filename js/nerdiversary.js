@@ -5,6 +5,8 @@
 
 import MilestonesRef from './milestones.js';
 import CalculatorRef from './calculator.js';
+import ClockRef from './clock.js';
+import EphemerisRef from './ephemeris.js';
 
 const Nerdiversary = {
 
@@ -12,15 +14,33 @@ const Nerdiversary = {
      * Calculate all nerdiversaries for a given birthdate
      * @param {Date} birthDate - The birth date/time
      * @param {number} yearsAhead - How many years ahead to calculate (default 100)
+     * @param {Object} [options] - Extra options
+     * @param {Array<{value: number, unit: string}>} [options.customMilestones] - User-defined milestones
+     * @param {Date} [options.now] - Reference time for isPast/daysFromNow (default Clock.now())
+     * @param {number} [options.comboWindowMs] - Merge milestones this close together into combos (default 0: off)
+     * @param {string} [options.yearDefinition] - Year used for Earth ages (see Milestones.YEAR_DEFINITIONS)
+     * @param {string} [options.leapDayPolicy] - Where Feb 29 birthdays fall in common years (see Milestones.LEAP_DAY_POLICIES)
+     * @param {boolean} [options.leapDayBirth] - Born on Feb 29 as written in the birth timezone
+     * @param {string} [options.fractionalAges] - How ¼/½/¾ birthdays are placed (see Milestones.FRACTIONAL_AGE_MODES)
+     * @param {string} [options.planetaryReturns] - Mean periods or true returns for planet years (see Milestones.PLANETARY_RETURN_MODES)
+     * @param {boolean} [options.birthTimeUnknown] - Only the birth day is known: events carry an earliest/latest window
      * @returns {Array} Array of nerdiversary objects with relative time info
      */
-    calculate(birthDate, yearsAhead = 100) {
-        const now = new Date();
+    calculate(birthDate, yearsAhead = 100, options = {}) {
+        const now = options.now || ClockRef.now();
 
         // Use shared calculator
         const events = CalculatorRef.calculate(birthDate, {
             yearsAhead,
-            includePast: true
+            includePast: true,
+            customMilestones: options.customMilestones || [],
+            comboWindowMs: options.comboWindowMs || 0,
+            yearDefinition: options.yearDefinition,
+            leapDayPolicy: options.leapDayPolicy,
+            leapDayBirth: options.leapDayBirth,
+            fractionalAges: options.fractionalAges,
+            planetaryReturns: options.planetaryReturns,
+            birthTimeUnknown: options.birthTimeUnknown
         });
 
         // Add relative time info for website display
@@ -31,6 +51,34 @@ const Nerdiversary = {
         }));
     },
 
+    /**
+     * Lazily yield the nerdiversaries after a given time, in date order
+     * @param {Date} birthDate - The birth date/time
+     * @param {Date} after - Yield events later than this
+     * @param {Object} [options] - Same options as calculate()
+     * @returns {Generator<Object>} Nerdiversary objects (never past)
+     */
+    * upcoming(birthDate, after, options = {}) {
+        const now = options.now || ClockRef.now();
+        for (const event of CalculatorRef.upcoming(birthDate, after, {
+            yearsAhead: 100,
+            customMilestones: options.customMilestones || [],
+            comboWindowMs: options.comboWindowMs || 0,
+            yearDefinition: options.yearDefinition,
+            leapDayPolicy: options.leapDayPolicy,
+            leapDayBirth: options.leapDayBirth,
+            fractionalAges: options.fractionalAges,
+            planetaryReturns: options.planetaryReturns,
+            birthTimeUnknown: options.birthTimeUnknown
+        })) {
+            yield {
+                ...event,
+                isPast: event.date < now,
+                daysFromNow: Math.floor((event.date.getTime() - now.getTime()) / MilestonesRef.MS_PER_DAY)
+            };
+        }
+    },
+
     /**
      * Get ordinal suffix for a number (1st, 2nd, 3rd, etc.)
      */
@@ -60,6 +108,43 @@ const Nerdiversary = {
         return date.toLocaleDateString('en-US', options);
     },
 
+    /**
+     * Format when an event happens: its instant, or for members with an
+     * unknown birth time the day (all-day events) or range it falls in
+     * @param {{date: Date, window?: {earliest: Date, latest: Date, allDay: boolean}}} event
+     * @returns {string}
+     */
+    formatEventDate(event) {
+        if (!event.window) { return this.formatDate(event.date); }
+        if (event.window.allDay) {
+            return `${event.date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })} (some time that day)`;
+        }
+        return `${this.formatDate(event.window.earliest)} – ${this.formatDate(event.window.latest)}`;
+    },
+
+    /**
+     * Format a family member's birth date. Old Style (Julian) dates show as
+     * written, followed by the Gregorian date milestones are counted from.
+     * @param {{dateStr: string, calendar?: string, birthDate: Date}} member
+     * @returns {string}
+     */
+    formatBirthDate(member) {
+        if (member.calendar !== 'julian') { return this.formatDate(member.birthDate); }
+        const [year, month, day] = member.dateStr.split('-').map(Number);
+        const monthName = new Date(Date.UTC(2000, month - 1, 1)).toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+        return `${monthName} ${day}, ${year} (Old Style) — ${this.formatDate(member.birthDate)}`;
+    },
+
+    /**
+     * Describe the Moon's phase at a birth, e.g. "🌔 Waxing Gibbous (78% lit)"
+     * @param {Date} birthDate
+     * @returns {string}
+     */
+    formatMoonPhase(birthDate) {
+        const { icon, name, illumination } = EphemerisRef.moonPhase(birthDate);
+        return `${icon} ${name} (${Math.round(illumination * 100)}% lit)`;
+    },
+
     /**
      * Format relative time (days until/since)
      */
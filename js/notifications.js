@@ -3,7 +3,7 @@
  * Handles service worker registration, permissions, and notification scheduling
  */
 
-import { formatNotificationTitle, localToUtcWithTimezone, WORKER_URL } from './shared.js';
+import { formatNotificationTitle, localToUtcWithTimezone, formatTimeStr, julianToGregorian, parseBirthdayOptions, formatBirthdayOptions, WORKER_URL } from './shared.js';
 
 // Storage keys
 const STORAGE_KEY_NOTIFICATIONS_ENABLED = 'nerdiversary-notifications-enabled';
@@ -336,26 +336,39 @@ async function subscribeToPush(familyParam) {
         // Convert family birth times to UTC on the client side.
         // Using the birth date (not current date) ensures correct DST handling —
         // e.g., a May birthday in Mountain time uses MDT (UTC-6), not MST (UTC-7).
+        // The Gregorian dates as written go along separately: a Feb 29 birth
+        // can be Feb 28 or Mar 1 in UTC, and the leap-day policy needs to know.
+        const birthDates = [];
         const utcFamily = familyParam.split(',').map(member => {
             const parts = member.split('|');
             const name = parts[0];
-            const dateStr = parts[1] || '';
             const timeStr = parts[2] || '00:00';
             const timezone = parts[3] || '';
-
-            let utcDate;
-            if (timezone) {
-                // Use specified timezone for correct historical DST
-                utcDate = localToUtcWithTimezone(dateStr, timeStr, timezone);
-            } else {
-                // Fall back to device timezone
-                utcDate = new Date(`${dateStr}T${timeStr}:00`);
-            }
+            const custom = parts[4] || '';
+            const options = parseBirthdayOptions(parts[5] || '');
+            // Old Style dates are sent as their Gregorian UTC instant, so neither
+            // the birth calendar nor a DST occurrence is passed on
+            const dateStr = options.calendar === 'julian' ? julianToGregorian(parts[1]) : parts[1] || '';
+            const birthday = formatBirthdayOptions({ ...options, calendar: undefined, occurrence: undefined });
+            birthDates.push(dateStr);
+
+            // Use specified timezone for correct historical DST, falling back to
+            // the device timezone
+            const utcDate = localToUtcWithTimezone(
+                dateStr,
+                timeStr,
+                timezone || new Intl.DateTimeFormat().resolvedOptions().timeZone,
+                options.occurrence
+            );
 
             if (isNaN(utcDate.getTime())) { return member; } // pass through invalid
             const utcDateStr = utcDate.toISOString().slice(0, 10);
-            const utcTimeStr = utcDate.toISOString().slice(11, 16);
-            return `${name}|${utcDateStr}|${utcTimeStr}`;
+            const utcTimeStr = formatTimeStr(utcDate.toISOString().slice(11, 19));
+            // Custom milestones and birthday options ride along in the 5th and
+            // 6th fields (timezone stays empty: UTC)
+            const fields = [name, utcDateStr, utcTimeStr, '', custom, birthday];
+            while (fields.length > 3 && !fields[fields.length - 1]) { fields.pop(); }
+            return fields.join('|');
         }).join(',');
 
         // Send subscription with UTC-converted birth times (timezoneOffset: 0)
@@ -367,6 +380,7 @@ async function subscribeToPush(familyParam) {
             body: JSON.stringify({
                 subscription: subscription.toJSON(),
                 family: utcFamily,
+                birthDates,
                 notificationTimes: getNotificationTimes(),
                 timezoneOffset: 0,
                 timezone: new Intl.DateTimeFormat().resolvedOptions().timeZone
@@ -6,14 +6,18 @@ import Nerdiversary from './nerdiversary.js';
 import Milestones from './milestones.js';
 import Notifications from './notifications.js';
 import * as Storage from './storage.js';
-import { parseFamilyParam, formatICalDate, getCategoryInfo, generateICal, WORKER_URL } from './shared.js';
+import Clock from './clock.js';
+import { parseFamilyParam, buildFamilyParam, formatDescriptionHtml, formatDescriptionText, formatICalDate, getCategoryInfo, generateICal, WORKER_URL } from './shared.js';
 
 let allEvents = [];
 let familyMembers = [];
 let currentFilter = 'all';
 let currentPerson = 'all';
 let currentView = 'upcoming';
+let yearDefinition = Milestones.DEFAULT_YEAR_DEFINITION;
+let planetaryReturns = Milestones.DEFAULT_PLANETARY_RETURN_MODE;
 let countdownInterval = null;
+let countdownTarget = null;
 let scheduledNotifications = [];
 
 // Cached DOM elements for countdown (to avoid querying every second)
@@ -68,6 +72,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         const urlParams = new URLSearchParams(window.location.search);
         const familyParam = urlParams.get('family');
 
+        // ?now=2031-05-14T10:00Z previews the page as of another instant
+        const previewNow = Clock.parse(urlParams.get('now'));
+        if (previewNow) {
+            Clock.travelTo(previewNow);
+        }
+
+        // ?year=sidereal picks the year used for Earth ages (unknown values ignored)
+        const yearParam = urlParams.get('year');
+        if (yearParam && Object.hasOwn(Milestones.YEAR_DEFINITIONS, yearParam)) {
+            yearDefinition = yearParam;
+        }
+
+        // ?returns=true counts planet years by true returns (unknown values ignored)
+        const returnsParam = urlParams.get('returns');
+        if (returnsParam && Object.hasOwn(Milestones.PLANETARY_RETURN_MODES, returnsParam)) {
+            planetaryReturns = returnsParam;
+        }
+
         if (familyParam) {
             // Load from URL params (shared link or navigation from index)
             familyMembers = parseFamilyParam(familyParam);
@@ -87,16 +109,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 if (storedFamily && storedFamily.length > 0) {
                     // Build the same param format as shared links, then parse it with
                     // the shared parser so timezone handling matches the URL path
-                    const newFamilyParam = storedFamily.map(m => {
-                        let param = `${encodeURIComponent(m.name)}|${m.date}`;
-                        if (m.time || m.timezone) {
-                            param += `|${m.time || ''}`;
-                        }
-                        if (m.timezone) {
-                            param += `|${m.timezone}`;
-                        }
-                        return param;
-                    }).join(',');
+                    const newFamilyParam = buildFamilyParam(storedFamily);
                     familyMembers = parseFamilyParam(newFamilyParam);
 
                     // Update URL for shareability (without triggering navigation).
@@ -131,6 +144,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Set up filter buttons
         setupFilters();
 
+        // Set up year definition and planet-year buttons
+        setupYearButtons();
+        setupReturnButtons();
+
         // Set up timeline toggle
         setupTimelineToggle();
 
@@ -158,15 +175,20 @@ function updateFamilyInfo() {
 
     if (familyMembers.length === 1) {
         const m = familyMembers[0];
-        familyInfo.innerHTML = `<p class="birth-info">${escapeHtml(m.name)}: Born ${Nerdiversary.formatDate(m.birthDate)}</p>`;
+        familyInfo.innerHTML = `<p class="birth-info">${escapeHtml(m.name)}: Born ${Nerdiversary.formatBirthDate(m)} · Moon: ${Nerdiversary.formatMoonPhase(m.birthDate)}</p>`;
     } else {
         const html = familyMembers.map(m =>
-            `<span class="family-member-badge" style="background: ${getColorForPerson(m.name)}">
+            `<span class="family-member-badge" style="background: ${getColorForPerson(m.name)}" title="Born ${escapeHtml(Nerdiversary.formatBirthDate(m))} · Moon: ${Nerdiversary.formatMoonPhase(m.birthDate)}">
                 ${escapeHtml(m.name)}
             </span>`
         ).join('');
         familyInfo.innerHTML = `<div class="family-badges">${html}</div>`;
     }
+
+    if (Clock.isTraveling()) {
+        familyInfo.insertAdjacentHTML('beforeend',
+            `<p class="birth-info">⏳ Previewing as of ${Nerdiversary.formatDate(Clock.now())}</p>`);
+    }
 }
 
 /**
@@ -233,7 +255,7 @@ function calculateAndDisplayEvents() {
 
     // Calculate events for each family member
     familyMembers.forEach(member => {
-        const events = Nerdiversary.calculate(member.birthDate, 100);
+        const events = Nerdiversary.calculate(member.birthDate, 100, getMemberOptions(member));
 
         // Add person info to each event
         events.forEach(event => {
@@ -244,17 +266,8 @@ function calculateAndDisplayEvents() {
                     return; // Skip this duplicate
                 }
                 seenSharedHolidays.add(holidayKey);
-                // Shared holidays belong to everyone
-                event.personName = 'Everyone';
-                event.personColor = '#7c3aed';
-            } else {
-                event.personName = member.name;
-                event.personColor = getColorForPerson(member.name);
-                // Make ID unique per person
-                event.id = `${member.name}-${event.id}`;
             }
-
-            allEvents.push(event);
+            allEvents.push(addPersonInfo(event, member));
         });
     });
 
@@ -268,6 +281,59 @@ function calculateAndDisplayEvents() {
     displayTimeline();
 }
 
+/**
+ * Options for one member's events, shared by the timeline and the countdown
+ */
+function getMemberOptions(member) {
+    return {
+        customMilestones: member.customMilestones,
+        comboWindowMs: Milestones.COMBO_WINDOW_MS,
+        yearDefinition,
+        planetaryReturns,
+        leapDayPolicy: member.leapDayPolicy,
+        leapDayBirth: member.gregorianDateStr.endsWith('-02-29'),
+        fractionalAges: member.fractionalAges,
+        birthTimeUnknown: member.timeUnknown
+    };
+}
+
+/**
+ * Attach person name/color to an event and make its ID unique per person
+ */
+function addPersonInfo(event, member) {
+    if (event.isSharedHoliday) {
+        // Shared holidays belong to everyone
+        event.personName = 'Everyone';
+        event.personColor = '#7c3aed';
+    } else {
+        event.personName = member.name;
+        event.personColor = getColorForPerson(member.name);
+        event.id = `${member.name}-${event.id}`;
+    }
+    return event;
+}
+
+/**
+ * Find the earliest event after `after` matching `predicate`, respecting the
+ * person filter. Uses the lazy upcoming() iterator so only the next stretch
+ * of each lifetime is generated; it merges combos like the timeline does.
+ */
+function findNextEvent(after, predicate = () => true) {
+    let next = null;
+    for (const member of familyMembers) {
+        // The shared holidays the filter keeps come with the chosen person's
+        if (currentPerson !== 'all' && member.name !== currentPerson) { continue; }
+        for (const event of Nerdiversary.upcoming(member.birthDate, after, getMemberOptions(member))) {
+            if (next && event.date >= next.date) { break; }
+            if (predicate(event)) {
+                next = addPersonInfo(event, member);
+                break;
+            }
+        }
+    }
+    return next;
+}
+
 /**
  * Get filtered events based on current person filter
  */
@@ -284,7 +350,7 @@ function getFilteredByPerson(events) {
  */
 function displayNextEvent() {
     const container = document.getElementById('next-event');
-    const now = new Date();
+    const now = Clock.now();
 
     // Invalidate cached countdown elements since we're rebuilding the DOM
     countdownElements.days = null;
@@ -293,9 +359,8 @@ function displayNextEvent() {
     countdownElements.seconds = null;
 
     // Get next event (respecting person filter)
-    const filteredEvents = getFilteredByPerson(allEvents);
-    const upcomingEvents = filteredEvents.filter(e => e.date > now);
-    const nextEvent = upcomingEvents[0];
+    const nextEvent = findNextEvent(now);
+    countdownTarget = nextEvent;
 
     if (!nextEvent) {
         container.innerHTML = '<p class="empty-state">No upcoming events found</p>';
@@ -312,15 +377,16 @@ function displayNextEvent() {
     const showPerson = familyMembers.length > 1;
 
     // Tease the next once-in-a-lifetime milestone if it isn't already the next event
-    const nextLegendary = upcomingEvents.find(e => e.rarity === 'legendary');
-    const legendaryLine = nextLegendary && nextLegendary !== nextEvent
-        ? `<div class="next-legendary">💎 Next legendary: ${nextLegendary.icon} ${nextLegendary.title}${showPerson ? ` (${escapeHtml(nextLegendary.personName)})` : ''} · ${Nerdiversary.formatDate(nextLegendary.date)}</div>`
+    const nextLegendary = findNextEvent(now, e => e.rarity === 'legendary');
+    const legendaryLine = nextLegendary && nextLegendary.id !== nextEvent.id
+        ? `<div class="next-legendary">💎 Next legendary: ${nextLegendary.icon} ${nextLegendary.title}${showPerson ? ` (${escapeHtml(nextLegendary.personName)})` : ''} · ${Nerdiversary.formatEventDate(nextLegendary)}</div>`
         : '';
 
     container.innerHTML = `
         <div class="countdown-title">${nextEvent.icon} ${nextEvent.title}</div>
         ${showPerson ? `<div class="countdown-person" style="background: ${nextEvent.personColor}">${escapeHtml(nextEvent.personName)}</div>` : ''}
-        <div class="countdown-date">${Nerdiversary.formatDate(nextEvent.date)}</div>
+        <div class="countdown-date">${Nerdiversary.formatEventDate(nextEvent)}</div>
+        ${nextEvent.window ? '<div class="countdown-window">🕰️ Birth time unknown — counting down to the earliest moment</div>' : ''}
         <div class="countdown-timer">
             <div class="countdown-unit">
                 <span class="countdown-value" id="countdown-days">${days}</span>
@@ -356,10 +422,8 @@ function startCountdownTimer() {
     let celebrationTriggered = false;
 
     countdownInterval = setInterval(() => {
-        const now = new Date();
-        const filteredEvents = getFilteredByPerson(allEvents);
-        const upcomingEvents = filteredEvents.filter(e => e.date > now);
-        const nextEvent = upcomingEvents[0];
+        const now = Clock.now();
+        const nextEvent = countdownTarget;
 
         if (!nextEvent) { return; }
 
@@ -400,13 +464,15 @@ function startCountdownTimer() {
  */
 function displayTimeline() {
     const timeline = document.getElementById('timeline');
-    const now = new Date();
+    const now = Clock.now();
 
     // Start with person filter
     let filteredEvents = getFilteredByPerson(allEvents);
 
-    // Apply category filter
-    if (currentFilter !== 'all') {
+    // Apply category filter ('rare' is a rarity filter: rare and legendary)
+    if (currentFilter === 'rare') {
+        filteredEvents = filteredEvents.filter(e => e.rarityScore >= Milestones.RARITY_TIERS.rare);
+    } else if (currentFilter !== 'all') {
         filteredEvents = filteredEvents.filter(e => e.category === currentFilter);
     }
 
@@ -440,16 +506,20 @@ function displayTimeline() {
             rare: '<span class="rarity-badge rare">⭐ Rare</span>'
         };
         const rarityBadge = rarityBadges[event.rarity] || '';
+        const comboList = event.combo ? `
+                    <ul class="combo-members">
+                        ${event.combo.map(m => `<li>${m.icon} <strong>${m.title}</strong> — ${formatDescriptionHtml(m)}</li>`).join('')}
+                    </ul>` : '';
 
         return `
-            <div class="event-card ${isPast ? 'past' : ''} ${isNext ? 'next' : ''} rarity-${event.rarity || 'common'}" data-category="${event.category}">
+            <div class="event-card ${isPast ? 'past' : ''} ${isNext ? 'next' : ''} ${event.combo ? 'combo' : ''} rarity-${event.rarity || 'common'}" data-category="${event.category}">
                 <div class="event-icon">${event.icon}</div>
                 <div class="event-content">
-                    <h3 class="event-title">${event.title} ${rarityBadge}</h3>
+                    <h3 class="event-title">${event.title} ${event.combo ? '<span class="combo-badge">🎰 Combo</span>' : ''} ${rarityBadge}</h3>
                     ${showPerson ? `<span class="event-person" style="background: ${event.personColor}">${escapeHtml(event.personName)}</span>` : ''}
-                    <p class="event-description">${event.description}</p>
+                    <p class="event-description">${formatDescriptionHtml(event)}</p>${comboList}
                     <div class="event-meta">
-                        <span class="event-date">${Nerdiversary.formatDate(event.date)}</span>
+                        <span class="event-date">${Nerdiversary.formatEventDate(event)}</span>
                         <span class="event-countdown">${Nerdiversary.formatRelative(event.daysFromNow)}</span>
                         <span class="event-category">${categoryInfo.icon} ${categoryInfo.name}</span>
                     </div>
@@ -514,6 +584,61 @@ function setupFilters() {
     });
 }
 
+/**
+ * Set up year definition buttons. The choice is kept in the URL (?year=) so
+ * share links and the calendar subscription use the same year.
+ */
+function setupYearButtons() {
+    setupChoiceButtons('year-buttons', 'year', Milestones.DEFAULT_YEAR_DEFINITION, () => yearDefinition, value => {
+        yearDefinition = value;
+    });
+}
+
+/**
+ * Set up mean period / true return buttons for planet years, kept in the
+ * URL (?returns=) like the year definition
+ */
+function setupReturnButtons() {
+    setupChoiceButtons('returns-buttons', 'returns', Milestones.DEFAULT_PLANETARY_RETURN_MODE, () => planetaryReturns, value => {
+        planetaryReturns = value;
+    });
+}
+
+/**
+ * Wire a row of buttons carrying data-<param> values: the active one follows
+ * the current choice, and picking one stores it in the URL (dropped when it
+ * is the default), then recalculates and reschedules notifications.
+ */
+function setupChoiceButtons(containerId, param, defaultValue, getValue, setValue) {
+    const container = document.getElementById(containerId);
+    const setActive = () => {
+        container.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset[param] === getValue());
+        });
+    };
+    setActive();
+
+    container.addEventListener('click', e => {
+        if (!e.target.classList.contains('filter-btn')) { return; }
+
+        setValue(e.target.dataset[param]);
+        setActive();
+
+        const params = new URLSearchParams(window.location.search);
+        if (getValue() === defaultValue) {
+            params.delete(param);
+        } else {
+            params.set(param, getValue());
+        }
+        window.history.replaceState({}, '', `${window.location.pathname}?${params.toString()}`);
+
+        calculateAndDisplayEvents();
+        if (Notifications.isEnabled() && Notifications.getPermissionStatus() === 'granted') {
+            scheduleUpcomingNotifications();
+        }
+    });
+}
+
 /**
  * Set up timeline toggle (upcoming/past/all)
  */
@@ -700,8 +825,14 @@ function scheduleUpcomingNotifications() {
     // Cancel existing scheduled notifications
     Notifications.cancelScheduledNotifications(scheduledNotifications);
 
+    // A time-travel preview must not fire real notifications
+    if (Clock.isTraveling()) {
+        scheduledNotifications = [];
+        return;
+    }
+
     // Get upcoming events (next 10 events within the next month)
-    const now = new Date();
+    const now = Clock.now();
     const oneMonthFromNow = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
 
     const upcomingEvents = allEvents
@@ -719,6 +850,8 @@ function scheduleUpcomingNotifications() {
  */
 function subscribeToCalendar() {
     const urlParams = new URLSearchParams(window.location.search);
+    // ?now= time-travels this page only; a subscribed feed should stay live
+    urlParams.delete('now');
 
     // Build the calendar URL with family or single person params
     const calendarUrl = `${WORKER_URL}/?${urlParams.toString()}`;
@@ -897,7 +1030,7 @@ function createGoogleCalendarUrl(event) {
         action: 'TEMPLATE',
         text: title,
         dates: `${startDate}/${endDate}`,
-        details: event.description,
+        details: formatDescriptionText(event),
         sf: 'true'
     });
 
@@ -957,8 +1090,8 @@ function shareResults() {
  * Generate viral share text for an event
  */
 function generateShareText(event) {
-    const dateStr = Nerdiversary.formatDate(event.date);
-    const isPast = event.date < new Date();
+    const dateStr = Nerdiversary.formatEventDate(event);
+    const isPast = event.date < Clock.now();
     const personPrefix = familyMembers.length > 1 && event.personName !== 'Everyone'
         ? `${event.personName} `
         : 'I ';
@@ -998,14 +1131,22 @@ function generateShareText(event) {
             `${event.icon} ${event.title}! ${personPrefix}${isPast ? 'celebrated' : 'will celebrate'} on ${dateStr}`,
             `${personPrefix}${isPast ? 'just celebrated' : 'will celebrate'} ${event.title}! ${event.icon}`,
         ],
+        discovered: [
+            `${event.icon} Nobody puts this on a calendar: ${personPrefix}${isPast ? 'hit' : 'will hit'} ${event.title}. ${event.description}`,
+            `${personPrefix}${isPast ? 'just found' : 'will find'} a hidden milestone: ${event.title}! ${event.icon}`,
+        ],
     };
 
     const categoryHooks = hooks[event.category] || hooks.decimal;
     const baseText = categoryHooks[Math.floor(Math.random() * categoryHooks.length)];
 
-    return event.rarity === 'legendary'
-        ? `💎 Once-in-a-lifetime milestone! ${baseText}`
-        : baseText;
+    if (event.rarity === 'legendary') {
+        return `💎 Once-in-a-lifetime milestone (rarity ${event.rarityScore}/100)! ${baseText}`;
+    }
+    if (event.rarity === 'rare') {
+        return `⭐ Rare milestone (rarity ${event.rarityScore}/100)! ${baseText}`;
+    }
+    return baseText;
 }
 
 /**
@@ -1156,7 +1297,7 @@ function showCelebration(event) {
             <h2 class="celebration-title">🎉 It's Happening NOW! 🎉</h2>
             ${showPerson ? `<p class="celebration-person" style="background: ${event.personColor}">${escapeHtml(event.personName)}</p>` : ''}
             <p class="celebration-event">${event.title}</p>
-            <p class="celebration-description">${event.description}</p>
+            <p class="celebration-description">${formatDescriptionHtml(event)}</p>
             <button class="celebration-dismiss">Continue to Next Event</button>
         </div>
     `;
@@ -1214,9 +1355,7 @@ function showCelebration(event) {
 
 // Expose for console testing: testCelebration()
 window.testCelebration = function () {
-    const now = new Date();
-    const filteredEvents = getFilteredByPerson(allEvents);
-    const nextEvent = filteredEvents.filter(e => e.date > now)[0];
+    const nextEvent = findNextEvent(Clock.now());
     if (nextEvent) {
         showCelebration(nextEvent);
     } else {
@@ -3,36 +3,239 @@
  * Pure functions (no DOM, no browser APIs) that work in both browser and worker contexts.
  */
 
+import Milestones from './milestones.js';
+
 // Cloudflare Worker URL
 export const WORKER_URL = 'https://nerdiversary-calendar.curly-unit-b9e0.workers.dev';
 
 // Canonical site URL (used for share redirects and OG images)
 export const SITE_URL = 'https://paultarjan.com/nerdiversary/';
 
+/**
+ * Expand a birth time to HH:MM:SS for Date parsing ("14:30" → "14:30:00")
+ * @param {string} timeStr - HH:MM or HH:MM:SS
+ * @returns {string}
+ */
+export function withSeconds(timeStr) {
+    return /^\d{2}:\d{2}$/.test(timeStr) ? `${timeStr}:00` : timeStr;
+}
+
+/**
+ * Canonical form of a birth time: seconds only when they aren't zero, so
+ * minute-precision links stay "HH:MM" ("14:30:00" → "14:30", "14:30:05" kept)
+ * @param {string} timeStr - HH:MM or HH:MM:SS
+ * @returns {string}
+ */
+export function formatTimeStr(timeStr) {
+    return /^\d{2}:\d{2}:00$/.test(timeStr) ? timeStr.slice(0, 5) : timeStr;
+}
+
+// Milliseconds to add to wall-clock time in `timezone` to get UTC at `instant`
+// (UTC-6 → +6h). Throws a RangeError for an unknown timezone.
+function timezoneOffsetMs(instant, timezone) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    });
+    for (const { type, value } of format.formatToParts(instant)) {
+        parts[type] = parseInt(value, 10);
+    }
+    const wall = new Date(0);
+    wall.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+    wall.setUTCHours(parts.hour, parts.minute, parts.second);
+    return instant - wall.getTime();
+}
+
+/**
+ * Find the instants a local date/time in an IANA timezone can mean.
+ * Usually exactly one ('ok'). Fall-back nights repeat an hour, so a time in it
+ * happened twice ('ambiguous'); spring-forward nights skip one, so a time in
+ * it never happened ('gap') — both candidates then read the wall time with
+ * the offset in force before and after the change. Candidates are always in
+ * that order (Milestones.DST_OCCURRENCES: first, second).
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @param {string} timeStr - Time string in HH:MM or HH:MM:SS format
+ * @param {string} timezone - IANA timezone name (e.g. "America/Denver")
+ * @returns {{status: 'ok' | 'ambiguous' | 'gap', candidates: Array<Date>}}
+ */
+export function resolveLocalTime(dateStr, timeStr, timezone) {
+    // The wall time read as if it were UTC
+    const wall = new Date(`${dateStr}T${withSeconds(timeStr)}Z`).getTime();
+    if (isNaN(wall)) { return { status: 'ok', candidates: [new Date(NaN)] }; }
+
+    // Clocks change at most once within a day either side
+    const before = timezoneOffsetMs(wall - Milestones.MS_PER_DAY, timezone);
+    const after = timezoneOffsetMs(wall + Milestones.MS_PER_DAY, timezone);
+    const offsets = before === after ? [before] : [before, after];
+    const valid = offsets.filter(offset => timezoneOffsetMs(wall + offset, timezone) === offset);
+
+    if (valid.length === 1) { return { status: 'ok', candidates: [new Date(wall + valid[0])] }; }
+    return {
+        status: valid.length === 0 ? 'gap' : 'ambiguous',
+        candidates: offsets.map(offset => new Date(wall + offset))
+    };
+}
+
 /**
  * Convert a local date/time in a specific IANA timezone to UTC.
  * This handles historical DST correctly — e.g., 2024-05-15 20:37
- * in America/Denver is MDT (UTC-6), not MST (UTC-7).
+ * in America/Denver is MDT (UTC-6), not MST (UTC-7). Times that happened
+ * twice or never (see resolveLocalTime) take the chosen occurrence.
  * @param {string} dateStr - Date string in YYYY-MM-DD format
- * @param {string} timeStr - Time string in HH:MM format
+ * @param {string} timeStr - Time string in HH:MM or HH:MM:SS format
  * @param {string} timezone - IANA timezone name (e.g. "America/Denver")
+ * @param {string} [occurrence] - Milestones.DST_OCCURRENCES key (default 'first')
  * @returns {Date}
  */
-export function localToUtcWithTimezone(dateStr, timeStr, timezone) {
-    // Create a UTC date as a starting guess
-    const guess = new Date(`${dateStr}T${timeStr}:00Z`);
-    // Get the offset for this date in the target timezone
-    const utcStr = guess.toLocaleString('en-US', { timeZone: 'UTC' });
-    const tzStr = guess.toLocaleString('en-US', { timeZone: timezone });
-    const offsetMs = new Date(utcStr).getTime() - new Date(tzStr).getTime();
-    // Apply offset: local + offset = UTC
-    return new Date(guess.getTime() + offsetMs);
+export function localToUtcWithTimezone(dateStr, timeStr, timezone, occurrence = Milestones.DEFAULT_DST_OCCURRENCE) {
+    const { candidates } = resolveLocalTime(dateStr, timeStr, timezone);
+    return occurrence === 'second' ? candidates[candidates.length - 1] : candidates[0];
+}
+
+/**
+ * Convert a Julian-calendar (Old Style) date to the proleptic Gregorian date of
+ * the same day, via its Julian Day Number — e.g. "1642-12-25" → "1643-01-04".
+ * @param {string} dateStr - Julian date in YYYY-MM-DD format
+ * @returns {string} Gregorian YYYY-MM-DD, or '' if dateStr is not a Julian date
+ */
+export function julianToGregorian(dateStr) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+    if (!match) { return ''; }
+    const [year, month, day] = match.slice(1).map(Number);
+    // Every fourth year is a leap year in the Julian calendar, centuries included
+    const monthDays = [31, year % 4 === 0 ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    if (month < 1 || month > 12 || day < 1 || day > monthDays[month - 1]) { return ''; }
+
+    // Julian Day Number of a Julian-calendar date (March-based year)
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    const jdn = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+
+    // JD 2440588 is 1970-01-01, the Unix epoch
+    return new Date((jdn - 2440588) * Milestones.MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse custom milestone definitions, e.g. "777777777s;12345h" from the family
+ * URL or "777,777,777 seconds; 12345 hours" typed by the user.
+ * Invalid, duplicate and beyond-a-lifetime entries are dropped, and the list is
+ * capped at MAX_CUSTOM_MILESTONES.
+ * @param {string} text - Semicolon-separated "<value><unit>" entries
+ * @returns {Array<{value: number, unit: string}>} unit is a CUSTOM_MILESTONE_UNITS key
+ */
+export function parseCustomMilestones(text) {
+    const maxMs = Milestones.MAX_YEARS * Milestones.MS_PER_YEAR;
+    const seen = new Set();
+    const result = [];
+    for (const entry of (text || '').split(';')) {
+        // Allow digit grouping in typed input ("777,777,777 seconds")
+        const match = entry.replace(/[\s,_]/g, '').toLowerCase().match(/^(\d+)([a-z]+)$/);
+        if (!match) { continue; }
+        const value = parseInt(match[1], 10);
+        const unit = Object.keys(Milestones.CUSTOM_MILESTONE_UNITS)
+            .find(key => Milestones.CUSTOM_MILESTONE_UNITS[key].aliases.includes(match[2]));
+        if (!unit || !Number.isSafeInteger(value) || value <= 0) { continue; }
+        if (value * Milestones.CUSTOM_MILESTONE_UNITS[unit].ms > maxMs) { continue; }
+
+        const key = `${value}${unit}`;
+        if (seen.has(key)) { continue; }
+        seen.add(key);
+        result.push({ value, unit });
+        if (result.length >= Milestones.MAX_CUSTOM_MILESTONES) { break; }
+    }
+    return result;
+}
+
+/**
+ * Serialize custom milestones to their canonical URL form ("777777777s;12345h")
+ * @param {Array<{value: number, unit: string}>} customMilestones
+ * @returns {string}
+ */
+export function formatCustomMilestones(customMilestones) {
+    return (customMilestones || [])
+        .map(m => `${m.value}${Milestones.CUSTOM_MILESTONE_UNITS[m.unit].code}`)
+        .join(';');
 }
 
 /**
- * Parse family parameter string into array of members
- * @param {string} familyParam - Comma-separated "Name|Date|Time|Timezone" entries
- * @returns {Array<{name: string, dateStr: string, timeStr: string, timezone: string, birthDate: Date}>}
+ * Parse a member's birthday options from the 6th family field, e.g.
+ * "feb28;calendar;julian;second". Each token is a Milestones.LEAP_DAY_POLICIES,
+ * FRACTIONAL_AGE_MODES, BIRTH_CALENDARS or DST_OCCURRENCES key; unknown
+ * tokens are ignored.
+ * @param {string} text - Semicolon-separated option keys
+ * @returns {{leapDayPolicy: string, fractionalAges: string, calendar: string, occurrence: string}}
+ */
+export function parseBirthdayOptions(text) {
+    const options = {
+        leapDayPolicy: Milestones.DEFAULT_LEAP_DAY_POLICY,
+        fractionalAges: Milestones.DEFAULT_FRACTIONAL_AGE_MODE,
+        calendar: Milestones.DEFAULT_BIRTH_CALENDAR,
+        occurrence: Milestones.DEFAULT_DST_OCCURRENCE
+    };
+    for (const token of (text || '').toLowerCase().split(';')) {
+        if (Object.hasOwn(Milestones.LEAP_DAY_POLICIES, token)) {
+            options.leapDayPolicy = token;
+        } else if (Object.hasOwn(Milestones.FRACTIONAL_AGE_MODES, token)) {
+            options.fractionalAges = token;
+        } else if (Object.hasOwn(Milestones.BIRTH_CALENDARS, token)) {
+            options.calendar = token;
+        } else if (Object.hasOwn(Milestones.DST_OCCURRENCES, token)) {
+            options.occurrence = token;
+        }
+    }
+    return options;
+}
+
+/**
+ * Serialize birthday options to their URL form; defaults are left out, so
+ * members without special options have an empty field.
+ * @param {{leapDayPolicy?: string, fractionalAges?: string, calendar?: string, occurrence?: string}} options
+ * @returns {string}
+ */
+export function formatBirthdayOptions(options) {
+    const { leapDayPolicy, fractionalAges, calendar, occurrence } = parseBirthdayOptions(
+        [options?.leapDayPolicy, options?.fractionalAges, options?.calendar, options?.occurrence].join(';')
+    );
+    return [
+        leapDayPolicy === Milestones.DEFAULT_LEAP_DAY_POLICY ? '' : leapDayPolicy,
+        fractionalAges === Milestones.DEFAULT_FRACTIONAL_AGE_MODE ? '' : fractionalAges,
+        calendar === Milestones.DEFAULT_BIRTH_CALENDAR ? '' : calendar,
+        occurrence === Milestones.DEFAULT_DST_OCCURRENCE ? '' : occurrence
+    ].filter(Boolean).join(';');
+}
+
+/**
+ * Build the family URL parameter from stored/form members.
+ * Trailing empty fields are omitted, so "Name|Date" stays the short form.
+ * @param {Array<{name: string, date: string, time?: string, timezone?: string, custom?: string, birthday?: string}>} family
+ * @returns {string} Comma-separated "Name|Date|Time|Timezone|Custom|Birthday" entries
+ */
+export function buildFamilyParam(family) {
+    return family.map(m => {
+        const fields = [encodeURIComponent(m.name), m.date, m.time || '', m.timezone || '', m.custom || '', m.birthday || ''];
+        while (fields.length > 2 && !fields[fields.length - 1]) {
+            fields.pop();
+        }
+        return fields.join('|');
+    }).join(',');
+}
+
+/**
+ * Parse family parameter string into array of members. Time is HH:MM or,
+ * for hospital-recorded births, HH:MM:SS.
+ * @param {string} familyParam - Comma-separated "Name|Date|Time|Timezone|Custom|Birthday" entries
+ * dateStr is the date as written (in `calendar`); gregorianDateStr and
+ * birthDate are what milestones are computed from. Without a time, birthDate
+ * is the start of the birth day and timeUnknown is set.
+ * @returns {Array<{name: string, dateStr: string, gregorianDateStr: string, timeStr: string, timeUnknown: boolean, timezone: string, birthDate: Date, customMilestones: Array<{value: number, unit: string}>, leapDayPolicy: string, fractionalAges: string, calendar: string, occurrence: string}>}
  */
 export function parseFamilyParam(familyParam) {
     try {
@@ -47,21 +250,34 @@ export function parseFamilyParam(familyParam) {
                 name = parts[0] || '';
             }
             const dateStr = parts[1] || '';
+            // No birth time: count from the start of the day, flagged as unknown
+            const timeUnknown = !parts[2];
             const timeStr = parts[2] || '00:00';
             const timezone = parts[3] || '';
+            const customMilestones = parseCustomMilestones(parts[4] || '');
+            const { leapDayPolicy, fractionalAges, calendar, occurrence } = parseBirthdayOptions(parts[5] || '');
+            // Old Style dates become Gregorian before any instant is computed
+            const gregorianDateStr = calendar === 'julian' ? julianToGregorian(dateStr) : dateStr;
             let birthDate;
             if (timezone) {
                 try {
                     // Explicit birth timezone: convert to the true UTC instant
-                    birthDate = localToUtcWithTimezone(dateStr, timeStr, timezone);
+                    birthDate = localToUtcWithTimezone(gregorianDateStr, timeStr, timezone, occurrence);
                 } catch {
                     // Invalid timezone string — fall back to environment-local parsing
-                    birthDate = new Date(`${dateStr}T${timeStr}:00`);
+                    birthDate = new Date(`${gregorianDateStr}T${withSeconds(timeStr)}`);
                 }
+            } else if (occurrence === 'second') {
+                // Date parsing always takes the first occurrence of a repeated time
+                const localTimezone = new Intl.DateTimeFormat().resolvedOptions().timeZone;
+                birthDate = localToUtcWithTimezone(gregorianDateStr, timeStr, localTimezone, occurrence);
             } else {
-                birthDate = new Date(`${dateStr}T${timeStr}:00`);
+                birthDate = new Date(`${gregorianDateStr}T${withSeconds(timeStr)}`);
             }
-            return { name, dateStr, timeStr, timezone, birthDate };
+            return {
+                name, dateStr, gregorianDateStr, timeStr, timeUnknown, timezone, birthDate,
+                customMilestones, leapDayPolicy, fractionalAges, calendar, occurrence
+            };
         }).filter(m => m.name && !isNaN(m.birthDate.getTime()));
     } catch {
         return [];
@@ -96,6 +312,15 @@ export function formatICalDate(date) {
     return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
 }
 
+/**
+ * Format a date as an iCal all-day DATE value (YYYYMMDD)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatICalDay(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
 /**
  * Escape special characters in iCal text values.
  * Strips HTML tags first, then escapes iCal-special characters.
@@ -111,6 +336,53 @@ export function escapeICalText(text) {
         .replace(/\n/g, '\\n');
 }
 
+/**
+ * Escape text for HTML output
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtmlText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render an event's plain-text description as HTML, turning each entry of
+ * event.links into an anchor around the first occurrence of its label
+ * (links appear in the description in order).
+ * @param {{description: string, links?: Array<{label: string, url: string}>}} event
+ * @returns {string} Safe HTML
+ */
+export function formatDescriptionHtml(event) {
+    const text = event.description || '';
+    let html = '';
+    let pos = 0;
+    for (const link of event.links || []) {
+        const at = text.indexOf(link.label, pos);
+        if (at === -1) { continue; }
+        html += escapeHtmlText(text.slice(pos, at));
+        html += `<a href="${escapeHtmlText(link.url)}" target="_blank" rel="noopener noreferrer">${escapeHtmlText(link.label)}</a>`;
+        pos = at + link.label.length;
+    }
+    return html + escapeHtmlText(text.slice(pos));
+}
+
+/**
+ * Plain-text description with its links spelled out, for calendars and
+ * other places that can't render anchors.
+ * @param {{description: string, links?: Array<{label: string, url: string}>}} event
+ * @returns {string}
+ */
+export function formatDescriptionText(event) {
+    const links = event.links || [];
+    if (links.length === 0) { return event.description; }
+    return `${event.description}\n\n${links.map(l => `${l.label}: ${l.url}`).join('\n')}`;
+}
+
 /**
  * Fold an iCal content line to 75 octets per RFC 5545 §3.1.
  * Continuation lines start with a single space. Splits on code point
@@ -152,7 +424,9 @@ export function getCategoryInfo(category) {
         mathematical: { name: 'Mathematical', icon: '\u03C0', color: '#a855f7' },
         fibonacci: { name: 'Fibonacci', icon: '\u{1F300}', color: '#f59e0b' },
         scientific: { name: 'Scientific', icon: '\u{1F52C}', color: '#3b82f6' },
-        'pop-culture': { name: 'Pop Culture', icon: '\u{1F3AC}', color: '#ef4444' }
+        'pop-culture': { name: 'Pop Culture', icon: '\u{1F3AC}', color: '#ef4444' },
+        discovered: { name: 'Discovered', icon: '\u{1F50D}', color: '#14b8a6' },
+        custom: { name: 'Custom', icon: '\u2B50', color: '#ec4899' }
     };
     return categories[category] || { name: category, icon: '\u{1F4C5}', color: '#7c3aed' };
 }
@@ -160,7 +434,7 @@ export function getCategoryInfo(category) {
 /**
  * Generate an iCalendar (.ics) string from an array of events.
  * This is the full-featured version with VALARM, DTSTAMP, DTEND, and CATEGORIES.
- * @param {Array} events - Array of event objects with {id, title, description, date, category, icon, personName?}
+ * @param {Array} events - Array of event objects with {id, title, description, links?, date, category, icon, personName?}
  * @param {boolean} isFamily - Whether this is a family calendar
  * @returns {string} iCalendar formatted string
  */
@@ -179,8 +453,19 @@ export function generateICal(events, isFamily = false) {
     for (const event of events) {
         const uid = `${event.id}@nerdiversary`;
         const dtstamp = formatICalDate(new Date());
-        const dtstart = formatICalDate(event.date);
-        const dtend = formatICalDate(new Date(event.date.getTime() + 60 * 60 * 1000));
+        // Events of members with an unknown birth time span their window:
+        // whole birth-timezone days become all-day events, dated by the
+        // window's midpoint so any UTC offset within ±12h lands on the right day
+        let dtstart = `DTSTART:${formatICalDate(event.date)}`;
+        let dtend = `DTEND:${formatICalDate(new Date(event.date.getTime() + 60 * 60 * 1000))}`;
+        if (event.window && event.window.allDay) {
+            const midpoint = (event.window.earliest.getTime() + event.window.latest.getTime()) / 2;
+            dtstart = `DTSTART;VALUE=DATE:${formatICalDay(new Date(midpoint))}`;
+            dtend = `DTEND;VALUE=DATE:${formatICalDay(new Date(midpoint + 24 * 60 * 60 * 1000))}`;
+        } else if (event.window) {
+            dtstart = `DTSTART:${formatICalDate(event.window.earliest)}`;
+            dtend = `DTEND:${formatICalDate(event.window.latest)}`;
+        }
         const categoryInfo = getCategoryInfo(event.category);
 
         const title = isFamily && event.personName
@@ -190,10 +475,13 @@ export function generateICal(events, isFamily = false) {
         lines.push('BEGIN:VEVENT');
         lines.push(`UID:${uid}`);
         lines.push(`DTSTAMP:${dtstamp}`);
-        lines.push(`DTSTART:${dtstart}`);
-        lines.push(`DTEND:${dtend}`);
+        lines.push(dtstart);
+        lines.push(dtend);
         lines.push(`SUMMARY:${escapeICalText(title)}`);
-        lines.push(`DESCRIPTION:${escapeICalText(event.description)}`);
+        lines.push(`DESCRIPTION:${escapeICalText(formatDescriptionText(event))}`);
+        if (event.links && event.links.length > 0) {
+            lines.push(`URL:${event.links[0].url}`);
+        }
         lines.push(`CATEGORIES:${categoryInfo.name}`);
         lines.push('STATUS:CONFIRMED');
         lines.push('TRANSP:TRANSPARENT');
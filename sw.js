@@ -3,13 +3,15 @@
  * Network-first caching: always fetch from network, fall back to cache when offline.
  */
 
-const CACHE_NAME = 'nerdiversary-v4';
+const CACHE_NAME = 'nerdiversary-v6';
 const OFFLINE_ASSETS = [
     './',
     './index.html',
     './results.html',
     './css/style.css',
     './js/shared.js',
+    './js/clock.js',
+    './js/ephemeris.js',
     './js/milestones.js',
     './js/calculator.js',
     './js/nerdiversary.js',
@@ -110,6 +112,8 @@ self.addEventListener('push', event => {
         badge: data.badge || './assets/favicon-96x96.png',
         tag: data.tag || 'nerdiversary-notification',
         data: data.data || {},
+        // Exact milestone time (the push itself goes out at the top of that minute)
+        timestamp: data.timestamp,
         vibrate: [200, 100, 200],
         requireInteraction: true,
         actions: [
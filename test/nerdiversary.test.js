@@ -7,8 +7,10 @@
 import Milestones from '../js/milestones.js';
 import Nerdiversary from '../js/nerdiversary.js';
 import Calculator from '../js/calculator.js';
-import { parseFamilyParam, formatNotificationTitle, formatICalDate, escapeICalText, getCategoryInfo, generateICal, localToUtcWithTimezone } from '../js/shared.js';
-import { buildFamilyEvents, generateMilestoneOffsets, buildSharePage } from '../worker/worker.js';
+import Clock from '../js/clock.js';
+import Ephemeris from '../js/ephemeris.js';
+import { parseFamilyParam, parseCustomMilestones, formatDescriptionHtml, formatDescriptionText, formatCustomMilestones, buildFamilyParam, withSeconds, formatTimeStr, parseBirthdayOptions, formatBirthdayOptions, julianToGregorian, formatNotificationTitle, formatICalDate, escapeICalText, getCategoryInfo, generateICal, localToUtcWithTimezone, resolveLocalTime } from '../js/shared.js';
+import worker, { buildFamilyEvents, generateMilestoneOffsets, getCustomMilestoneOffsets, getDueNotifications, buildSharePage } from '../worker/worker.js';
 
 // Node.js built-ins for worker.js verification tests
 import fs from 'fs';
@@ -31,6 +33,20 @@ function test(name, fn) {
     }
 }
 
+// Worker routes answer with Promises: their tests are queued and awaited,
+// in order, before the summary
+const asyncTests = [];
+function testAsync(name, fn) {
+    asyncTests.push(() => Promise.resolve().then(fn).then(() => {
+        console.log(`✓ ${name}`);
+        passed++;
+    }, e => {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${e.message}`);
+        failed++;
+    }));
+}
+
 function assertEqual(actual, expected, msg = '') {
     if (actual !== expected) {
         throw new Error(`${msg}Expected ${expected}, got ${actual}`);
@@ -111,8 +127,20 @@ test('TAU is 2π', () => {
 // ============================================
 console.log('\n--- Fibonacci Sequence ---');
 
-test('FIBONACCI array is actually Fibonacci sequence', () => {
-    const fib = Milestones.FIBONACCI;
+// The first `count` terms of a declared sequence
+function firstTerms(id, count) {
+    const terms = [];
+    for (const value of Milestones.SEQUENCES.find(s => s.id === id).terms()) {
+        if (terms.length === count) { break; }
+        terms.push(value);
+    }
+    return terms;
+}
+
+const FIBONACCI = firstTerms('fibonacci', 46);
+
+test('Fibonacci terms are actually Fibonacci sequence', () => {
+    const fib = FIBONACCI;
     assertTrue(fib[0] === 1, 'First element should be 1');
     assertTrue(fib[1] === 2, 'Second element should be 2');
 
@@ -122,21 +150,22 @@ test('FIBONACCI array is actually Fibonacci sequence', () => {
     }
 });
 
-test('FIBONACCI array covers 94+ years in seconds (~3 billion)', () => {
-    const maxFib = Math.max(...Milestones.FIBONACCI);
+test('Fibonacci second milestones cover 94+ years (~3 billion)', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const events = Nerdiversary.calculate(birthDate, 100);
     const years94InSeconds = 94 * 365.2425 * 24 * 60 * 60;
-    assertTrue(maxFib >= years94InSeconds,
-        `Max Fibonacci (${maxFib}) should cover 94 years in seconds (~${Math.floor(years94InSeconds)})`);
+    assertTrue(events.some(e => e.id.startsWith('fib-seconds-') && e.count >= years94InSeconds),
+        `Fibonacci seconds should reach 94 years (~${Math.floor(years94InSeconds)})`);
 });
 
 test('FIBONACCI contains key milestones for 42-year-old in seconds', () => {
     // ~42.67 years = 1,346,269,000 seconds (Fibonacci F(31) * 1000)
-    assertTrue(Milestones.FIBONACCI.includes(1346269),
+    assertTrue(FIBONACCI.includes(1346269),
         'Should include 1,346,269 for ~42.7 year milestone');
 });
 
-test('LUCAS array is actually Lucas sequence (starts 2, 1)', () => {
-    const luc = Milestones.LUCAS;
+test('Lucas terms are actually Lucas sequence (starts 2, 1)', () => {
+    const luc = firstTerms('lucas', 39);
     assertTrue(luc[0] === 2, 'First element should be 2');
     assertTrue(luc[1] === 1, 'Second element should be 1');
 
@@ -146,62 +175,81 @@ test('LUCAS array is actually Lucas sequence (starts 2, 1)', () => {
     }
 });
 
-test('Sequence index maps match mathematical convention', () => {
+test('Sequence term labels match mathematical convention', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const events = Nerdiversary.calculate(birthDate, 100);
+    const milestone = id => events.find(e => e.id === id).milestone;
     // F(1)=F(2)=1, F(3)=2, ... so F(31) = 1,346,269
-    assertEqual(Milestones.FIBONACCI_INDEX.get(2), 3, 'F(3) = 2: ');
-    assertEqual(Milestones.FIBONACCI_INDEX.get(832040), 30, 'F(30) = 832,040: ');
-    assertEqual(Milestones.FIBONACCI_INDEX.get(1346269), 31, 'F(31) = 1,346,269: ');
+    assertEqual(milestone('fib-minutes-832040'), 'F(30) = 832,040 minutes');
+    assertEqual(milestone('fib-seconds-1346269'), 'F(31) = 1,346,269 seconds');
 
-    // L(0)=2, L(1)=1, L(2)=3, ... so L(5) = 11
-    assertEqual(Milestones.LUCAS_INDEX.get(2), 0, 'L(0) = 2: ');
-    assertEqual(Milestones.LUCAS_INDEX.get(11), 5, 'L(5) = 11: ');
-    assertEqual(Milestones.LUCAS_INDEX.get(123), 10, 'L(10) = 123: ');
+    // L(0)=2, L(1)=1, L(2)=3, ... so L(20) = 15,127
+    assertEqual(milestone('lucas-days-15127'), 'L(20) = 15,127 days');
+    assertEqual(milestone('triangular-days-5778'), 'T(107) = 5,778 days');
 });
 
 test('Perfect numbers are correct', () => {
-    const perfectNumbers = Milestones.PERFECT_NUMBERS;
+    const perfectNumbers = firstTerms('perfect-numbers', 5);
     // 6 = 1 + 2 + 3
     assertEqual(1 + 2 + 3, 6);
     // 28 = 1 + 2 + 4 + 7 + 14
     assertEqual(1 + 2 + 4 + 7 + 14, 28);
     // 496 = 1 + 2 + 4 + 8 + 16 + 31 + 62 + 124 + 248
     assertEqual(1 + 2 + 4 + 8 + 16 + 31 + 62 + 124 + 248, 496);
-    assertTrue(perfectNumbers.includes(6));
-    assertTrue(perfectNumbers.includes(28));
-    assertTrue(perfectNumbers.includes(496));
-    assertTrue(perfectNumbers.includes(8128));
+    assertEqual(perfectNumbers.join(), '6,28,496,8128,33550336');
 });
 
 test('Triangular numbers are correct (T(n) = n*(n+1)/2)', () => {
-    const tri = Milestones.TRIANGULAR;
-    for (let i = 0; i < Math.min(tri.length, 50); i++) {
+    const tri = firstTerms('triangular', 50);
+    for (let i = 0; i < tri.length; i++) {
         const n = i + 1;
         const expected = n * (n + 1) / 2;
         assertEqual(tri[i], expected, `TRIANGULAR[${i}] should be T(${n}) = ${expected}: `);
     }
 });
 
-test('Palindromes read the same forwards and backwards', () => {
-    for (const pal of Milestones.PALINDROMES.slice(0, 50)) {
-        const str = String(pal);
+test('Palindromes read the same forwards and backwards, in order', () => {
+    const pals = firstTerms('palindromes', 250);
+    assertEqual(pals.slice(0, 12).join(), '1,2,3,4,5,6,7,8,9,11,22,33');
+    for (let i = 0; i < pals.length; i++) {
+        const str = String(pals[i]);
         const reversed = str.split('').reverse().join('');
-        assertEqual(str, reversed, `${pal} should be a palindrome: `);
+        assertEqual(str, reversed, `${pals[i]} should be a palindrome: `);
+        if (i > 0) { assertTrue(pals[i] > pals[i - 1], 'Palindromes should increase'); }
     }
-});
-
-test('All INTERESTING_PALINDROME_DAYS are reachable (present in PALINDROMES)', () => {
-    for (const p of Milestones.INTERESTING_PALINDROME_DAYS) {
-        assertTrue(Milestones.PALINDROMES.includes(p),
-            `${p} is in INTERESTING_PALINDROME_DAYS but not in PALINDROMES, so it can never be generated`);
-        const str = String(p);
-        assertEqual(str, str.split('').reverse().join(''), `${p} should be a palindrome: `);
+    // 9 one-digit, 9 two-digit, 90 three-digit, 90 four-digit
+    assertEqual(pals[198], 10001);
+});
+
+test('Notable values are terms of their sequence', () => {
+    for (const sequence of Milestones.SEQUENCES.filter(s => s.notable || s.notableIn)) {
+        const notable = [...(sequence.notable || []), ...Object.values(sequence.notableIn || {}).flat()];
+        const max = Math.max(...notable);
+        const terms = new Set();
+        for (const value of sequence.terms()) {
+            if (value > max) { break; }
+            terms.add(value);
+        }
+        for (const value of notable) {
+            assertTrue(terms.has(value), `${value} is notable for ${sequence.id} but never generated`);
+        }
     }
 });
 
-test('All INTERESTING_TRIANGULAR are reachable (present in TRIANGULAR)', () => {
-    for (const t of Milestones.INTERESTING_TRIANGULAR) {
-        assertTrue(Milestones.TRIANGULAR.includes(t),
-            `${t} is in INTERESTING_TRIANGULAR but not in TRIANGULAR, so it can never be generated`);
+test('Sequence milestones from before the engine are all kept', () => {
+    const events = Calculator.calculate(new Date('1990-01-15T12:00:00Z'), { yearsAhead: 120 });
+    const ids = new Set(events.map(e => e.id));
+    const expected = [
+        'perfect-days-6', 'perfect-days-28', 'perfect-days-496', 'perfect-days-8128',
+        'perfect-hours-496', 'perfect-hours-8128',
+        'repunit-days-111', 'repunit-days-1111', 'repunit-days-11111',
+        'repunit-hours-1111', 'repunit-hours-11111', 'repunit-hours-111111',
+        ...[210, 465, 666, 820, 1225, 1275, 1830, 2016, 2485, 3003, 3240, 4095, 5050, 5778, 6105, 7260, 8128,
+            8515, 9870, 11325].map(value => `triangular-days-${value}`),
+        'triangular-hours-10011', 'triangular-hours-10731'
+    ];
+    for (const id of expected) {
+        assertTrue(ids.has(id), `${id} should still be generated`);
     }
 });
 
@@ -214,8 +262,32 @@ test('Triangular day milestones include 5778 and 8128', () => {
         'Should generate T(127) = 8128 days milestone');
 });
 
+test('Registered sequences become milestones in every unit, thinned when dense', () => {
+    Calculator.registerSequence({
+        id: 'test-squares', name: 'Square', noun: 'square number', symbol: 'S',
+        firstIndex: 1,
+        notable: [4096],
+        * terms() {
+            for (let n = 1; ; n++) { yield n * n; }
+        }
+    });
+    try {
+        const birthDate = new Date('1990-01-15T12:00:00Z');
+        const events = Calculator.calculate(birthDate, { yearsAhead: 120, only: ['test-squares'] });
+        const days = events.filter(e => e.unit === 'days');
+        assertEqual(days.map(e => e.count).join(), '625,2500,4096,5625,10000,15625,22500,30625,40000',
+            'Every 25th square plus the notable 4096: ');
+        assertEqual(days[0].milestone, 'S(25) = 625 days');
+        assertEqual(days[0].id, 'test-squares-days-625');
+        assertEqual(days[0].category, 'mathematical');
+        assertEqual(new Set(events.map(e => e.unit)).size, 4, 'Seconds, minutes, hours and days: ');
+    } finally {
+        Calculator.unregisterGenerator('test-squares');
+    }
+});
+
 test('Repunits are all 1s', () => {
-    for (const rep of Milestones.REPUNITS) {
+    for (const rep of firstTerms('repunits', 10)) {
         const str = String(rep);
         assertTrue(str.split('').every(c => c === '1'),
             `${rep} should be all 1s`);
@@ -471,21 +543,21 @@ console.log('\n--- Fibonacci Milestone Calculations ---');
 
 test('Fibonacci 1,346,269 seconds = ~42.67 years', () => {
     const fib = 1346269;
-    assertTrue(Milestones.FIBONACCI.includes(fib), 'Should be in FIBONACCI array');
+    assertTrue(FIBONACCI.includes(fib), 'Should be a Fibonacci term');
     const years = (fib * 1000) / (365.2425 * 24 * 60 * 60);
     assertClose(years, 42.67, 0.01);
 });
 
 test('Fibonacci 832,040 seconds = ~26.37 years', () => {
     const fib = 832040;
-    assertTrue(Milestones.FIBONACCI.includes(fib), 'Should be in FIBONACCI array');
+    assertTrue(FIBONACCI.includes(fib), 'Should be a Fibonacci term');
     const years = (fib * 1000) / (365.2425 * 24 * 60 * 60);
     assertClose(years, 26.37, 0.02);
 });
 
 test('Fibonacci 10,946 days = ~29.96 years', () => {
     const fib = 10946;
-    assertTrue(Milestones.FIBONACCI.includes(fib), 'Should be in FIBONACCI array');
+    assertTrue(FIBONACCI.includes(fib), 'Should be a Fibonacci term');
     const years = fib / 365.2425;
     assertClose(years, 29.96, 0.01);
 });
@@ -555,12 +627,13 @@ test('Lunation milestones are generated', () => {
     const l500 = events.find(e => e.id === 'lunation-500');
     assertTrue(l500 !== undefined, 'Should have 500 lunation milestone');
     assertEqual(l500.category, 'scientific');
-    assertEqual(l500.icon, '🌑');
+    assertEqual(l500.icon, Ephemeris.moonPhase(birthDate).icon, 'Icon is the birth phase. ');
 
-    // 500 synodic months ≈ 500 * 29.53 ≈ 14765 days ≈ 40.4 years
+    // 500 synodic months ≈ 500 * 29.53 ≈ 14765 days ≈ 40.4 years; the real
+    // Moon runs up to about half a day either side of the mean month
     const expectedMs = 500 * 29.530589 * Milestones.MS_PER_DAY;
     const actualMs = l500.date.getTime() - birthDate.getTime();
-    assertTrue(Math.abs(actualMs - expectedMs) < 1000, 'Lunation date should be correct');
+    assertTrue(Math.abs(actualMs - expectedMs) < Milestones.MS_PER_DAY, 'Lunation date should be near 500 mean months');
 });
 
 test('Fractional age milestones (quarter birthdays) are generated', () => {
@@ -638,15 +711,15 @@ test('getCalendarEventsAt finds new nerdy holidays', () => {
     assertTrue(eEvent !== undefined, 'Should find e Day');
 });
 
-test('Lunation and fractional milestones are in worker offset map', () => {
+test('Fractional milestones are in worker offset map, lunations are per birth', () => {
     // Verify these offset-based milestones are NOT filtered out by the worker logic
     const refBirth = new Date('2000-01-01T00:00:00Z');
     const events = Calculator.calculate(refBirth, { yearsAhead: 120, includePast: true });
 
     const lunation = events.find(e => e.id === 'lunation-500');
     assertTrue(lunation !== undefined, 'Should generate lunation-500');
-    assertTrue(!lunation.isSharedHoliday, 'Lunation should not be a shared holiday');
-    assertTrue(!lunation.id.startsWith('earth-birthday-'), 'Lunation should not look like earth birthday');
+    const offsets = generateMilestoneOffsets();
+    assertTrue(!offsets.some(o => o.label.includes(lunation.title)), 'Lunations follow the real Moon, not a shared offset');
 
     const frac = events.find(e => e.id === 'frac-birthday-43-0.5');
     assertTrue(frac !== undefined, 'Should generate frac-birthday-43-0.5');
@@ -1089,6 +1162,8 @@ test('getCategoryInfo returns known categories', () => {
 
     const decimal = getCategoryInfo('decimal');
     assertEqual(decimal.name, 'Decimal');
+
+    assertEqual(getCategoryInfo('discovered').name, 'Discovered');
 });
 
 test('getCategoryInfo returns fallback for unknown category', () => {
@@ -1572,15 +1647,1504 @@ test('Backtest: earth birthdays fire at birth local HH:MM', () => {
     assertTrue(tested > 0, `Should have tested some events, tested ${tested}`);
 });
 
+// ============================================
+// GENERATOR REGISTRY
+// ============================================
+console.log('\n--- Generator Registry ---');
+
+test('Built-in generators are registered and enabled', () => {
+    const ids = Calculator.getGenerators().map(g => g.id);
+    for (const id of ['planetary-years', 'decimal', 'binary', 'fibonacci', 'nerdy-holidays', 'earth-birthdays']) {
+        assertTrue(ids.includes(id), `Missing built-in generator ${id}`);
+    }
+    assertTrue(Calculator.getGenerators().every(g => g.enabled), 'Built-ins should be enabled by default');
+});
+
+test('Registered generators feed calculate(), the calendar feed and push offsets', () => {
+    Calculator.registerGenerator({
+        id: 'test-leet-hours',
+        category: 'pop-culture',
+        emit(birthDate, _maxDate, addEvent) {
+            addEvent({
+                id: 'leet-hours-31337',
+                title: '31,337 Hours',
+                description: 'Elite hours!',
+                date: new Date(birthDate.getTime() + 31337 * Milestones.MS_PER_HOUR),
+                category: 'pop-culture',
+                icon: '🎮',
+                milestone: '31,337 hours'
+            });
+        }
+    });
+    try {
+        const birthDate = new Date('2000-01-01T00:00:00Z');
+        const events = Calculator.calculate(birthDate, { yearsAhead: 10 });
+        const leet = events.find(e => e.id === 'leet-hours-31337');
+        assertTrue(leet !== undefined, 'calculate() should include the custom event');
+        assertTrue(['common', 'rare', 'legendary'].includes(leet.rarity), 'Custom events get a rarity tier. ');
+        assertTrue(typeof leet.rarityScore === 'number', 'Custom events get a rarity score');
+
+        const feed = buildFamilyEvents([{ name: 'Alice', birthDate }], new Date('2003-07-01T00:00:00Z'));
+        assertTrue(feed.some(e => e.id === 'Alice-leet-hours-31337'), 'Calendar feed should include the custom event');
+
+        const offsets = generateMilestoneOffsets();
+        assertTrue(offsets.some(o => o.ms === 31337 * Milestones.MS_PER_HOUR && o.label.includes('31,337 Hours')),
+            'Push offsets should include the custom event');
+    } finally {
+        Calculator.unregisterGenerator('test-leet-hours');
+    }
+});
+
+test('Generators can be disabled and re-enabled one by one', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    Calculator.setGeneratorEnabled('lunations', false);
+    try {
+        const events = Calculator.calculate(birthDate, { yearsAhead: 100 });
+        assertTrue(!events.some(e => e.id.startsWith('lunation-')), 'Disabled generator should emit nothing');
+        assertTrue(events.some(e => e.id.startsWith('seconds-')), 'Other generators keep running');
+    } finally {
+        Calculator.setGeneratorEnabled('lunations', true);
+    }
+    const events = Calculator.calculate(birthDate, { yearsAhead: 100 });
+    assertTrue(events.some(e => e.id === 'lunation-500'), 'Re-enabled generator should emit again');
+});
+
+test('registerGenerator rejects invalid and duplicate generators', () => {
+    const throws = fn => {
+        try { fn(); } catch { return true; }
+        return false;
+    };
+    assertTrue(throws(() => Calculator.registerGenerator({ category: 'decimal', emit() {} })), 'Missing id should throw');
+    assertTrue(throws(() => Calculator.registerGenerator({ id: 'no-emit', category: 'decimal' })), 'Missing emit should throw');
+    assertTrue(throws(() => Calculator.registerGenerator({ id: 'decimal', category: 'decimal', emit() {} })), 'Duplicate id should throw');
+    assertTrue(throws(() => Calculator.setGeneratorEnabled('nope', false)), 'Unknown id should throw');
+});
+
+// ============================================
+// STRUCTURED DESCRIPTIONS
+// ============================================
+console.log('\n--- Structured Descriptions ---');
+
+test('Event descriptions are plain text with structured links', () => {
+    const events = Calculator.calculate(new Date('1990-05-15T14:30:00Z'));
+    const withHtml = events.filter(e => /<[a-z/]/i.test(e.description));
+    assertEqual(withHtml.length, 0, `Descriptions must not contain HTML: ${withHtml.slice(0, 2).map(e => e.id).join(', ')}. `);
+    assertTrue(events.every(e => Array.isArray(e.links)), 'Every event has a links array');
+
+    const mars = events.find(e => e.id === 'mars-1');
+    assertEqual(mars.links.length, 1);
+    assertEqual(mars.links[0].wikiKey, 'mars');
+    assertEqual(mars.links[0].label, 'Mars');
+    assertEqual(mars.links[0].url, Milestones.WIKI_URLS.mars);
+    assertTrue(mars.description.includes('as measured from Mars!'), 'Link label is part of the text');
+
+    const light = events.find(e => e.id === 'lightspeed-moon');
+    assertEqual(light.links.map(l => l.wikiKey).join(), 'speedOfLight,moon', 'Links keep their order. ');
+});
+
+test('Birthday 42 and holidays carry links through nested descriptions', () => {
+    const bday = Calculator._buildEarthBirthdayEvent(42, new Date('2032-05-15T14:30:00Z'));
+    assertEqual(bday.description, 'Happy 42nd birthday on Earth! — The Answer! 🌌');
+    assertEqual(bday.links[0].wikiKey, 'answer42');
+    const prime = Calculator._buildEarthBirthdayEvent(37, new Date('2027-05-15T14:30:00Z'));
+    assertEqual(prime.description, 'Happy 37th birthday on Earth! — Prime');
+    assertEqual(prime.links.length, 0);
+    const piDay = Calculator.getHolidaysAt(new Date('2030-03-14T00:00:00Z'))[0];
+    assertTrue(piDay.links.length === 1 && piDay.description.startsWith('Pi Day!'), 'Holiday link is structured');
+});
+
+test('formatDescriptionHtml links labels and escapes the rest', () => {
+    const html = formatDescriptionHtml({
+        description: 'a < b & Mars, then Mars again',
+        links: [{ label: 'Mars', url: 'https://example.com/?a=1&b="2"', wikiKey: 'mars' }]
+    });
+    assertEqual(html, 'a &lt; b &amp; <a href="https://example.com/?a=1&amp;b=&quot;2&quot;" target="_blank" rel="noopener noreferrer">Mars</a>, then Mars again');
+    assertEqual(formatDescriptionHtml({ description: '<b>x</b>' }), '&lt;b&gt;x&lt;/b&gt;');
+});
+
+test('iCal and JSON feeds get plain text plus link metadata', () => {
+    const event = Calculator.calculate(new Date('2000-01-01T00:00:00Z')).find(e => e.id === 'mars-1');
+    assertEqual(formatDescriptionText(event), `${event.description}\n\nMars: ${Milestones.WIKI_URLS.mars}`);
+    const ical = generateICal([event]).replace(/\r\n /g, '');
+    assertTrue(ical.includes(`URL:${Milestones.WIKI_URLS.mars}`), 'iCal should carry a URL property');
+    assertTrue(!ical.includes('<a '), 'iCal should not contain HTML');
+
+    const feed = buildFamilyEvents(parseFamilyParam('Alice|2000-01-01'), new Date('2001-11-01T00:00:00Z'));
+    const json = JSON.parse(JSON.stringify(feed.find(e => e.id === 'Alice-mars-1')));
+    assertEqual(json.links[0].wikiKey, 'mars', 'JSON feed exposes structured links. ');
+    assertTrue(!json.description.includes('<'), 'JSON feed has no HTML');
+});
+
+// ============================================
+// WINDOWED ITERATION
+// ============================================
+console.log('\n--- Windowed Iteration ---');
+
+test('between() matches calculate() restricted to the window', () => {
+    const birthDate = new Date('1990-05-15T14:30:00Z');
+    const from = new Date('2024-01-01T00:00:00Z');
+    const to = new Date('2026-01-01T00:00:00Z');
+    const expected = Calculator.calculate(birthDate).filter(e => e.date >= from && e.date <= to);
+    const actual = Calculator.between(birthDate, from, to);
+    assertEqual(actual.length, expected.length, 'Same event count. ');
+    assertEqual(actual.map(e => e.id).join(), expected.map(e => e.id).join(), 'Same events in the same order. ');
+    assertTrue(actual.every(e => e.rarity), 'Windowed events still get a rarity');
+});
+
+test('Generators skipping counts before the window miss nothing in it', () => {
+    const birthDate = new Date('2000-02-29T18:45:00Z');
+    const optionSets = [
+        { planetaryReturns: 'true' },
+        { fractionalAges: 'calendar', leapDayPolicy: 'feb28' },
+        { yearDefinition: 'julian' }
+    ];
+    for (const options of optionSets) {
+        const all = Calculator.calculate(birthDate, options);
+        for (const [from, to] of [['2000-03-01', '2000-06-01'], ['2030-12-20', '2031-03-10'], ['2087-01-01', '2089-01-01']]) {
+            const start = new Date(`${from}T00:00:00Z`);
+            const end = new Date(`${to}T00:00:00Z`);
+            const expected = all.filter(e => e.date >= start && e.date <= end).map(e => e.id);
+            const actual = Calculator.between(birthDate, start, end, options).map(e => e.id);
+            assertEqual(actual.join(), expected.join(), `${JSON.stringify(options)} ${from}..${to}: `);
+        }
+    }
+});
+
+test('between() honours yearsAhead as a cap', () => {
+    const birthDate = new Date('1990-05-15T14:30:00Z');
+    const events = Calculator.between(birthDate, new Date('2000-01-01T00:00:00Z'), new Date('2100-01-01T00:00:00Z'), { yearsAhead: 20 });
+    const cap = birthDate.getTime() + 20 * Milestones.MS_PER_YEAR;
+    assertTrue(events.length > 0 && events.every(e => e.date.getTime() <= cap), 'No events past yearsAhead');
+});
+
+test('upcoming() yields events after the cursor in date order', () => {
+    const birthDate = new Date('1990-05-15T14:30:00Z');
+    const after = new Date('2025-03-01T00:00:00Z');
+    const expected = Calculator.calculate(birthDate).filter(e => e.date > after).slice(0, 50);
+    const actual = [];
+    for (const event of Calculator.upcoming(birthDate, after)) {
+        actual.push(event);
+        if (actual.length === 50) { break; }
+    }
+    assertEqual(actual.map(e => e.id).join(), expected.map(e => e.id).join(), 'Same first 50 events. ');
+});
+
+test('upcoming() ends at yearsAhead and skips events exactly at the cursor', () => {
+    const birthDate = new Date('2000-01-01T00:00:00Z');
+    const billion = new Date(birthDate.getTime() + 1e12);
+    const first = Calculator.upcoming(birthDate, billion).next().value;
+    assertTrue(first.date > billion, 'Event at the cursor is excluded');
+    const tail = [...Calculator.upcoming(birthDate, new Date('2099-06-01T00:00:00Z'), { yearsAhead: 100 })];
+    const expectedTail = Calculator.calculate(birthDate, { yearsAhead: 100 })
+        .filter(e => e.date > new Date('2099-06-01T00:00:00Z'));
+    assertEqual(tail.length, expectedTail.length, 'Iteration stops at yearsAhead. ');
+});
+
+test('Nerdiversary.upcoming() adds relative time info', () => {
+    const birthDate = new Date('1990-05-15T14:30:00Z');
+    const next = Nerdiversary.upcoming(birthDate, new Date()).next().value;
+    assertTrue(next && next.isPast === false && next.daysFromNow >= 0, 'Next event is in the future');
+});
+
+test('upcoming() merges combos like calculate(), across scan windows', () => {
+    const birthDate = new Date('1990-05-15T14:30:00Z');
+    const options = { comboWindowMs: Milestones.COMBO_WINDOW_MS };
+    const all = Calculator.calculate(birthDate, options);
+    const combos = all.filter(e => e.combo);
+    assertTrue(combos.length > 10, 'The lifetime has combos to compare');
+    // From birth, from just after a combo's first member (its later members
+    // must not come up on their own) and from a decade in
+    const cursors = [birthDate, new Date(combos[5].date.getTime() + 1), new Date('2000-05-15T00:00:00Z')];
+    for (const after of cursors) {
+        const expected = all.filter(e => e.date > after).slice(0, 400);
+        const actual = [];
+        for (const event of Calculator.upcoming(birthDate, after, options)) {
+            actual.push(event);
+            if (actual.length === expected.length) { break; }
+        }
+        assertEqual(actual.map(e => e.id).join(), expected.map(e => e.id).join(), `After ${after.toISOString()}: `);
+    }
+});
+
+test('Worker feed and the countdown use the windowed API', () => {
+    assertTrue(workerCode.includes('Calculator.between('), 'buildFamilyEvents should use Calculator.between()');
+    const resultsCode = fs.readFileSync(path.join(__dirname, '../js/results.js'), 'utf8');
+    assertTrue(resultsCode.includes('Nerdiversary.upcoming(member.birthDate, after, getMemberOptions(member))'),
+        'Countdown should take the next event from upcoming(), with the timeline\'s options');
+});
+
+// ============================================
+// CLOCK & TIME TRAVEL
+// ============================================
+console.log('\n--- Clock & Time Travel ---');
+
+test('Clock.parse accepts ISO instants and rejects junk', () => {
+    assertEqual(Clock.parse('2031-05-14T10:00Z').toISOString(), '2031-05-14T10:00:00.000Z');
+    assertEqual(Clock.parse('2031-05-14T10:00').toISOString(), '2031-05-14T10:00:00.000Z', 'No offset means UTC. ');
+    assertEqual(Clock.parse('2031-05-14').toISOString(), '2031-05-14T00:00:00.000Z');
+    assertEqual(Clock.parse('2031-05-14T10:00+02:00').toISOString(), '2031-05-14T08:00:00.000Z');
+    assertEqual(Clock.parse('tomorrow'), null);
+    assertEqual(Clock.parse('2031-13-45'), null);
+    assertEqual(Clock.parse(''), null);
+});
+
+test('Clock.travelTo shifts now() and keeps it ticking', () => {
+    const target = new Date('2031-05-14T10:00:00Z');
+    Clock.travelTo(target);
+    try {
+        assertTrue(Clock.isTraveling(), 'Should report traveling');
+        assertTrue(Math.abs(Clock.now().getTime() - target.getTime()) < 1000, 'now() should be the target');
+        const events = Nerdiversary.calculate(new Date('2000-01-01T00:00:00Z'));
+        const billion = events.find(e => e.id === 'seconds-1000000000');
+        assertTrue(!billion.isPast, '1B seconds (2031-09) is still ahead');
+        assertTrue(events.find(e => e.id === 'days-10000').isPast, '10,000 days (2027) is already past');
+        const next = Nerdiversary.upcoming(new Date('2000-01-01T00:00:00Z'), Clock.now()).next().value;
+        assertTrue(next.date > target, 'upcoming() follows the shifted clock');
+        const future = Calculator.calculate(new Date('2000-01-01T00:00:00Z'), { includePast: false });
+        assertTrue(future.every(e => e.date >= target), 'includePast: false uses Clock.now()');
+    } finally {
+        Clock.travelTo(null);
+    }
+    assertTrue(!Clock.isTraveling(), 'travelTo(null) returns to real time');
+});
+
+test('Worker routes honour ?now=', () => {
+    assertTrue(workerCode.includes('Clock.parse(nowParam)'), 'fetch() should parse ?now=');
+    assertTrue(workerCode.includes('handleFamilyRequest(url, familyParam, now)'), 'Feed should render as of ?now=');
+    assertTrue(workerCode.includes('handlePushPreview(url, now)'), 'Push preview should run as of ?now=');
+    const feed = buildFamilyEvents(parseFamilyParam('Alice|2000-01-01|00:00'), Clock.parse('2031-09-09T00:00Z'));
+    assertTrue(feed.some(e => e.id === 'Alice-seconds-1000000000'), 'Feed window follows the given now');
+});
+
+test('Only the feed and push preview read ?now=', () => {
+    const fetchCode = workerCode.slice(workerCode.indexOf('async fetch('), workerCode.indexOf('async scheduled('));
+    const firstParse = fetchCode.indexOf('parseNowParam(url)');
+    assertTrue(firstParse > fetchCode.indexOf("'/push/subscribe'") && firstParse > fetchCode.indexOf("'/push/unsubscribe'"),
+        'A junk ?now= must not fail the push POST routes');
+    const resultsCode = fs.readFileSync(path.join(__dirname, '../js/results.js'), 'utf8');
+    assertTrue(resultsCode.includes("urlParams.delete('now')"), 'Subscribed calendar URLs drop ?now=');
+});
+
+test('The push cron and its dry run share one matcher', () => {
+    const body = name => workerCode.slice(workerCode.indexOf(name), workerCode.indexOf('\n}\n', workerCode.indexOf(name)));
+    for (const name of ['async function handleScheduled(', 'export function getDueNotifications(']) {
+        assertTrue(body(name).includes('memberMilestonesDue('), `${name} matches members with memberMilestonesDue()`);
+        assertTrue(body(name).includes('holidaysDue('), `${name} matches holidays with holidaysDue()`);
+        assertTrue(!body(name).includes('findOffset('), `${name} leaves offset lookup to the matcher`);
+    }
+});
+
+test('getDueNotifications reports what the cron would send at an instant', () => {
+    const members = parseFamilyParam('Alice|2000-01-01|00:00');
+    // 1B seconds lands 40s into its minute; the cron fires in that minute
+    const at = new Date(Date.UTC(2000, 0, 1) + 1e12 - 60 * 60 * 1000);
+    const due = getDueNotifications(members, at);
+    const heads = due.find(n => n.minutesBefore === 60 && n.body.includes('1 Billion Seconds'));
+    assertTrue(heads !== undefined, 'Should report the 1-hour heads-up for 1B seconds');
+    assertEqual(heads.eventTime, new Date(Date.UTC(2000, 0, 1) + 1e12).toISOString(), 'Carries the exact milestone time. ');
+    const bday = getDueNotifications(members, new Date('2030-01-01T00:00:00Z'), { timezone: 'UTC' });
+    assertTrue(bday.some(n => n.minutesBefore === 0 && n.body.includes('30th Birthday')), 'Earth birthdays are included');
+    assertEqual(getDueNotifications(members, new Date('2030-01-01T00:07:00Z')).length, 0);
+});
+
+// ============================================
+// CUSTOM MILESTONES
+// ============================================
+console.log('\n--- Custom Milestones ---');
+
+test('parseCustomMilestones accepts unit aliases, separators and dedupes', () => {
+    const parsed = parseCustomMilestones('777,777,777 seconds; 12345h ;12_345 hours; 3 fortnights; 0d; 500 weeks');
+    assertEqual(parsed.length, 3, 'Invalid and duplicate entries are dropped. ');
+    assertEqual(parsed[0].value, 777777777);
+    assertEqual(parsed[0].unit, 'seconds');
+    assertEqual(parsed[1].unit, 'hours');
+    assertEqual(parsed[2].unit, 'weeks');
+    assertEqual(formatCustomMilestones(parsed), '777777777s;12345h;500w');
+    assertEqual(parseCustomMilestones('').length, 0);
+    assertEqual(parseCustomMilestones('99999 weeks').length, 0, 'Beyond a lifetime is dropped. ');
+});
+
+test('Custom milestones round-trip through the family param', () => {
+    const param = buildFamilyParam([
+        { name: 'A|b', date: '1990-05-15', time: '', timezone: '', custom: '777777777s;12345h' },
+        { name: 'Bob', date: '1992-01-01', time: '08:00', timezone: 'America/Denver' }
+    ]);
+    assertEqual(param, 'A%7Cb|1990-05-15|||777777777s;12345h,Bob|1992-01-01|08:00|America/Denver');
+    const members = parseFamilyParam(param);
+    assertEqual(members[0].name, 'A|b');
+    assertEqual(formatCustomMilestones(members[0].customMilestones), '777777777s;12345h');
+    assertEqual(members[1].customMilestones.length, 0);
+});
+
+test('Custom milestones appear on the website, in the feed and in push offsets', () => {
+    const birthDate = new Date('2000-01-01T00:00:00Z');
+    const customMilestones = parseCustomMilestones('777777777s');
+    const events = Nerdiversary.calculate(birthDate, 100, { customMilestones });
+    const custom = events.find(e => e.id === 'custom-seconds-777777777');
+    assertTrue(custom !== undefined, 'calculate() should include the custom milestone');
+    assertEqual(custom.category, 'custom');
+    assertEqual(custom.date.getTime(), birthDate.getTime() + 777777777000);
+    assertTrue(!Nerdiversary.calculate(birthDate, 100).some(e => e.category === 'custom'),
+        'No custom events without custom milestones');
+
+    const feed = buildFamilyEvents([{ name: 'Alice', birthDate, customMilestones }], new Date('2024-08-01T00:00:00Z'));
+    assertTrue(feed.some(e => e.id === 'Alice-custom-seconds-777777777'), 'Feed should include the custom milestone');
+
+    const offsets = getCustomMilestoneOffsets('777777777s');
+    assertTrue(offsets.has(Math.floor(777777777 / 60) * 60000), 'Push offsets are keyed by the minute they fall in');
+    assertEqual(getCustomMilestoneOffsets(''), null);
+});
+
+test('Custom milestones sharing a minute with a built-in one share its notification', () => {
+    const members = parseFamilyParam('Alice|2000-01-01|00:00|UTC|16666666m');
+    // 16,666,666 minutes starts the minute 1B seconds lands in
+    const due = getDueNotifications(members, new Date(Date.UTC(2000, 0, 1) + 1e12), { notificationTimes: [0] });
+    assertEqual(due.length, 1, 'One notification for the minute. ');
+    assertTrue(due[0].body.includes('1 Billion Seconds') && due[0].body.includes('16,666,666 Minutes'),
+        `Both milestones are named: ${due[0].body}`);
+});
+
+test('Milestones sharing an offset minute each fire in their own cron minute', () => {
+    // Both fall in one minute counted from a whole-minute birth (at :05 and
+    // :39), but 30 s into the birth minute they straddle two cron minutes
+    const members = parseFamilyParam('Sec|2000-01-01|00:00:30|UTC|999999965s;999999999s');
+    const birthMs = members[0].birthDate.getTime();
+    const offset = getCustomMilestoneOffsets('999999965s;999999999s').get(999999960000);
+    assertEqual(offset.milestones.map(m => m.exactMs).join(), '999999965000,999999999000', 'Each keeps its exact time: ');
+
+    const bodiesAt = seconds => getDueNotifications(members,
+        new Date(Math.floor((birthMs + seconds * 1000) / 60000) * 60000), { notificationTimes: [0] }).map(n => n.body).join();
+    const first = bodiesAt(999999965);
+    const second = bodiesAt(999999999);
+    assertTrue(first.includes('999,999,965 Seconds') && !first.includes('999,999,999 Seconds'), `First minute: ${first}`);
+    assertTrue(second.includes('999,999,999 Seconds') && !second.includes('999,999,965 Seconds'), `Second minute: ${second}`);
+});
+
+test('Custom milestone offsets are cached per spec, with a bound', () => {
+    const first = getCustomMilestoneOffsets('123456789s');
+    assertTrue(getCustomMilestoneOffsets('123456789s') === first, 'Repeated specs hit the cache');
+    for (let value = 1000; value < 1600; value++) {
+        getCustomMilestoneOffsets(`${value}d`);
+    }
+    assertTrue(getCustomMilestoneOffsets('123456789s') !== first, 'Least recently used specs are evicted');
+});
+
+// ============================================
+// RARITY SCORING
+// ============================================
+console.log('\n--- Rarity Scoring ---');
+
+test('Every event exposes a 0-100 rarity score consistent with its tier', () => {
+    const events = Nerdiversary.calculate(new Date('1990-01-15T12:00:00Z'), 80);
+    const tierFor = score => score >= Milestones.RARITY_TIERS.legendary ? 'legendary'
+        : score >= Milestones.RARITY_TIERS.rare ? 'rare' : 'common';
+    for (const event of events) {
+        assertTrue(Number.isInteger(event.rarityScore) && event.rarityScore >= 0 && event.rarityScore <= 100,
+            `Event ${event.id} has invalid rarityScore: ${event.rarityScore}`);
+        assertEqual(event.rarity, tierFor(event.rarityScore), `Tier of ${event.id}: `);
+    }
+});
+
+test('Rarity score rewards scarcity, roundness and special constants', () => {
+    const events = Nerdiversary.calculate(new Date('1990-01-15T12:00:00Z'), 80);
+    const score = id => events.find(e => e.id === id).rarityScore;
+
+    assertTrue(score('saturn-1') > score('mercury-1'), 'Once-a-lifetime orbits beat frequent ones');
+    assertTrue(score('earth-birthday-42') > score('earth-birthday-43'), '42 is special');
+    assertTrue(score('earth-birthday-43') > score('earth-birthday-44'), 'Prime birthdays beat ordinary ones');
+    assertTrue(score('days-10000') > score('days-12345'), '10,000 is rounder than 12,345');
+});
+
+test('Rarity score keeps the headline milestones legendary', () => {
+    // The hand-picked legendary list the score replaced, minus what a
+    // 120-year window misses (2³² seconds, Neptune Year 1)
+    const headline = [
+        'seconds-1000000000', 'seconds-2000000000', 'seconds-3000000000',
+        'days-10000', 'days-20000', 'days-30000',
+        'weeks-1000', 'weeks-2000', 'weeks-3000',
+        'hours-1000000', 'binary-seconds-30', 'binary-seconds-31',
+        'pop-42-Million-Seconds', 'lightspeed-proximaCentauri',
+        'jupiter-1', 'saturn-1', 'uranus-1',
+        'earth-birthday-42', 'earth-birthday-64', 'earth-birthday-100',
+        'pi-1000000000', 'e-1000000000', 'phi-1000000000'
+    ];
+    const events = Nerdiversary.calculate(new Date('1990-01-15T12:00:00Z'), 120);
+    const legendary = events.filter(e => e.rarity === 'legendary').map(e => e.id);
+
+    for (const id of headline) {
+        assertTrue(legendary.includes(id), `${id} should stay legendary`);
+    }
+    assertTrue(legendary.length <= headline.length + 5,
+        `Legendary stays about as exclusive as the hand-picked list (${legendary.join(', ')})`);
+
+    const byId = id => events.find(e => e.id === id);
+    assertEqual(byId('lightspeed-1s').rarity, 'common', 'First second of light-time: ');
+    assertEqual(byId('lightspeed-moon').rarity, 'common', 'Light-time to the Moon: ');
+    assertEqual(byId('earth-birthday-16').rarity, 'rare', 'Many-property birthday short of 64: ');
+});
+
+test('New generators are scored from event properties, not ID lists', () => {
+    Calculator.registerGenerator({
+        id: 'test-rarity',
+        category: 'decimal',
+        emit(birthDate, maxDate, addEvent) {
+            for (const count of [5000, 5123]) {
+                addEvent({
+                    id: `test-rarity-${count}`,
+                    title: `${count} Sleeps`,
+                    description: 'Test',
+                    date: new Date(birthDate.getTime() + count * Milestones.MS_PER_DAY),
+                    category: 'decimal',
+                    icon: '💓',
+                    milestone: `${count} sleeps`,
+                    count,
+                    unit: 'days'
+                });
+            }
+        }
+    });
+    try {
+        const events = Calculator.calculate(new Date('2000-01-01T00:00:00Z'), { yearsAhead: 20, only: ['test-rarity'] });
+        const round = events.find(e => e.id === 'test-rarity-5000');
+        const ragged = events.find(e => e.id === 'test-rarity-5123');
+        assertTrue(round.rarityScore > 0, 'New milestone kinds are not silently unscored');
+        assertTrue(round.rarityScore > ragged.rarityScore, 'Round counts outscore ragged ones');
+    } finally {
+        Calculator.unregisterGenerator('test-rarity');
+    }
+});
+
+// ============================================
+// COMBOS
+// ============================================
+console.log('\n--- Combos ---');
+
+test('Combos are off unless a window is given', () => {
+    const events = Calculator.calculate(new Date('1990-01-15T12:00:00Z'), { yearsAhead: 40 });
+    assertTrue(!events.some(e => e.combo), 'No combo events by default');
+    assertTrue(events.some(e => e.id === 'lightspeed-sun'), 'Members stay separate by default');
+});
+
+test('Coincident milestones merge into one combo event', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const plain = Calculator.calculate(birthDate, { yearsAhead: 40 });
+    const events = Calculator.calculate(birthDate, { yearsAhead: 40, comboWindowMs: Milestones.COMBO_WINDOW_MS });
+
+    const combo = events.find(e => e.combo && e.combo.some(m => m.id === 'lightspeed-sun'));
+    assertTrue(combo !== undefined, 'Light Speed to the Sun should be part of a combo');
+    assertTrue(combo.combo.some(m => m.id === 'lightspeed-499s'), '1 AU lands with Light Speed to the Sun');
+    assertTrue(!events.some(e => e.id === 'lightspeed-sun' || e.id === 'lightspeed-499s'), 'Members are not listed separately');
+    assertEqual(combo.date.getTime(), combo.combo[0].date.getTime(), 'Combo is dated at its first member. ');
+    assertTrue(combo.title.includes(' + '), 'Combo title lists its members');
+    assertTrue(combo.combo.every(m => combo.rarityScore > m.rarityScore), 'Combo gets a rarity boost');
+
+    const memberCount = events.reduce((n, e) => n + (e.combo ? e.combo.length : 1), 0);
+    assertEqual(memberCount, plain.length, 'Every milestone appears exactly once, alone or in a combo. ');
+    assertTrue(events.every(e => !e.combo || !e.combo.some(m => m.isSharedHoliday)), 'Shared holidays never join a combo');
+});
+
+test('Combo window is configurable', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    // 10,000 hours and 10,001 palindrome hours are exactly one hour apart
+    const inCombo = windowMs => Calculator.calculate(birthDate, { yearsAhead: 5, comboWindowMs: windowMs })
+        .some(e => e.combo && e.combo.some(m => m.id === 'hours-10000'));
+    assertTrue(inCombo(Milestones.MS_PER_HOUR), 'One-hour window joins them');
+    assertTrue(!inCombo(30 * Milestones.MS_PER_MINUTE), 'Half-hour window keeps them apart');
+
+    const website = Nerdiversary.calculate(birthDate, 5, { comboWindowMs: Milestones.MS_PER_HOUR });
+    assertTrue(website.some(e => e.combo && e.combo.some(m => m.id === 'hours-10000')), 'Nerdiversary passes the window through');
+});
+
+// ============================================
+// EXACT ARITHMETIC
+// ============================================
+console.log('\n--- Exact Arithmetic ---');
+
+test('Milestone dates are exact whole milliseconds', () => {
+    const birthDate = new Date('2000-01-01T00:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 120 });
+    const offset = id => events.find(e => e.id === id).date.getTime() - birthDate.getTime();
+
+    assertEqual(offset('mars-1'), 59355072000, '686.980 days: ');
+    assertEqual(offset('mercury-7'), 7 * 7600521600, '7 × 87.969 days: ');
+    assertEqual(offset('lightspeed-sun'), 499004, '1 AU ÷ c, rounded down to the ms: ');
+    assertEqual(offset('months-100'), 100 * 2629800000, '100 × 30.4375 days: ');
+    assertTrue(events.every(e => Number.isInteger(e.date.getTime())), 'No fractional timestamps');
+});
+
+test('Irrational milestones round down to a stated whole second', () => {
+    const birthDate = new Date('2000-01-01T00:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 120 });
+    const pi = events.find(e => e.id === 'pi-1000000000');
+    assertEqual(pi.date.getTime() - birthDate.getTime(), 3141592653000, 'π × 10⁹ s: ');
+    assertTrue(pi.description.includes('3,141,592,653'), 'Description states the second');
+    const ePi = events.find(e => e.id === 'e-pi-1000000');
+    assertEqual(ePi.date.getTime() - birthDate.getTime(), 23140692000, 'e^π × 10⁶ s: ');
+    assertTrue(ePi.description.includes('23,140,692'), 'Description states the second');
+});
+
+test('Website, calendar feed and push cron agree to the second', () => {
+    const birthDate = new Date('2000-01-01T00:00:00Z');
+    const website = Nerdiversary.calculate(birthDate, 120).find(e => e.id === 'pi-1000000000');
+    const feed = buildFamilyEvents([{ name: 'Alice', birthDate }], new Date('2099-07-01T00:00:00Z'))
+        .find(e => e.id === 'Alice-pi-1000000000');
+    assertEqual(feed.date.getTime(), website.date.getTime(), 'Feed matches website. ');
+    assertTrue(generateICal([feed]).includes(`DTSTART:${formatICalDate(website.date)}`), '.ics DTSTART matches');
+
+    const offset = generateMilestoneOffsets().find(o => o.label.includes('π × 10⁹'));
+    assertEqual(birthDate.getTime() + offset.exactMs, website.date.getTime(), 'Push offset matches website. ');
+    assertTrue(offset.ms <= offset.exactMs && offset.exactMs - offset.ms < 60000, 'Cron fires in the milestone minute');
+});
+
+// ============================================
+// YEAR DEFINITIONS
+// ============================================
+console.log('\n--- Year Definitions ---');
+
+test('Gregorian birthdays follow the calendar by default', () => {
+    const birthDate = new Date('1990-05-15T14:30:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 40 });
+    assertEqual(events.find(e => e.id === 'earth-birthday-30').date.toISOString(), '2020-05-15T14:30:00.000Z');
+    const explicit = Calculator.calculate(birthDate, { yearsAhead: 40, yearDefinition: 'gregorian' });
+    assertEqual(explicit.length, events.length, 'Explicit gregorian matches the default. ');
+});
+
+test('Other year definitions count whole years of their length from birth', () => {
+    const birthDate = new Date('2000-01-01T00:00:00Z');
+    const sidereal = Calculator.calculate(birthDate, { yearsAhead: 40, yearDefinition: 'sidereal' });
+    const birthday = sidereal.find(e => e.id === 'earth-birthday-30');
+    assertEqual(birthday.date.getTime() - birthDate.getTime(), 30 * 31558149763.2, '30 sidereal years: ');
+    assertTrue(birthday.description.includes('sidereal birthday'), 'Description names the year');
+
+    const julian = Calculator.calculate(birthDate, { yearsAhead: 40, yearDefinition: 'julian' });
+    const half = julian.find(e => e.id === 'frac-birthday-11-0.5');
+    assertEqual(half.date.getTime() - birthDate.getTime(), 10.5 * 365.25 * Milestones.MS_PER_DAY, '10½ Julian years: ');
+    assertTrue(half.description.includes('julian years'), 'Fractional ages name the year');
+
+    const tropical = Calculator.calculate(birthDate, { yearsAhead: 40, yearDefinition: 'tropical' })
+        .find(e => e.id === 'earth-birthday-10');
+    const anomalistic = Calculator.calculate(birthDate, { yearsAhead: 40, yearDefinition: 'anomalistic' })
+        .find(e => e.id === 'earth-birthday-10');
+    assertTrue(tropical.date < anomalistic.date, 'Tropical years are shorter than anomalistic ones');
+});
+
+test('Unknown year definitions are rejected', () => {
+    let threw = false;
+    try {
+        Calculator.calculate(new Date('2000-01-01T00:00:00Z'), { yearDefinition: 'lunar' });
+    } catch {
+        threw = true;
+    }
+    assertTrue(threw, 'Should throw for an unknown year definition');
+});
+
+test('Calendar feed honours the year definition', () => {
+    const members = [{ name: 'Alice', birthDate: new Date('2000-01-01T00:00:00Z') }];
+    const now = new Date('2029-12-01T00:00:00Z');
+    const feed = buildFamilyEvents(members, now, { yearDefinition: 'sidereal' });
+    const birthday = feed.find(e => e.id === 'Alice-earth-birthday-30');
+    assertEqual(birthday.date.getTime(), Date.UTC(2000, 0, 1) + 30 * 31558149763.2, 'Sidereal feed birthday: ');
+    assertTrue(workerCode.includes("url.searchParams.get('year')"), 'Feed reads ?year=');
+});
+
+testAsync('Calendar feed rejects names every object inherits as year definitions', async () => {
+    for (const year of ['toString', 'constructor', '__proto__']) {
+        const response = await worker.fetch(new Request(`https://worker.test/?family=Alice|2000-01-01&year=${year}`), {}, {});
+        assertEqual(response.status, 400, `?year=${year}: `);
+    }
+    let threw = false;
+    try { Calculator.calculate(new Date('2000-01-01T00:00:00Z'), { yearDefinition: 'toString' }); } catch { threw = true; }
+    assertTrue(threw, 'calculate() rejects inherited year definitions');
+});
+
+// ============================================
+// BIRTHDAY POLICIES
+// ============================================
+console.log('\n--- Birthday Policies ---');
+
+test('Leap-day births follow the leap-day policy in common years', () => {
+    const birthDate = new Date('2000-02-29T08:15:00Z');
+    const dateOf = (options, id) => {
+        const event = Calculator.calculate(birthDate, { yearsAhead: 10, ...options }).find(e => e.id === id);
+        return event && event.date.toISOString();
+    };
+    assertEqual(dateOf({}, 'earth-birthday-1'), '2001-03-01T08:15:00.000Z', 'Default is March 1: ');
+    assertEqual(dateOf({ leapDayPolicy: 'feb28' }, 'earth-birthday-1'), '2001-02-28T08:15:00.000Z', 'feb28: ');
+    assertEqual(dateOf({ leapDayPolicy: 'leap-only' }, 'earth-birthday-1'), undefined, 'leap-only skips common years. ');
+    assertEqual(dateOf({ leapDayPolicy: 'leap-only' }, 'earth-birthday-4'), '2004-02-29T08:15:00.000Z', 'leap-only in a leap year: ');
+    assertEqual(dateOf({ leapDayPolicy: 'feb28' }, 'earth-birthday-4'), '2004-02-29T08:15:00.000Z', 'feb28 in a leap year: ');
+
+    let threw = false;
+    try { Calculator.calculate(birthDate, { leapDayPolicy: 'feb30' }); } catch { threw = true; }
+    assertTrue(threw, 'Unknown policies are rejected');
+});
+
+test('Calendar mode puts fractional birthdays on calendar months, clamped to month end', () => {
+    const birthDate = new Date('1999-08-31T12:00:00Z');
+    const mean = Calculator.calculate(birthDate, { yearsAhead: 5 }).find(e => e.id === 'frac-birthday-1-0.5');
+    const calendar = Calculator.calculate(birthDate, { yearsAhead: 5, fractionalAges: 'calendar' });
+    const half = calendar.find(e => e.id === 'frac-birthday-1-0.5');
+    assertEqual(half.date.toISOString(), '2000-02-29T12:00:00.000Z', 'Aug 31 + 6 months: ');
+    assertTrue(half.date.getTime() !== mean.date.getTime(), 'Calendar and mean half-birthdays differ');
+    assertEqual(calendar.find(e => e.id === 'frac-birthday-2-0.25').date.toISOString(), '2000-11-30T12:00:00.000Z',
+        'Aug 31 + 15 months: ');
+    assertEqual(calendar.find(e => e.id === 'frac-birthday-2-0.75').date.toISOString(), '2001-05-31T12:00:00.000Z',
+        'Aug 31 + 21 months: ');
+});
+
+test('getEarthBirthdayAt applies the same policies as calculate()', () => {
+    const birthDates = [new Date('2000-02-29T08:15:00Z'), new Date('1999-08-31T23:59:00Z')];
+    const policies = [
+        { leapDayPolicy: 'mar1', fractionalAges: 'calendar' },
+        { leapDayPolicy: 'feb28', fractionalAges: 'calendar' },
+        { leapDayPolicy: 'leap-only' }
+    ];
+    for (const birthDate of birthDates) {
+        for (const options of policies) {
+            const events = Calculator.calculate(birthDate, { yearsAhead: 9, ...options }).filter(e =>
+                e.id.startsWith('earth-birthday-') ||
+                (options.fractionalAges === 'calendar' && e.id.startsWith('frac-birthday-')));
+            for (const event of events) {
+                const found = Calculator.getEarthBirthdayAt(birthDate, event.date, options);
+                assertTrue(found.some(e => e.id === event.id && e.title === event.title),
+                    `${event.id} (${JSON.stringify(options)}) must be found by getEarthBirthdayAt`);
+            }
+            // ...and nothing else: the day after each event has no birthday
+            for (const event of events) {
+                const next = new Date(event.date.getTime() + Milestones.MS_PER_DAY);
+                const extra = Calculator.getEarthBirthdayAt(birthDate, next, options)
+                    .filter(e => !events.some(other => other.id === e.id));
+                assertEqual(extra.length, 0, `Unexpected birthday on ${next.toISOString()}: `);
+            }
+        }
+    }
+});
+
+test('Birthday options round-trip through the family param', () => {
+    assertEqual(formatBirthdayOptions({ leapDayPolicy: 'feb28', fractionalAges: 'calendar' }), 'feb28;calendar');
+    assertEqual(formatBirthdayOptions({ leapDayPolicy: 'mar1', fractionalAges: 'mean' }), '', 'Defaults are omitted: ');
+    assertEqual(parseBirthdayOptions('bogus;leap-only').leapDayPolicy, 'leap-only');
+
+    const param = buildFamilyParam([{ name: 'Leapy', date: '2000-02-29', time: '08:15', birthday: 'feb28;calendar' }]);
+    assertEqual(param, 'Leapy|2000-02-29|08:15|||feb28;calendar');
+    const [member] = parseFamilyParam(param);
+    assertEqual(member.leapDayPolicy, 'feb28');
+    assertEqual(member.fractionalAges, 'calendar');
+    assertEqual(parseFamilyParam('Old|2000-02-29')[0].leapDayPolicy, 'mar1', 'Old links keep March 1: ');
+});
+
+test('Push notifications follow each member\'s birthday options', () => {
+    const [member] = parseFamilyParam('Leapy|1999-08-31|12:00|||feb28;calendar');
+    const due = getDueNotifications([member], new Date('2000-02-29T12:00:00Z'), { notificationTimes: [0] });
+    assertTrue(due.some(n => n.body.includes('½')), 'Calendar half-birthday is pushed');
+
+    const meanMember = parseFamilyParam('Mean|1999-08-31|12:00')[0];
+    const half = Calculator.calculate(meanMember.birthDate, { yearsAhead: 2 }).find(e => e.id === 'frac-birthday-1-0.5');
+    assertEqual(getDueNotifications([meanMember], new Date('2000-02-29T12:00:00Z'), { notificationTimes: [0] })
+        .filter(n => n.body.includes('½')).length, 0, 'Mean mode is not pushed on the calendar date. ');
+    assertTrue(getDueNotifications([meanMember], half.date, { notificationTimes: [0] }).some(n => n.body.includes('½')),
+        'Mean half-birthday is pushed at its offset');
+    assertTrue(getDueNotifications([member], half.date, { notificationTimes: [0] }).every(n => !n.body.includes('½')),
+        'Calendar mode skips the mean offset');
+
+    const [leapy] = parseFamilyParam('Leapy|2000-02-29|08:15|||feb28');
+    const feb28 = getDueNotifications([leapy], new Date('2001-02-28T08:15:00Z'), { notificationTimes: [0] });
+    assertTrue(feb28.some(n => n.body.includes('1st Birthday')), 'Leap-day birthday pushed on Feb 28');
+});
+
+// A D1 stand-in recording every statement's SQL and bound values
+function recordingDb() {
+    const statements = [];
+    const statement = (sql, args = []) => ({
+        bind: (...values) => statement(sql, values),
+        run: async () => { statements.push({ sql, args }); return { success: true }; }
+    });
+    return { statements, prepare: sql => statement(sql) };
+}
+
+testAsync('Push subscriptions store the written date of a leap-day birth', async () => {
+    // 2000-02-29 20:00 in Denver, as subscribeToPush sends it: the family in
+    // UTC, the written dates alongside
+    const DB = recordingDb();
+    const response = await worker.fetch(new Request('https://worker.test/push/subscribe', {
+        method: 'POST',
+        body: JSON.stringify({
+            subscription: { endpoint: 'https://push.test/1', keys: { p256dh: 'key', auth: 'auth' } },
+            family: 'Denver|2000-03-01|03:00,Utc|2000-03-01|03:00',
+            birthDates: ['2000-02-29'],
+            timezoneOffset: 0
+        })
+    }), { DB }, {});
+    assertEqual(response.status, 200, 'Subscribe: ');
+    const rows = DB.statements.filter(st => st.sql.includes('INSERT INTO family_members')).map(st => st.args);
+    assertEqual(rows.length, 2, 'Members stored: ');
+    assertEqual(rows[0][2], '2000-03-01T03:00', 'birth_datetime stays UTC: ');
+    assertEqual(rows[0][3], '2000-02-29', 'birth_date is the written date: ');
+    assertEqual(rows[1][3], '', 'No written date sent, none stored: ');
+});
+
+test('Leap-day births are told by the date as written, not the UTC date', () => {
+    // 2000-02-29 20:00 MST is 2000-03-01T03:00Z
+    const birthdayOf = (param, id, now = new Date('2001-01-01T00:00:00Z')) => {
+        const event = buildFamilyEvents(parseFamilyParam(param), now).find(e => e.id.endsWith(`-${id}`));
+        return event && event.date.toISOString();
+    };
+    assertEqual(birthdayOf('Denver|2000-02-29|20:00|America/Denver', 'earth-birthday-1'), '2001-03-02T03:00:00.000Z',
+        'mar1 is March 1 at 20:00 MST: ');
+    assertEqual(birthdayOf('Denver|2000-02-29|20:00|America/Denver||feb28', 'earth-birthday-1'), '2001-03-01T03:00:00.000Z',
+        'feb28 is February 28 at 20:00 MST: ');
+    assertEqual(birthdayOf('Denver|2000-02-29|20:00|America/Denver||leap-only', 'earth-birthday-1'), undefined,
+        'leap-only skips common years. ');
+    assertEqual(birthdayOf('Denver|2000-02-29|20:00|America/Denver||leap-only', 'earth-birthday-4',
+        new Date('2004-01-01T00:00:00Z')), '2004-03-01T03:00:00.000Z', 'leap-only keeps February 29: ');
+    // East of UTC the written Feb 29 is Feb 28 in UTC
+    assertEqual(birthdayOf('Tokyo|2000-02-29|05:00|Asia/Tokyo||feb28', 'earth-birthday-1'), '2001-02-27T20:00:00.000Z',
+        'feb28 in Tokyo: ');
+    // A Feb 28 evening in Denver is Feb 29 in UTC but no leap-day birth
+    assertEqual(birthdayOf('Eve|2000-02-28|20:00|America/Denver||feb28', 'earth-birthday-1'), '2001-03-01T03:00:00.000Z',
+        'Feb 28 births stay on Feb 28: ');
+
+    const [denver] = parseFamilyParam('Denver|2000-02-29|20:00|America/Denver');
+    const pushed = at => getDueNotifications([denver], new Date(at), { notificationTimes: [0] })
+        .some(n => n.body.includes('1st Birthday'));
+    assertTrue(pushed('2001-03-02T03:00:00Z'), 'Push fires on March 1 at 20:00 MST');
+    assertTrue(!pushed('2001-03-01T03:00:00Z'), 'Push skips February 28');
+});
+
+// ============================================
+// HISTORICAL BIRTHDATES
+// ============================================
+console.log('\n--- Historical Birthdates ---');
+
+test('julianToGregorian converts Old Style dates across the switchover', () => {
+    assertEqual(julianToGregorian('1642-12-25'), '1643-01-04', 'Newton: ');
+    assertEqual(julianToGregorian('1582-10-04'), '1582-10-14', 'Last Julian day in Rome: ');
+    assertEqual(julianToGregorian('1752-09-02'), '1752-09-13', 'Last Julian day in Britain: ');
+    assertEqual(julianToGregorian('1700-02-29'), '1700-03-11', 'Julian-only leap day: ');
+    assertEqual(julianToGregorian('0300-03-01'), '0300-03-02', 'Calendars drift apart before 300 AD: ');
+    assertEqual(julianToGregorian('1701-02-29'), '', 'Not a Julian date. ');
+    assertEqual(julianToGregorian('not-a-date'), '');
+});
+
+test('Julian birthdates are converted before milestones are computed', () => {
+    const [newton] = parseFamilyParam('Isaac%20Newton|1642-12-25|01:00|UTC||julian');
+    assertEqual(newton.dateStr, '1642-12-25', 'Date as written is kept: ');
+    assertEqual(newton.calendar, 'julian');
+    assertEqual(newton.birthDate.toISOString(), '1643-01-04T01:00:00.000Z');
+
+    const events = Calculator.calculate(newton.birthDate, { yearsAhead: 84 });
+    assertEqual(events.find(e => e.id === 'earth-birthday-1').date.toISOString(), '1644-01-04T01:00:00.000Z');
+    const billion = events.find(e => e.id === 'seconds-1000000000');
+    assertEqual(billion.date.getTime() - newton.birthDate.getTime(), 1e12, 'Offsets count from the true instant: ');
+
+    const [ada] = parseFamilyParam('Ada|1815-12-10|00:00|UTC');
+    assertEqual(ada.calendar, 'gregorian', 'Gregorian stays the default: ');
+    assertEqual(ada.birthDate.toISOString(), '1815-12-10T00:00:00.000Z');
+});
+
+test('Julian dates show as written next to their Gregorian date', () => {
+    const [newton] = parseFamilyParam('Newton|1642-12-25|01:00|UTC||julian');
+    const label = Nerdiversary.formatBirthDate(newton);
+    assertTrue(label.startsWith('December 25, 1642 (Old Style)'), `Label was "${label}"`);
+    assertTrue(label.includes('1643'), 'Gregorian date follows');
+
+    assertEqual(buildFamilyParam([{ name: 'Newton', date: '1642-12-25', birthday: 'julian' }]), 'Newton|1642-12-25||||julian');
+    assertEqual(formatBirthdayOptions({ calendar: 'julian', leapDayPolicy: 'feb28' }), 'feb28;julian');
+});
+
+// ============================================
+// UNKNOWN BIRTH TIME
+// ============================================
+console.log('\n--- Unknown Birth Time ---');
+
+test('Members without a birth time are flagged as time unknown', () => {
+    const [known, unknown] = parseFamilyParam('Known|1990-05-15|14:30|UTC,Unknown|1990-05-15');
+    assertEqual(known.timeUnknown, false);
+    assertEqual(unknown.timeUnknown, true);
+    assertEqual(unknown.timeStr, '00:00', 'Counting still starts at the start of the day: ');
+});
+
+test('Events carry an earliest/latest window when the birth time is unknown', () => {
+    const birthDate = new Date('1990-05-15T00:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 40, birthTimeUnknown: true });
+    const billion = events.find(e => e.id === 'seconds-1000000000');
+    assertEqual(billion.window.earliest.getTime(), billion.date.getTime(), 'Earliest is the start-of-day instant. ');
+    assertEqual(billion.window.latest - billion.window.earliest, Milestones.UNKNOWN_BIRTH_TIME_WINDOW_MS, 'One day wide: ');
+    assertEqual(billion.window.allDay, false, '10⁹ seconds is not a whole number of days. ');
+
+    assertEqual(events.find(e => e.id === 'earth-birthday-30').window.allDay, true, 'Birthdays are all-day. ');
+    assertEqual(events.find(e => e.id === 'days-10000').window.allDay, true, 'Day counts are all-day. ');
+    assertTrue(events.filter(e => e.isSharedHoliday).every(e => !e.window), 'Holidays do not depend on the birth time');
+
+    const exact = Calculator.calculate(birthDate, { yearsAhead: 40 });
+    assertTrue(exact.every(e => !e.window), 'Known birth times have no windows');
+});
+
+test('Calendar feed emits all-day and spanning events for time-unknown members', () => {
+    const members = parseFamilyParam('Alice|2000-01-01');
+    const events = buildFamilyEvents(members, new Date('2027-01-01T00:00:00Z'));
+    const ical = generateICal(events.filter(e => ['Alice-earth-birthday-27', 'Alice-days-10000'].includes(e.id) ||
+        e.id === 'Alice-frac-birthday-28-0.5'));
+    assertTrue(ical.includes('DTSTART;VALUE=DATE:20270101'), 'Birthday is an all-day event');
+    assertTrue(ical.includes('DTEND;VALUE=DATE:20270102'), 'All-day events end the next day');
+    assertTrue(ical.includes('DTSTART;VALUE=DATE:20270519'), '10,000 days is an all-day event');
+    const half = events.find(e => e.id === 'Alice-frac-birthday-28-0.5');
+    assertTrue(ical.includes(`DTSTART:${formatICalDate(half.window.earliest)}`), 'Spanning events start at the earliest moment');
+    assertTrue(ical.includes(`DTEND:${formatICalDate(half.window.latest)}`), 'Spanning events end at the latest moment');
+});
+
+test('Countdown dates show the day or range for time-unknown members', () => {
+    const birthDate = new Date('2000-01-01T00:00:00Z');
+    const events = Nerdiversary.calculate(birthDate, 40, { birthTimeUnknown: true });
+    const birthday = events.find(e => e.id === 'earth-birthday-20');
+    assertTrue(Nerdiversary.formatEventDate(birthday).includes('some time that day'), 'All-day label');
+    const billion = events.find(e => e.id === 'seconds-1000000000');
+    assertTrue(Nerdiversary.formatEventDate(billion).includes(' – '), 'Range label');
+});
+
+// ============================================
+// SECOND PRECISION
+// ============================================
+console.log('\n--- Second Precision ---');
+
+test('Birth times may carry seconds', () => {
+    assertEqual(withSeconds('14:30'), '14:30:00');
+    assertEqual(withSeconds('14:30:05'), '14:30:05');
+    assertEqual(formatTimeStr('14:30:00'), '14:30', 'Whole minutes stay short: ');
+    assertEqual(formatTimeStr('14:30:05'), '14:30:05');
+
+    const [utc, denver] = parseFamilyParam('A|1990-05-15|14:30:05|UTC,B|1990-05-15|14:30:05|America/Denver');
+    assertEqual(utc.birthDate.toISOString(), '1990-05-15T14:30:05.000Z');
+    assertEqual(denver.birthDate.toISOString(), '1990-05-15T20:30:05.000Z');
+    assertEqual(localToUtcWithTimezone('1990-01-15', '14:30:59', 'America/Denver').toISOString(), '1990-01-15T21:30:59.000Z');
+});
+
+test('The time field asks for seconds only when a time has them', () => {
+    const html = fs.readFileSync(path.join(__dirname, '../index.html'), 'utf8');
+    const mainCode = fs.readFileSync(path.join(__dirname, '../js/main.js'), 'utf8');
+    for (const [file, code] of [['index.html', html], ['main.js', mainCode]]) {
+        assertTrue(code.includes('name="birthtime" step="60"'), `${file} keeps the minute step`);
+        assertTrue(!code.includes('step="1"'), `${file} has no seconds step by default`);
+    }
+    // Stored, linked and added members' times widen the step when they carry seconds
+    assertEqual((mainCode.match(/setBirthTime\(/g) || []).length, 4, 'setBirthTime() defined and used thrice: ');
+});
+
+test('Calendar birthdays keep the birth second and are found by the cron minute', () => {
+    const birthDate = new Date('1990-05-15T14:30:05Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 2 });
+    const birthday = events.find(e => e.id === 'earth-birthday-1');
+    assertEqual(birthday.date.toISOString(), '1991-05-15T14:30:05.000Z');
+
+    const found = Calculator.getEarthBirthdayAt(birthDate, new Date('1991-05-15T14:30:00Z'));
+    assertEqual(found.length, 1, 'Found in its minute: ');
+    assertEqual(found[0].date.toISOString(), '1991-05-15T14:30:05.000Z', 'Dated to the second: ');
+});
+
+test('Push fires in the minute the milestone really falls in', () => {
+    // 14:30:50 + 10¹² ms (11,574 days 1:46:40) = 16:17:30, not 16:16:40
+    const members = parseFamilyParam('Ada|1990-05-15|14:30:50|UTC');
+    const at = new Date(members[0].birthDate.getTime() + 1e12);
+    assertEqual(at.toISOString(), '2022-01-21T16:17:30.000Z');
+    const due = getDueNotifications(members, at, { notificationTimes: [0] });
+    assertTrue(due.some(n => n.body.includes('Billion Seconds')), 'Due in the right minute');
+    assertEqual(due.find(n => n.body.includes('Billion Seconds')).eventTime, '2022-01-21T16:17:30.000Z', 'Exact time: ');
+
+    const early = getDueNotifications(members, new Date(at.getTime() - 60000), { notificationTimes: [0] });
+    assertTrue(!early.some(n => n.body.includes('Billion Seconds')), 'Not a minute early');
+
+    // 14:30:10 + 1:46:40 = 16:16:50: the minute starts 1:45:50 after birth,
+    // but the offset is keyed to minute 1:46
+    const [bo] = parseFamilyParam('Bo|1990-05-15|14:30:10|UTC');
+    const boAt = new Date(bo.birthDate.getTime() + 1e12);
+    assertEqual(boAt.toISOString(), '2022-01-21T16:16:50.000Z');
+    assertTrue(getDueNotifications([bo], boAt, { notificationTimes: [0] }).some(n => n.body.includes('Billion Seconds')),
+        'Found under the next minute\'s key');
+});
+
+// ============================================
+// DST AMBIGUITY
+// ============================================
+console.log('\n--- DST Ambiguity ---');
+
+test('Repeated and skipped local times are detected', () => {
+    const fallBack = resolveLocalTime('2023-11-05', '01:30', 'America/Denver');
+    assertEqual(fallBack.status, 'ambiguous');
+    assertEqual(fallBack.candidates.map(d => d.toISOString()).join(), '2023-11-05T07:30:00.000Z,2023-11-05T08:30:00.000Z');
+
+    const springForward = resolveLocalTime('2023-03-12', '02:30', 'America/Denver');
+    assertEqual(springForward.status, 'gap');
+    assertEqual(springForward.candidates.map(d => d.toISOString()).join(), '2023-03-12T09:30:00.000Z,2023-03-12T08:30:00.000Z',
+        'Offset before the change first: ');
+
+    const ordinary = resolveLocalTime('2023-07-01', '01:30', 'America/Denver');
+    assertEqual(ordinary.status, 'ok');
+    assertEqual(ordinary.candidates.length, 1);
+});
+
+test('The chosen occurrence travels in the family param', () => {
+    assertEqual(localToUtcWithTimezone('2023-11-05', '01:30', 'America/Denver').toISOString(), '2023-11-05T07:30:00.000Z');
+    assertEqual(localToUtcWithTimezone('2023-11-05', '01:30', 'America/Denver', 'second').toISOString(), '2023-11-05T08:30:00.000Z');
+
+    const [first, second] = parseFamilyParam('A|2023-11-05|01:30|America/Denver,B|2023-11-05|01:30|America/Denver||second');
+    assertEqual(first.birthDate.toISOString(), '2023-11-05T07:30:00.000Z');
+    assertEqual(second.birthDate.toISOString(), '2023-11-05T08:30:00.000Z');
+    assertEqual(second.occurrence, 'second');
+
+    assertEqual(formatBirthdayOptions({ occurrence: 'second' }), 'second');
+    assertEqual(formatBirthdayOptions({ occurrence: 'first' }), '', 'Default omitted: ');
+    assertEqual(parseBirthdayOptions('feb28;second').occurrence, 'second');
+    const param = buildFamilyParam([{ name: 'B', date: '2023-11-05', time: '01:30', timezone: 'America/Denver', birthday: 'second' }]);
+    assertEqual(param, 'B|2023-11-05|01:30|America/Denver||second');
+});
+
+// ============================================
+// DISCOVERED NUMBERS
+// ============================================
+console.log('\n--- Discovered Numbers ---');
+
+test('Discovered numbers explain their property', () => {
+    const events = Calculator.calculate(new Date('1990-01-15T12:00:00Z'), { yearsAhead: 120, only: ['discovered'] });
+    const byId = id => events.find(e => e.id === id);
+    assertEqual(byId('discovered-seconds-123456789').description,
+        'Second 123,456,789 is a digit run (its digits count up 1, 2, 3, …)!');
+    assertEqual(byId('discovered-weeks-585').description,
+        'Week 585 is a palindrome (in binary too: 1001001001)!');
+    assertEqual(byId('discovered-days-14641').description, 'Day 14,641 is a round number (10000 in base 11)!');
+    const both = byId('discovered-hours-666666');
+    assertEqual(both.description,
+        'Hour 666,666 is a repdigit (every digit is a 6) and a palindrome (in hexadecimal too: 0xA2C2A)!');
+    assertEqual(both.links.map(l => l.wikiKey).join(), 'repdigit,palindrome');
+    assertEqual(both.category, 'discovered');
+});
+
+test('Discovered numbers skip counts that are already celebrated', () => {
+    const events = Calculator.calculate(new Date('1990-01-15T12:00:00Z'), { yearsAhead: 120, only: ['discovered'] });
+    const ids = new Set(events.map(e => e.id));
+    // Curated decimal milestones and sequence terms
+    for (const id of ['discovered-days-22222', 'discovered-days-12345', 'discovered-seconds-1234567890', 'discovered-days-9009']) {
+        assertTrue(!ids.has(id), `${id} is celebrated elsewhere`);
+    }
+    for (const { unit } of Milestones.DISCOVERY_UNITS) {
+        const count = events.filter(e => e.unit === unit).length;
+        assertTrue(count > 0 && count <= Milestones.DISCOVERY_MAX_PER_UNIT, `${count} discovered ${unit}`);
+    }
+});
+
+test('Discovery properties only yield numbers that have them', () => {
+    const property = id => [...Milestones.DISCOVERY_PROPERTIES.find(p => p.id === id).candidates(1e7)];
+    const isPalindrome = str => str === str.split('').reverse().join('');
+    for (const value of property('binary-palindrome')) {
+        assertTrue(isPalindrome(String(value)) && isPalindrome(value.toString(2)), `${value} in binary`);
+    }
+    for (const value of property('hex-palindrome')) {
+        assertTrue(isPalindrome(String(value)) && isPalindrome(value.toString(16)), `${value} in hex`);
+    }
+    assertEqual(property('binary-palindrome').slice(0, 8).join(), '1,3,5,7,9,33,99,313');
+    for (const value of property('round-base')) {
+        assertTrue(Milestones.DISCOVERY_BASES.some(b => /^10+$/.test(value.toString(b))), `${value} is round in some base`);
+    }
+    assertTrue(property('repdigit').every(v => /^([2-9])\1+$/.test(String(v))), 'Repdigits, but no repunits');
+});
+
+// ============================================
+// COMBINATORICS
+// ============================================
+console.log('\n--- Combinatorics ---');
+
+test('Factorial seconds: 10! at 42 days, 11! at ~1.26 years, 12! at ~15.2 years', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 120, only: ['combinatorics'] });
+    const years = id => (events.find(e => e.id === id).date - birthDate) / Milestones.MS_PER_YEAR;
+    assertEqual(events.find(e => e.id === 'factorial-seconds-3628800').date.toISOString(), '1990-02-26T12:00:00.000Z');
+    assertClose(years('factorial-seconds-39916800'), 1.26, 0.01);
+    assertClose(years('factorial-seconds-479001600'), 15.18, 0.01);
+
+    const twelve = events.find(e => e.id === 'factorial-seconds-479001600');
+    assertEqual(twelve.milestone, '12! = 479,001,600 seconds');
+    assertEqual(twelve.description, 'Second 479,001,600 is a factorial (12! = 1×2×3×…×12)!');
+    assertEqual(twelve.links[0].url, Milestones.WIKI_URLS.factorial);
+    assertEqual(twelve.rarity, 'rare', 'Famous factorials get the constant bonus: ');
+});
+
+test('Combinatorial sequences are correct', () => {
+    const take = (id, count) => {
+        const terms = [];
+        for (const value of Milestones.COMBINATORIAL_SEQUENCES.find(s => s.id === id).terms()) {
+            if (terms.length === count) { break; }
+            terms.push(value);
+        }
+        return terms;
+    };
+    assertEqual(take('factorial', 8).join(), '1,2,6,24,120,720,5040,40320');
+    assertEqual(take('double-factorial', 10).join(), '1,2,3,8,15,48,105,384,945,3840');
+    assertEqual(take('catalan', 10).join(), '1,1,2,5,14,42,132,429,1430,4862');
+    assertEqual(take('central-binomial', 8).join(), '1,2,6,20,70,252,924,3432');
+    assertEqual(take('catalan', 20)[19], 1767263190, 'C(19) stays exact: ');
+});
+
+test('Binomial highlights name what they count', () => {
+    const events = Calculator.calculate(new Date('1990-01-15T12:00:00Z'), { yearsAhead: 120, only: ['combinatorics'] });
+    const poker = events.find(e => e.id === 'binomial-52-5-minutes');
+    assertEqual(poker.count, 2598960);
+    assertEqual(poker.description, 'Minute 2,598,960 is 52 choose 5: the number of five-card poker hands!');
+    assertEqual(poker.constant, 'pokerHands');
+    assertEqual(events.find(e => e.id === 'binomial-49-6-seconds').count, 13983816);
+    assertTrue(!events.some(e => e.id === 'binomial-52-5-hours'), '2.6 million hours is beyond a lifetime');
+});
+
+// ============================================
+// PRIMES
+// ============================================
+console.log('\n--- Primes ---');
+
+test('Notable prime counts say why they are special', () => {
+    const events = Calculator.calculate(new Date('1990-01-15T12:00:00Z'), { yearsAhead: 120, only: ['primes'] });
+    const byId = id => events.find(e => e.id === id);
+    assertEqual(byId('prime-days-8191').description, 'Day 8,191 is prime: a Mersenne prime (2¹³ − 1)!');
+    assertEqual(byId('prime-days-10007').description,
+        'Day 10,007 is prime: the first prime after 10⁴ (10⁴ + 7), and the first twin primes after 10⁴ (10,007 and 10,009)!');
+    assertEqual(byId('prime-hours-99991').description, 'Hour 99,991 is prime: the last prime before 10⁵ (10⁵ − 9)!');
+    assertEqual(byId('prime-minutes-15485863').description, 'Minute 15,485,863 is prime: the 1,000,000th prime!');
+    assertEqual(byId('prime-days-8191').links.map(l => l.wikiKey).join(), 'prime,mersennePrime');
+
+    const intMax = byId('prime-seconds-2147483647');
+    assertEqual(intMax.constant, 'int32Max');
+    assertEqual(intMax.links[1].url, Milestones.WIKI_URLS.int32Max);
+    assertTrue(!events.some(e => e.unit === 'seconds' && e.series !== 'famous'), 'Seconds only get the famous primes');
+});
+
+test('Every prime milestone is prime, and the ranks are right', () => {
+    const events = Calculator.calculate(new Date('1990-01-15T12:00:00Z'), { yearsAhead: 120, only: ['primes'] });
+    const isPrime = n => {
+        for (let d = 2; d * d <= n; d++) { if (n % d === 0) { return false; } }
+        return n > 1;
+    };
+    for (const event of events) {
+        assertTrue(isPrime(event.count), `${event.id} should be prime`);
+    }
+
+    // Count primes with a sieve to check the ranks we can afford to
+    const limit = 1300000;
+    const composite = new Uint8Array(limit + 1);
+    const nth = new Map();
+    let count = 0;
+    for (let i = 2; i <= limit; i++) {
+        if (composite[i]) { continue; }
+        nth.set(++count, i);
+        for (let j = i * i; j <= limit; j += i) { composite[j] = 1; }
+    }
+    for (const { rank, prime } of Milestones.PRIME_RANKS.filter(r => r.prime <= limit)) {
+        assertEqual(nth.get(rank), prime, `Prime #${rank}: `);
+    }
+});
+
+// ============================================
+// PHYSICAL CONSTANTS
+// ============================================
+console.log('\n--- Physical Constants ---');
+
+test('Physical constants become ages with their derivation', () => {
+    const birth = new Date('1990-01-15T12:00:00Z');
+    const events = Calculator.calculate(birth, { yearsAhead: 120, only: ['physical-constants'] });
+    const byId = id => events.find(e => e.id === id);
+
+    const mole = byId('physical-avogadro-seconds-602214076');
+    assertEqual(mole.title, 'A Mole of Femtoseconds');
+    assertEqual(mole.date.getTime() - birth.getTime(), 602214076 * 1000);
+    assertEqual(mole.description,
+        'The Avogadro constant N_A = 6.02214076 × 10²³ per mole counts the particles in a mole. N_A × 10⁻¹⁵ = 602,214,076 — you\'ve now lived that many seconds!');
+    assertEqual(mole.links[0].url, Milestones.WIKI_URLS.avogadro);
+
+    // 1/α days: 137.035999177 × 86,400,000 ms, rounded down
+    const alpha = byId('physical-fineStructure-days-137');
+    assertEqual(alpha.date.getTime() - birth.getTime(), 11839910328);
+    assertEqual(alpha.constant, 'fineStructure');
+    assertEqual(alpha.category, 'scientific');
+
+    // 10 ** 42 isn't exactly 1e42 in floating point
+    assertEqual(byId('physical-planck-seconds-662607015').date.getTime() - birth.getTime(), 662607015 * 1000);
+    assertEqual(byId('physical-caesium-seconds-919263177').milestone, 'Δν_Cs × 10⁻¹ seconds');
+});
+
+test('Every physical constant has a Wikipedia link', () => {
+    for (const { constant } of Milestones.PHYSICAL_CONSTANT_MILESTONES) {
+        assertTrue(Milestones.WIKI_URLS[constant], `${constant} needs a WIKI_URLS entry`);
+    }
+});
+
+// ============================================
+// EXOTIC TIME UNITS
+// ============================================
+console.log('\n--- Exotic Time Units ---');
+
+test('Exotic time units count exactly in their own unit', () => {
+    const birth = new Date('1990-01-15T12:00:00Z');
+    const events = Calculator.calculate(birth, { yearsAhead: 120, only: ['exotic-units'] });
+    const byId = id => events.find(e => e.id === id);
+    const offset = id => byId(id).date.getTime() - birth.getTime();
+
+    assertEqual(offset('milliseconds-10e12'), 1e12);
+    assertEqual(offset('milliseconds-2e40'), 2 ** 40);
+    assertEqual(offset('fortnights-1000'), 1000 * 14 * Milestones.MS_PER_DAY);
+    assertEqual(offset('sidereal-days-10000'), 10000 * 86164090.5);
+    // 2^63 periods at 9,192,631,770 Hz, rounded down to the millisecond
+    assertEqual(offset('caesium-periods-2e63'), 1003344011554);
+
+    const jiffies = byId('jiffies-2e32');
+    assertEqual(jiffies.title, '2^32 Jiffies');
+    assertEqual(jiffies.description,
+        'You\'ve lived for 2³² = 4,294,967,296 jiffies (a jiffy is 1/100 s, the classic Linux timer tick)!');
+    assertEqual(jiffies.links[0].url, Milestones.WIKI_URLS.jiffy);
+    assertEqual(byId('planck-times-10e52').milestone, '10^52 Planck times');
+});
+
+test('Every exotic time unit is well-formed', () => {
+    for (const unit of Milestones.EXOTIC_TIME_UNITS) {
+        assertTrue((unit.ms > 0) !== (unit.hz > 0), `${unit.id} needs exactly one of ms and hz`);
+        assertTrue(Milestones.WIKI_URLS[unit.wikiKey], `${unit.id} needs a WIKI_URLS entry`);
+        assertTrue(getCategoryInfo(unit.category).name !== unit.category, `${unit.id} has a known category`);
+    }
+});
+
+// ============================================
+// TRUE PLANETARY RETURNS
+// ============================================
+console.log('\n--- True Planetary Returns ---');
+
+test('Ephemeris puts the Sun on the equinoxes and solstices', () => {
+    // The Sun's geocentric longitude is the Earth's heliocentric one + 180°
+    const sunLongitude = iso => (Ephemeris.heliocentricLongitude('earth', new Date(iso)) + 180) % 360;
+    assertClose(sunLongitude('2000-03-20T07:35:00Z'), 0, 0.02, 'March equinox 2000: ');
+    assertClose(sunLongitude('2020-06-20T21:43:00Z'), 90, 0.02, 'June solstice 2020: ');
+    assertClose(sunLongitude('1990-12-22T03:07:00Z'), 270, 0.02, 'December solstice 1990: ');
+    assertClose(Ephemeris.meanReturnDays('earth'), 365.2422, 0.001, 'Tropical year: ');
+});
+
+test('True returns bring each planet back to its birth longitude', () => {
+    const birth = new Date('1990-01-15T12:00:00Z');
+    const options = { yearsAhead: 120, only: ['planetary-years'] };
+    const trueEvents = Calculator.calculate(birth, { ...options, planetaryReturns: 'true' });
+    const meanEvents = Calculator.calculate(birth, options);
+    const byId = (events, id) => events.find(e => e.id === id);
+
+    for (const id of ['mercury-100', 'venus-50', 'mars-30', 'jupiter-3', 'saturn-2', 'uranus-1']) {
+        const body = id.split('-')[0];
+        const event = byId(trueEvents, id);
+        assertClose(Ephemeris.heliocentricLongitude(body, event.date), Ephemeris.heliocentricLongitude(body, birth), 0.001, `${id}: `);
+        assertTrue(byId(meanEvents, id), `${id} exists in both modes`);
+    }
+
+    // Precession brings Saturn back about 40 days before two mean Saturn years
+    const saturn = byId(trueEvents, 'saturn-2');
+    const early = (byId(meanEvents, 'saturn-2').date.getTime() - saturn.date.getTime()) / Milestones.MS_PER_DAY;
+    assertClose(early, 38.9, 0.5, 'Saturn return 2 is early by: ');
+    assertTrue(saturn.description.includes('38.9 days before the mean Saturn year'), saturn.description);
+
+    // Solar returns come a tropical year apart, only with true returns
+    const solar = trueEvents.filter(e => e.series === 'earth');
+    assertEqual(solar[0].id, 'solar-return-1');
+    assertClose((solar[30].date.getTime() - solar[29].date.getTime()) / Milestones.MS_PER_DAY, 365.2422, 0.02, 'Solar return interval: ');
+    assertTrue(!meanEvents.some(e => e.series === 'earth'), 'No solar returns with mean periods');
+});
+
+test('Unknown planetary return modes are rejected', () => {
+    let threw = false;
+    try {
+        Calculator.calculate(new Date('2000-01-01T00:00:00Z'), { planetaryReturns: 'osculating' });
+    } catch {
+        threw = true;
+    }
+    assertTrue(threw, 'Should throw for an unknown return mode');
+
+    // Names every object inherits are no return modes either
+    for (const mode of ['constructor', 'toString', '__proto__']) {
+        threw = false;
+        try {
+            Calculator.calculate(new Date('2000-01-01T00:00:00Z'), { planetaryReturns: mode });
+        } catch {
+            threw = true;
+        }
+        assertTrue(threw, `Should throw for ${mode}`);
+    }
+    const resultsCode = fs.readFileSync(path.join(__dirname, '../js/results.js'), 'utf8');
+    assertTrue(resultsCode.includes('Object.hasOwn(Milestones.PLANETARY_RETURN_MODES, returnsParam)'),
+        'Results page checks ?returns= against own keys');
+    assertTrue(workerCode.includes('Object.hasOwn(Milestones.PLANETARY_RETURN_MODES, planetaryReturns)'),
+        'Feed checks ?returns= against own keys');
+});
+
+test('Calendar feed honours the planetary return mode', () => {
+    const members = [{ name: 'Alice', birthDate: new Date('2000-01-01T00:00:00Z') }];
+    const now = new Date('2029-12-01T00:00:00Z');
+    const feed = buildFamilyEvents(members, now, { planetaryReturns: 'true' });
+    assertTrue(feed.some(e => e.id === 'Alice-solar-return-30'), 'Feed has the 30th solar return');
+    assertTrue(workerCode.includes("url.searchParams.get('returns')"), 'Feed reads ?returns=');
+});
+
+// ============================================
+// MOON PHASE
+// ============================================
+console.log('\n--- Moon Phase ---');
+
+test('Moon phase at birth is named and lit', () => {
+    const phase = Ephemeris.moonPhase(new Date('1990-01-15T12:00:00Z'));
+    assertEqual(phase.name, 'Waning Gibbous');
+    assertEqual(phase.icon, '🌖');
+    assertClose(phase.illumination, 0.805, 0.005, 'Lit fraction: ');
+    assertEqual(Nerdiversary.formatMoonPhase(new Date('1990-01-15T12:00:00Z')), '🌖 Waning Gibbous (81% lit)');
+});
+
+test('Known new and full moons are found to within minutes', () => {
+    // Full moon 2024-01-25 17:54 UTC, new moon 2024-01-11 11:57 UTC
+    const full = Ephemeris.findMoonPhase(180, new Date('2024-01-24T00:00:00Z'));
+    assertTrue(Math.abs(full.getTime() - Date.UTC(2024, 0, 25, 17, 54)) < 5 * Milestones.MS_PER_MINUTE, `Full moon at ${full.toISOString()}`);
+    const fresh = Ephemeris.findMoonPhase(0, new Date('2024-01-10T00:00:00Z'));
+    assertTrue(Math.abs(fresh.getTime() - Date.UTC(2024, 0, 11, 11, 57)) < 5 * Milestones.MS_PER_MINUTE, `New moon at ${fresh.toISOString()}`);
+});
+
+test('Lunations return to the birth phase and lunar returns to the birth longitude', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 100, only: ['lunations', 'lunar-returns'] });
+    const birthPhase = Ephemeris.moonPhase(birthDate);
+    const birthLongitude = Ephemeris.moonSiderealLongitude(birthDate);
+
+    const lunations = events.filter(e => e.series === 'lunation');
+    assertTrue(lunations.length > 0, 'Should have lunations');
+    for (const event of lunations) {
+        assertClose(Ephemeris.moonPhase(event.date).elongation, birthPhase.elongation, 0.001, `${event.id} elongation: `);
+    }
+    assertTrue(lunations[0].description.includes('waning gibbous, 81% lit'), 'Description names the birth phase');
+
+    const returns = events.filter(e => e.series === 'lunar-return');
+    assertEqual(returns[0].id, 'lunar-return-1');
+    assertEqual(returns[0].title, 'First Lunar Return');
+    for (const event of returns) {
+        assertClose(Ephemeris.moonSiderealLongitude(event.date), birthLongitude, 0.001, `${event.id} longitude: `);
+    }
+    // 100 sidereal months ≈ 2732 days
+    const days = (events.find(e => e.id === 'lunar-return-100').date - birthDate) / Milestones.MS_PER_DAY;
+    assertClose(days, 100 * Milestones.SIDEREAL_MONTH_DAYS, 1, 'Lunar return 100: ');
+});
+
+test('Push notifications fire lunations in the ephemeris minute', () => {
+    const members = parseFamilyParam('Alice|1990-01-15|12:00|UTC');
+    const lunation = Calculator.calculate(new Date('1990-01-15T12:00:00Z'), { yearsAhead: 10, only: ['lunations'] })
+        .find(e => e.id === 'lunation-100');
+    const minute = new Date(Math.floor(lunation.date.getTime() / 60000) * 60000);
+    const due = getDueNotifications(members, minute, { notificationTimes: [0] });
+    assertTrue(due.some(n => n.body.includes('100 Lunations')), 'Should notify in the lunation minute');
+    const later = new Date(minute.getTime() + 60000);
+    assertTrue(!getDueNotifications(members, later, { notificationTimes: [0] }).some(n => n.body.includes('100 Lunations')), 'Not a minute later');
+});
+
+test('Push computes the sky only around the notification, for every lead time', () => {
+    const members = parseFamilyParam('Alice|1990-01-15|12:00|UTC');
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const [lunation] = Calculator.between(birthDate, new Date('2060-01-01T00:00:00Z'), new Date('2080-01-01T00:00:00Z'),
+        { yearsAhead: 120, only: ['lunations'] }).filter(e => e.id.startsWith('lunation-'));
+    const minute = Math.floor(lunation.date.getTime() / 60000) * 60000;
+    for (const lead of [0, 60, 1440]) {
+        const due = getDueNotifications(members, new Date(minute - lead * 60000), { notificationTimes: [lead] });
+        assertTrue(due.some(n => n.body.includes(lunation.title)), `${lunation.title} is pushed ${lead} minutes ahead`);
+    }
+    assertTrue(workerCode.includes('cached(EPHEMERIS_OFFSETS, '), 'Per-birth sky offsets are cached with a bound');
+    assertTrue(!workerCode.includes('Calculator.calculate(birthDate'), 'No whole lifetime of sky events per birth');
+});
+
+// ============================================
+// ECLIPSES
+// ============================================
+console.log('\n--- Eclipses ---');
+
+test('Eclipse kinds and magnitudes match Meeus', () => {
+    // Examples 54.a and 54.b of "Astronomical Algorithms"
+    const [solar] = Ephemeris.eclipses(new Date('1993-05-20T00:00:00Z'), new Date('1993-05-22T00:00:00Z'));
+    assertEqual(solar.body, 'solar');
+    assertEqual(solar.type, 'partial');
+    assertClose(solar.magnitude, 0.740, 0.001, 'Solar magnitude: ');
+    const [lunar] = Ephemeris.eclipses(new Date('1973-06-14T00:00:00Z'), new Date('1973-06-16T00:00:00Z'));
+    assertEqual(lunar.type, 'penumbral');
+    assertClose(lunar.magnitude, 0.4625, 0.001, 'Penumbral magnitude: ');
+});
+
+test('Known eclipses are found to within a couple of minutes', () => {
+    const near = (eclipse, utc) => Math.abs(eclipse.date.getTime() - Date.parse(utc)) < 2 * Milestones.MS_PER_MINUTE;
+    const in2017 = Ephemeris.eclipses(new Date('2017-01-01T00:00:00Z'), new Date('2018-01-01T00:00:00Z'));
+    assertEqual(in2017.length, 4, '2017 had two solar and two lunar eclipses. ');
+    const american = in2017.find(e => e.body === 'solar' && e.type === 'total');
+    assertTrue(near(american, '2017-08-21T18:25:32Z'), `2017 total solar eclipse at ${american.date.toISOString()}`);
+    const [april] = Ephemeris.eclipses(new Date('2024-04-01T00:00:00Z'), new Date('2024-04-30T00:00:00Z'));
+    assertEqual(april.type, 'total');
+    assertTrue(near(april, '2024-04-08T18:17:16Z'), `2024 total solar eclipse at ${april.date.toISOString()}`);
+    const [blood] = Ephemeris.eclipses(new Date('2022-11-01T00:00:00Z'), new Date('2022-11-30T00:00:00Z'));
+    assertEqual(blood.type, 'total');
+    assertTrue(near(blood, '2022-11-08T10:59:11Z'), `2022 total lunar eclipse at ${blood.date.toISOString()}`);
+});
+
+test('Eclipse milestones count from birth', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 100, includePast: true, only: ['eclipses'] });
+
+    const firstTotal = events.find(e => e.title === 'First Total Solar Eclipse');
+    assertTrue(firstTotal !== undefined, 'Should have a first total solar eclipse');
+    assertEqual(firstTotal.date.toISOString().slice(0, 10), '1990-07-22');
+    assertTrue(firstTotal.description.includes('your first total one'), 'Description counts the kind');
+
+    const hundredth = events.find(e => e.id === 'eclipse-lunar-100');
+    assertTrue(hundredth !== undefined, 'Should have a 100th lunar eclipse');
+    assertEqual(hundredth.title, '100th Lunar Eclipse');
+    assertEqual(hundredth.category, 'scientific');
+    assertEqual(hundredth.series, 'lunar-eclipse');
+
+    // Every total eclipse is listed; partial ones only when they mark a count
+    const totals = Ephemeris.eclipses(birthDate, new Date('2090-01-15T12:00:00Z')).filter(e => e.type === 'total');
+    assertEqual(events.filter(e => e.description.startsWith('A total')).length, totals.length, 'All totals listed. ');
+    assertTrue(events.length < Ephemeris.eclipses(birthDate, new Date('2090-01-15T12:00:00Z')).length, 'Not every eclipse is listed');
+});
+
+test('Eclipse windows keep counts from birth without recomputing past years', () => {
+    const birthDate = new Date('1961-06-02T08:00:00Z');
+    const from = new Date('2031-01-01T00:00:00Z');
+    const to = new Date('2034-01-01T00:00:00Z');
+    const all = Calculator.calculate(birthDate, { yearsAhead: 100, includePast: true, only: ['eclipses'] })
+        .filter(e => e.date >= from && e.date <= to);
+
+    const original = Ephemeris.eclipses;
+    const spans = [];
+    Ephemeris.eclipses = function(start, end) {
+        spans.push([start, end]);
+        return original.call(this, start, end);
+    };
+    let windowed;
+    let again;
+    try {
+        windowed = Calculator.between(birthDate, from, to, { yearsAhead: 100, only: ['eclipses'] });
+        const computed = spans.length;
+        again = Calculator.between(new Date('1975-03-04T00:00:00Z'), from, to, { yearsAhead: 100, only: ['eclipses'] });
+        assertEqual(spans.length, computed, 'Another birth reuses the cached years. ');
+    } finally {
+        Ephemeris.eclipses = original;
+    }
+
+    assertTrue(windowed.length > 0, 'Window has eclipses');
+    assertEqual(windowed.map(e => `${e.id} ${e.title}`).join('\n'), all.map(e => `${e.id} ${e.title}`).join('\n'));
+    assertTrue(again.length > 0 && again[0].count < windowed[0].count, 'A later birth counts fewer eclipses');
+});
+
+test('Eclipses reach the calendar feed and push notifications', () => {
+    const members = parseFamilyParam('Alice|1990-01-15|12:00|UTC');
+    const feed = buildFamilyEvents(members, new Date('2024-03-01T00:00:00Z'));
+    const april = feed.find(e => e.title === 'Total Solar Eclipse' && e.date.toISOString().startsWith('2024-04-08'));
+    assertTrue(april !== undefined, 'Feed has the 2024 total solar eclipse');
+    const minute = new Date(Math.floor(april.date.getTime() / 60000) * 60000);
+    const due = getDueNotifications(members, minute, { notificationTimes: [0] });
+    assertTrue(due.some(n => n.body.includes('Total Solar Eclipse')), 'Push fires in the eclipse minute');
+});
+
+// ============================================
+// DWARF PLANETS, MOONS AND COMETS
+// ============================================
+console.log('\n--- Dwarf Planets, Moons and Comets ---');
+
+test('Dwarf planet years count mean orbits', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 100, includePast: true, only: ['dwarf-planets'] });
+    const ceres5 = events.find(e => e.id === 'ceres-5');
+    assertEqual(ceres5.title, 'Ceres Year 5');
+    assertEqual(ceres5.planet, 'Ceres');
+    assertEqual(ceres5.date.getTime() - birthDate.getTime(), 726464160000, '5 × 1681.63 days: ');
+    assertTrue(!events.some(e => e.id === 'pluto-1'), 'No whole Pluto year in 100 years');
+});
+
+test('Slow bodies mark fractions of their first orbit', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 100, includePast: true, only: ['dwarf-planets'] });
+    const quarter = events.find(e => e.title === '¼ Pluto Year');
+    assertTrue(quarter !== undefined, 'Should have ¼ Pluto year');
+    assertEqual(quarter.date.getTime() - birthDate.getTime(), 90560 / 4 * Milestones.MS_PER_DAY, '¼ × 90560 days: ');
+    assertTrue(quarter.description.includes('62.0 Earth years'), 'Description gives the Earth age');
+    assertTrue(!events.some(e => e.id.startsWith('ceres-frac-')), 'Ceres finishes whole orbits instead');
+});
+
+test('Moon orbits count round numbers', () => {
+    const birthDate = new Date('2000-01-01T00:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 100, only: ['moons'] });
+    const io = events.find(e => e.id === 'io-orbits-1000');
+    assertEqual(io.title, '1,000 Io Orbits');
+    assertEqual(io.date.getTime() - birthDate.getTime(), 152853504710, '1000 × 1.769137786 days, rounded down: ');
+    assertTrue(io.description.includes('around Jupiter'), 'Description names the planet');
+    assertTrue(events.some(e => e.id === 'titan-orbits-1000'), 'Titan orbits');
+});
+
+test('Periodic comets return within a lifetime', () => {
+    const events = Calculator.calculate(new Date('1990-01-15T12:00:00Z'), { yearsAhead: 100, includePast: true, only: ['comets'] });
+    const halley = events.find(e => e.id === 'comet-halley-1');
+    assertEqual(halley.title, "Halley's Comet Returns");
+    assertEqual(halley.date.toISOString(), '2061-07-28T00:00:00.000Z');
+    assertTrue(events.some(e => e.series === 'encke' && e.date.toISOString().startsWith('2023-10-22')), 'Encke at its 2023 perihelion');
+    const estimated = events.find(e => e.series === 'encke' && e.date.getUTCFullYear() === 2030);
+    assertTrue(estimated.description.includes('estimated'), 'Dates beyond the list say they are estimates');
+    // Estimates step by the same year length as every other milestone
+    // (13 × 3.30 Julian years from 2023-10-22 would land on 2066-09-15)
+    assertTrue(events.some(e => e.series === 'encke' && e.date.toISOString().startsWith('2066-09-14')), 'Encke estimated by Gregorian years');
+
+    const older = Calculator.calculate(new Date('1900-01-01T00:00:00Z'), { yearsAhead: 100, includePast: true, only: ['comets'] })
+        .filter(e => e.series === 'halley');
+    assertEqual(older.map(e => e.date.getUTCFullYear()).join(','), '1910,1986');
+    assertEqual(older[1].title, "Halley's Comet Return 2");
+});
+
+test('Dwarf planets, moons and comets reach push notifications', () => {
+    assertTrue(generateMilestoneOffsets().some(o => o.label.includes('Ceres Year 5')), 'Dwarf planet years are fixed offsets');
+    const members = parseFamilyParam('Alice|1990-01-15|12:00|UTC');
+    const due = getDueNotifications(members, new Date('2061-07-28T00:00:00Z'), { notificationTimes: [0] });
+    assertTrue(due.some(n => n.body.includes("Halley's Comet Returns")), 'Comet returns are found per birth');
+});
+
+// ============================================
+// PLANETARY SOLS
+// ============================================
+console.log('\n--- Planetary Sols ---');
+
+test('Every planet has a solar day', () => {
+    for (const planet of Object.values(Milestones.PLANETS)) {
+        assertTrue(planet.solarDayHours > 0, `${planet.name} should have a solar day`);
+        assertTrue(planet.solIcon && planet.solIcon !== planet.icon, `${planet.name} sols have their own icon`);
+    }
+});
+
+test('Sols count round numbers of solar days', () => {
+    const birthDate = new Date('1990-01-15T12:00:00Z');
+    const events = Calculator.calculate(birthDate, { yearsAhead: 100, includePast: true, only: ['planetary-sols'] });
+
+    const mars = events.find(e => e.id === 'mars-sol-10000');
+    assertEqual(mars.title, 'Sol 10,000 on Mars');
+    assertEqual(mars.category, 'planetary');
+    assertEqual(mars.date.getTime() - birthDate.getTime(), 887752440000, '10,000 × 24.65979 hours: ');
+    assertTrue(mars.description.includes('24 hours 40 minutes'), 'Description gives the sol length');
+
+    const venus = events.find(e => e.id === 'venus-sol-100');
+    assertEqual(venus.title, '100 Venus Solar Days');
+    assertTrue(venus.description.includes('116.8 days'), 'Slow solar days are given in days');
+    assertTrue(!events.some(e => e.id === 'mercury-sol-500'), 'Mercury has only ~200 solar days in a century');
+});
+
+test('Sols are fixed push offsets', () => {
+    assertTrue(generateMilestoneOffsets().some(o => o.label.includes('Sol 10,000 on Mars')), 'Mars sols reach push notifications');
+});
+
 // ============================================
 // STRUCTURAL GUARDS
 // ============================================
 console.log('\n--- Structural Guards ---');
 
 test('Every milestone generator produces events that reach the worker', () => {
-    // If you add a new _add*Milestones method to Calculator, this test ensures
+    // If you register a new generator with Calculator, this test ensures
     // every generated event is either:
-    //   (a) offset-based: included in generateMilestoneOffsets() (no isSharedHoliday, no earth-birthday- id)
+    //   (a) offset-based: included in generateMilestoneOffsets() (no isSharedHoliday, no earth-birthday- id),
+    //       or, for ¼/½/¾ birthdays, the worker's mean-mode fractional offsets,
+    //       or, for lunations and lunar returns, the worker's per-birth lunar offsets
     //   (b) calendar-based: found by getCalendarEventsAt() (isSharedHoliday or earth-birthday-)
     // If a new type falls through both paths, push notifications won't fire for it.
 
@@ -1662,6 +3226,10 @@ test('No milestone titles collide with holiday name prefixes', () => {
         `Milestone titles collide with holiday names: ${collisions.slice(0, 3).map(c => `"${c.title}"`).join(', ')}. `);
 });
 
+for (const run of asyncTests) {
+    await run();
+}
+
 // ============================================
 // SUMMARY
 // ============================================
@@ -18,7 +18,10 @@ CREATE TABLE IF NOT EXISTS family_members (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   subscription_id TEXT NOT NULL,
   name TEXT NOT NULL,
-  birth_datetime TEXT NOT NULL,           -- ISO format: YYYY-MM-DDTHH:MM
+  birth_datetime TEXT NOT NULL,           -- UTC, ISO format: YYYY-MM-DDTHH:MM (:SS when recorded)
+  birth_date TEXT DEFAULT '',             -- Gregorian date as written (birth timezone), YYYY-MM-DD; '' if not sent
+  custom_milestones TEXT DEFAULT '',      -- e.g. '777777777s;12345h' (see parseCustomMilestones)
+  birthday_options TEXT DEFAULT '',       -- e.g. 'feb28;calendar' (see parseBirthdayOptions)
   created_at TEXT DEFAULT (datetime('now')),
   FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE
 );
@@ -26,6 +29,15 @@ CREATE TABLE IF NOT EXISTS family_members (
 -- Soft-delete column for expired push subscriptions
 -- (ALTER TABLE is idempotent-safe with IF NOT EXISTS in newer D1 but we use the migration below)
 
+-- Custom milestones column for databases created before it existed:
+-- ALTER TABLE family_members ADD COLUMN custom_milestones TEXT DEFAULT '';
+
+-- Birthday options column (leap-day policy, fractional-age mode), likewise:
+-- ALTER TABLE family_members ADD COLUMN birthday_options TEXT DEFAULT '';
+
+-- Birth-timezone date column (tells Feb 29 births from UTC Feb 29s), likewise:
+-- ALTER TABLE family_members ADD COLUMN birth_date TEXT DEFAULT '';
+
 -- Index for fast birthday lookups (the key optimization!)
 CREATE INDEX IF NOT EXISTS idx_birth_datetime ON family_members(birth_datetime);
 
@@ -11,7 +11,9 @@
 
 // Import shared modules
 import Calculator from '../js/calculator.js';
-import { parseFamilyParam, formatNotificationTitle, generateICal, SITE_URL } from '../js/shared.js';
+import Clock from '../js/clock.js';
+import Milestones from '../js/milestones.js';
+import { parseFamilyParam, withSeconds, parseCustomMilestones, formatCustomMilestones, parseBirthdayOptions, formatBirthdayOptions, formatNotificationTitle, generateICal, SITE_URL } from '../js/shared.js';
 
 // ============================================================================
 // CORS Headers
@@ -27,45 +29,78 @@ const CORS_HEADERS = {
 // MILESTONE OFFSETS (precomputed for cron queries)
 // ============================================================================
 
+// Offsets are exact to the millisecond (see EXACT OFFSETS in calculator.js).
+// The cron runs once a minute, so each is keyed by the minute it falls in:
+// the notification goes out in that minute and carries the exact time.
+function minuteOf(ms) {
+  return Math.floor(ms / 60000) * 60000;
+}
+
+// Add a milestone to the offset for its minute. Distinct milestones can land
+// on the same minute (e.g. "1 AU" and "Light Speed to the Sun", or 0xFFFFFF vs
+// 2^24 seconds after rounding): the offset's label names them all, and each
+// keeps its own exactMs in `milestones`, since a birth recorded to the second
+// can put them in different cron minutes.
+function addOffset(offsetMap, exactMs, label, icon) {
+  const ms = minuteOf(exactMs);
+  const offset = offsetMap.get(ms);
+  if (!offset) {
+    offsetMap.set(ms, { ms, exactMs, label, icon, milestones: [{ exactMs, label, icon }] });
+  } else if (!offset.milestones.some(m => m.label === label)) {
+    offset.label += ` + ${label}`;
+    offset.milestones.push({ exactMs, label, icon });
+  }
+}
+
+// The milestones landing in the minute starting `elapsedMs` after birth.
+// Births recorded to the second put elapsedMs off the minute grid, so they
+// can come from the offsets of this minute and the next.
+function milestonesInMinute(offsetMap, elapsedMs) {
+  if (!offsetMap) return [];
+  const found = [];
+  for (const key of [minuteOf(elapsedMs), minuteOf(elapsedMs) + 60000]) {
+    for (const milestone of offsetMap.get(key)?.milestones || []) {
+      if (milestone.exactMs >= elapsedMs && milestone.exactMs < elapsedMs + 60000) found.push(milestone);
+    }
+  }
+  return found;
+}
+
 /**
  * Generate all milestone offsets in milliseconds from birth.
  * Uses Calculator.calculate() with a reference date to match the frontend exactly,
- * except for Earth birthdays (approximated with MS_PER_YEAR) and nerdy holidays
- * (calendar-based, not offset-based — skipped for now).
+ * except for Earth birthdays and nerdy holidays (calendar-based, not
+ * offset-based — see memberMilestonesDue() and holidaysDue()), ¼/½/¾ birthdays, which
+ * depend on the member's fractional-age mode (see getFractionalAgeOffsets()),
+ * and the Moon's returns, eclipse and comet counts, which depend on the sky at birth
+ * (see getEphemerisOffsets()).
+ * Every generator registered with Calculator.registerGenerator() is included;
+ * register custom generators at module load, since offsets are cached per instance.
  */
 // Exported for tests
 export function generateMilestoneOffsets() {
   const refBirth = new Date('2000-01-01T00:00:00Z');
   const events = Calculator.calculate(refBirth, { yearsAhead: 120, includePast: true });
 
-  // Distinct milestones can land on the same minute (e.g. "1 AU" and
-  // "Light Speed to the Sun", or 0xFFFFFF vs 2^24 seconds after rounding).
-  // Merge them into one notification instead of silently dropping all but one.
   const byMs = new Map();
   for (const event of events) {
     // Skip calendar-based events that can't be expressed as fixed offsets
     if (event.isSharedHoliday) continue;
     if (event.id.startsWith('earth-birthday-')) continue;
+    if (event.series === 'fractional') continue;
+    if (BIRTH_DEPENDENT_SERIES.has(event.series)) continue;
 
     const ms = event.date.getTime() - refBirth.getTime();
     if (ms <= 0) continue;
 
-    // Round to nearest minute for consistent matching with minute-precision birth_datetime in DB
-    const msRounded = Math.round(ms / 60000) * 60000;
-    const existing = byMs.get(msRounded);
-    if (existing) {
-      if (!existing.labels.includes(event.title)) {
-        existing.labels.push(event.title);
-      }
-    } else {
-      byMs.set(msRounded, { labels: [event.title], icon: event.icon });
-    }
+    // Key by minute; the cron looks offsets up per minute (see milestonesInMinute)
+    addOffset(byMs, ms, event.title, event.icon);
   }
 
   // Earth birthdays and nerdy holidays are calendar-based (same month/day each year),
-  // not fixed offsets. They are handled separately via handleCalendarEvents().
+  // not fixed offsets. They are handled separately via memberMilestonesDue() and holidaysDue().
 
-  return [...byMs.entries()].map(([ms, o]) => ({ ms, label: o.labels.join(' + '), icon: o.icon }));
+  return [...byMs.values()];
 }
 
 // Cache milestone offsets (generated once per worker instance)
@@ -77,10 +112,149 @@ function getMilestoneOffsets() {
   return MILESTONE_OFFSETS;
 }
 
+// Offset ms -> offset info, for O(1) lookup in the cron and the preview route
+let MILESTONE_OFFSET_MAP = null;
+function getMilestoneOffsetMap() {
+  if (!MILESTONE_OFFSET_MAP) {
+    MILESTONE_OFFSET_MAP = new Map();
+    for (const offset of getMilestoneOffsets()) {
+      MILESTONE_OFFSET_MAP.set(offset.ms, offset);
+    }
+  }
+  return MILESTONE_OFFSET_MAP;
+}
+
+// Get-or-compute on a Map kept in least-recently-used order, evicting the
+// oldest entry past `limit` so caches keyed by user input stay bounded
+function cached(cache, key, limit, compute) {
+  if (cache.has(key)) {
+    const value = cache.get(key);
+    cache.delete(key);
+    cache.set(key, value);
+    return value;
+  }
+  const value = compute();
+  cache.set(key, value);
+  if (cache.size > limit) cache.delete(cache.keys().next().value);
+  return value;
+}
+
+/**
+ * Offsets for a member's own custom milestones (the 5th family field).
+ * Same shape and minute keys as generateMilestoneOffsets(); cached per
+ * distinct spec string since families commonly share none or a few.
+ */
+const CUSTOM_OFFSETS = new Map();
+const CUSTOM_OFFSETS_LIMIT = 500;
+export function getCustomMilestoneOffsets(spec) {
+  if (!spec) return null;
+  return cached(CUSTOM_OFFSETS, spec, CUSTOM_OFFSETS_LIMIT, () => {
+    const refBirth = new Date('2000-01-01T00:00:00Z');
+    const events = Calculator.calculate(refBirth, {
+      yearsAhead: 120,
+      includePast: true,
+      customMilestones: parseCustomMilestones(spec),
+      only: ['custom'],
+    });
+    const offsetMap = new Map();
+    for (const event of events) {
+      addOffset(offsetMap, event.date.getTime() - refBirth.getTime(), event.title, event.icon);
+    }
+    return offsetMap;
+  });
+}
+
+/**
+ * Offsets of the ¼/½/¾ birthdays in the default 'mean' fractional-age mode.
+ * Members in 'calendar' mode get theirs from getEarthBirthdayAt() instead.
+ */
+let FRACTIONAL_AGE_OFFSETS = null;
+function getFractionalAgeOffsets() {
+  if (!FRACTIONAL_AGE_OFFSETS) {
+    const refBirth = new Date('2000-01-01T00:00:00Z');
+    const events = Calculator.calculate(refBirth, { yearsAhead: 120, includePast: true, only: ['fractional-ages'] });
+    FRACTIONAL_AGE_OFFSETS = new Map();
+    for (const event of events) {
+      addOffset(FRACTIONAL_AGE_OFFSETS, event.date.getTime() - refBirth.getTime(), event.title, event.icon);
+    }
+  }
+  return FRACTIONAL_AGE_OFFSETS;
+}
+
+// Milestones found from the ephemeris for each birth
+// (and comets, whose perihelion dates are counted from birth the same way)
+const BIRTH_DEPENDENT_GENERATORS = ['lunations', 'lunar-returns', 'eclipses', 'comets'];
+const BIRTH_DEPENDENT_SERIES = new Set([
+  'lunation', 'lunar-return', 'solar-eclipse', 'lunar-eclipse',
+  ...Object.keys(Milestones.PERIODIC_COMETS),
+]);
+
+/**
+ * Offsets of one birth's lunations, lunar returns, eclipses and comet
+ * returns, which follow the real sky rather than a fixed period. Only the
+ * UTC day `elapsedMs` after birth falls in is computed (plus a minute, for
+ * lookups starting at its end), and cached per birth and day: the cron's
+ * lead times hit at most two days per member.
+ */
+const EPHEMERIS_OFFSETS = new Map();
+const EPHEMERIS_OFFSETS_LIMIT = 2000;
+function getEphemerisOffsets(birthMs, elapsedMs) {
+  const day = Math.floor((birthMs + elapsedMs) / Milestones.MS_PER_DAY);
+  return cached(EPHEMERIS_OFFSETS, `${birthMs}/${day}`, EPHEMERIS_OFFSETS_LIMIT, () => {
+    const from = new Date(day * Milestones.MS_PER_DAY);
+    const to = new Date(from.getTime() + Milestones.MS_PER_DAY + 60000);
+    const events = Calculator.between(new Date(birthMs), from, to, {
+      yearsAhead: 120,
+      only: BIRTH_DEPENDENT_GENERATORS,
+    });
+    const offsetMap = new Map();
+    for (const event of events) {
+      addOffset(offsetMap, event.date.getTime() - birthMs, event.title, event.icon);
+    }
+    return offsetMap;
+  });
+}
+
+// Offset lookup for one member: shared milestones, their custom ones,
+// mean-mode fractional ages and the Moon's returns and eclipses for their
+// birth. Milestones from several of these in one minute share a notification.
+function findOffset(offsetMap, elapsedMs, customOffsets, birthdayOptions, birthMs) {
+  const matches = [
+    ...milestonesInMinute(offsetMap, elapsedMs),
+    ...milestonesInMinute(customOffsets, elapsedMs),
+    ...(birthdayOptions.fractionalAges === 'mean' ? milestonesInMinute(getFractionalAgeOffsets(), elapsedMs) : []),
+    ...milestonesInMinute(getEphemerisOffsets(birthMs, elapsedMs), elapsedMs),
+  ];
+  if (matches.length === 0) return null;
+  return {
+    exactMs: Math.min(...matches.map(m => m.exactMs)),
+    label: matches.map(m => m.label).join(' + '),
+    icon: matches[0].icon,
+  };
+}
+
 // ============================================================================
 // WORKER HANDLER
 // ============================================================================
 
+// ?now=2031-05-14T10:00Z renders the calendar feed and the push preview as of
+// another instant. The worker instance is shared between requests, so `now`
+// is threaded through explicitly rather than shifting Clock. Null if invalid.
+function parseNowParam(url) {
+  const nowParam = url.searchParams.get('now');
+  return nowParam ? Clock.parse(nowParam) : Clock.now();
+}
+
+function invalidNowResponse() {
+  return new Response(JSON.stringify({
+    error: 'Invalid now parameter',
+    usage: '?now=2031-05-14T10:00Z',
+  }), {
+    status: 400,
+    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+  });
+}
+
 const workerHandler = {
   async fetch(request, env, _ctx) {
     const url = new URL(request.url);
@@ -107,6 +281,11 @@ const workerHandler = {
       return handleNotificationLog(request, url, env);
     }
 
+    if (url.pathname === '/push/preview' && request.method === 'GET') {
+      const now = parseNowParam(url);
+      return now ? handlePushPreview(url, now) : invalidNowResponse();
+    }
+
     // Milestone share pages: social scrapers get real OG tags, humans get redirected
     if (url.pathname === '/share') {
       return handleShareRedirect(url);
@@ -115,13 +294,14 @@ const workerHandler = {
     // Calendar feed - require family format
     const familyParam = url.searchParams.get('family');
     if (familyParam) {
-      return handleFamilyRequest(url, familyParam);
+      const now = parseNowParam(url);
+      return now ? handleFamilyRequest(url, familyParam, now) : invalidNowResponse();
     }
 
     // No valid parameters provided
     return new Response(JSON.stringify({
       error: 'Missing family parameter',
-      usage: '?family=Name|YYYY-MM-DD or ?family=Name|YYYY-MM-DD,Name2|YYYY-MM-DD',
+      usage: '?family=Name|YYYY-MM-DD or ?family=Name|YYYY-MM-DD|HH:MM|TZ|777777777s;12345h,Name2|YYYY-MM-DD',
       example: url.origin + '/?family=Alice|1990-05-15'
     }), {
       status: 400,
@@ -255,7 +435,7 @@ async function handlePushSubscribe(request, env) {
   }
 
   try {
-    const { subscription, family, notificationTimes, timezoneOffset, timezone } = await request.json();
+    const { subscription, family, birthDates, notificationTimes, timezoneOffset, timezone } = await request.json();
 
     if (!subscription || !subscription.endpoint) {
       return new Response(JSON.stringify({
@@ -303,14 +483,31 @@ async function handlePushSubscribe(request, env) {
     // Cap member count and name length — the cron scans every row each minute,
     // so unbounded input from this public endpoint could degrade it for everyone
     if (family) {
-      const members = parseFamilyParam(family).slice(0, 20);
+      // birthDates[i] is entry i's Gregorian date as written, which the
+      // UTC family can't show; parse entry by entry to keep them paired
+      const members = family.split(',')
+        .flatMap((entry, i) => parseFamilyParam(entry).map(member => ({ ...member, writtenDate: birthDates?.[i] })))
+        .slice(0, 20);
       const offset = typeof timezoneOffset === 'number' ? timezoneOffset : 0;
       for (const member of members) {
-        const birthDatetime = formatBirthDatetime(member.dateStr, member.timeStr, offset);
+        const birthDatetime = formatBirthDatetime(member.gregorianDateStr, member.timeStr, offset);
+        // Clients sending local times (an offset) wrote the family's dates
+        // themselves; without either, the cron falls back to the UTC date
+        const birthDate = /^\d{4}-\d{2}-\d{2}$/.test(member.writtenDate) ? member.writtenDate
+          : offset ? member.gregorianDateStr : '';
         await env.DB.prepare(`
-          INSERT INTO family_members (subscription_id, name, birth_datetime)
-          VALUES (?, ?, ?)
-        `).bind(subscriptionId, member.name.slice(0, 100), birthDatetime).run();
+          INSERT INTO family_members (subscription_id, name, birth_datetime, birth_date, custom_milestones, birthday_options)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(
+          subscriptionId,
+          member.name.slice(0, 100),
+          birthDatetime,
+          birthDate,
+          formatCustomMilestones(member.customMilestones),
+          // birth_datetime is already Gregorian UTC, so the birth calendar and
+          // DST occurrence aren't kept
+          formatBirthdayOptions({ ...member, calendar: undefined, occurrence: undefined })
+        ).run();
       }
     }
 
@@ -414,19 +611,25 @@ async function hashEndpoint(endpoint) {
 }
 
 /**
- * Format birth date to YYYY-MM-DDTHH:MM for DB storage (in UTC)
+ * Format birth date to YYYY-MM-DDTHH:MM[:SS] for DB storage (in UTC)
  * The client converts local birth times to UTC before sending (accounting for
  * historical DST on the birth date), so timezoneOffset is typically 0.
  * Kept for backwards compatibility with older clients that send local times.
+ * Seconds are only stored for births recorded to the second.
  * @param {string} dateStr - Date string in YYYY-MM-DD format
- * @param {string} timeStr - Time string in HH:MM format (UTC if client converts, local if legacy)
+ * @param {string} timeStr - Time string in HH:MM[:SS] format (UTC if client converts, local if legacy)
  * @param {number} timezoneOffset - Minutes to add to convert to UTC (0 if already UTC)
- * @returns {string} UTC datetime in YYYY-MM-DDTHH:MM format
+ * @returns {string} UTC datetime in YYYY-MM-DDTHH:MM[:SS] format
  */
 function formatBirthDatetime(dateStr, timeStr, timezoneOffset = 0) {
-  const asUtc = new Date(`${dateStr}T${timeStr}:00Z`);
+  const asUtc = new Date(`${dateStr}T${withSeconds(timeStr)}Z`);
   const utcDate = new Date(asUtc.getTime() + timezoneOffset * 60 * 1000);
-  return utcDate.toISOString().slice(0, 16);
+  return utcDate.getUTCSeconds() ? utcDate.toISOString().slice(0, 19) : utcDate.toISOString().slice(0, 16);
+}
+
+// Inverse of formatBirthDatetime(): D1's birth_datetime as a UTC Date
+function parseBirthDatetime(birthDatetime) {
+  return new Date(`${birthDatetime.slice(0, 10)}T${withSeconds(birthDatetime.slice(11))}Z`);
 }
 
 // ============================================================================
@@ -446,17 +649,54 @@ function parseNotificationTimes(row) {
   }
 }
 
+/**
+ * Milestones one member reaches `notifMinutes` after the cron minute: fixed
+ * and per-birth offsets, then Earth birthdays. The matching rules shared by
+ * the cron (handleScheduled) and its dry run (getDueNotifications).
+ * @param {{birthMs: number, customMilestones: string, birthdayOptions: Object}} member
+ * @returns {Array<{label: string, icon: string, time: Date}>}
+ */
+function memberMilestonesDue({ birthMs, customMilestones, birthdayOptions }, now, notifMinutes) {
+  const due = [];
+
+  // milestone_offset = now + notifLeadTime - birthTime
+  const elapsedMs = now.getTime() - birthMs + (notifMinutes * 60 * 1000);
+  const customOffsets = getCustomMilestoneOffsets(customMilestones);
+  const offset = findOffset(getMilestoneOffsetMap(), elapsedMs, customOffsets, birthdayOptions, birthMs);
+  if (offset) {
+    due.push({ label: offset.label, icon: offset.icon, time: new Date(birthMs + offset.exactMs) });
+  }
+
+  const eventTime = new Date(birthMs + elapsedMs);
+  for (const event of Calculator.getEarthBirthdayAt(new Date(birthMs), eventTime, birthdayOptions)) {
+    due.push({ label: event.title, icon: event.icon, time: event.date });
+  }
+  return due;
+}
+
+/**
+ * Shared holidays `notifMinutes` after the cron minute, which go out at
+ * midnight in the subscriber's timezone.
+ * @returns {Array<{label: string, icon: string, time: Date}>}
+ */
+function holidaysDue(timezone, now, notifMinutes) {
+  const eventTime = new Date(now.getTime() + notifMinutes * 60 * 1000);
+  const localDate = localMidnightDate(eventTime, timezone);
+  if (!localDate) return [];
+  return Calculator.getHolidaysAt(localDate).map(event => ({ label: event.title, icon: event.icon, time: event.date }));
+}
+
 /**
  * Scheduled handler - runs every minute
- * Queries D1 for birthdates matching any milestone offset
+ * Matches every subscribed family member against the milestone offsets
  */
-async function handleScheduled(env) {
+async function handleScheduled(env, at = Clock.now()) {
   if (!env.DB || !env.VAPID_PRIVATE_KEY) {
     console.log('Push notifications not configured - skipping');
     return;
   }
 
-  const now = new Date();
+  const now = new Date(at);
   // Truncate to start of current minute for deterministic matching
   // Without this, sub-second cron jitter can shift target birthdates into the wrong minute
   now.setSeconds(0, 0);
@@ -469,7 +709,7 @@ async function handleScheduled(env) {
   // Fetch ALL family members once (typically few rows), then match in-memory
   // This avoids 26+ D1 queries that were causing CPU limit exceeded errors
   const allMembers = await env.DB.prepare(`
-    SELECT fm.name, fm.birth_datetime, s.id as subscription_id, s.endpoint, s.p256dh, s.auth, s.notification_times
+    SELECT fm.name, fm.birth_datetime, fm.birth_date, fm.custom_milestones, fm.birthday_options, s.id as subscription_id, s.endpoint, s.p256dh, s.auth, s.notification_times
     FROM family_members fm
     JOIN subscriptions s ON fm.subscription_id = s.id
     WHERE s.deleted_at IS NULL
@@ -481,49 +721,45 @@ async function handleScheduled(env) {
   let totalNotifications = 0;
   const logEntries = [];
 
-  // Build a Map from offset ms -> offset info for O(1) lookup
-  const offsetMap = new Map();
-  for (const offset of offsets) {
-    offsetMap.set(offset.ms, offset);
-  }
-
   // For each member, check if their birth datetime matches any milestone offset
   for (const row of members) {
-    const birthMs = new Date(row.birth_datetime + ':00Z').getTime();
     const times = parseNotificationTimes(row);
+    const member = {
+      birthMs: parseBirthDatetime(row.birth_datetime).getTime(),
+      customMilestones: row.custom_milestones,
+      birthdayOptions: {
+        ...parseBirthdayOptions(row.birthday_options),
+        // Rows from before birth_date fall back to the UTC date
+        leapDayBirth: row.birth_date ? row.birth_date.endsWith('-02-29') : undefined,
+      },
+    };
 
     for (const notifMinutes of notificationTimes) {
       if (!times.includes(notifMinutes)) continue;
+      for (const milestone of memberMilestonesDue(member, now, notifMinutes)) {
+        totalNotifications += await sendMilestoneNotification(row, milestone, notifMinutes, env, logEntries);
+      }
+    }
+  }
 
-      // milestone_offset = now + notifLeadTime - birthTime
-      const elapsedMs = now.getTime() - birthMs + (notifMinutes * 60 * 1000);
-      const offset = offsetMap.get(elapsedMs);
-
-      if (offset) {
-        const { title, body } = generateNotificationContent(
-          row.name,
-          offset,
-          notifMinutes
-        );
-
-        const subscription = {
-          endpoint: row.endpoint,
-          keys: { p256dh: row.p256dh, auth: row.auth }
-        };
+  // Shared holidays go out once per subscription (not per family member)
+  const subsResult = await env.DB.prepare(`
+    SELECT DISTINCT s.id as subscription_id, s.endpoint, s.p256dh, s.auth, s.notification_times, s.timezone,
+      (SELECT fm.name FROM family_members fm WHERE fm.subscription_id = s.id LIMIT 1) as name
+    FROM subscriptions s
+    WHERE s.deleted_at IS NULL
+  `).all();
 
-        const success = await sendPushNotification(subscription, { title, body }, env, row.subscription_id, notifMinutes);
-        if (success) {
-          totalNotifications++;
-          logEntries.push({ subscriptionId: row.subscription_id, personName: row.name, title, body });
-          console.log(`Sent: ${title} to ${row.name}`);
-        }
+  for (const row of subsResult.results || []) {
+    const times = parseNotificationTimes(row);
+    for (const notifMinutes of notificationTimes) {
+      if (!times.includes(notifMinutes)) continue;
+      for (const holiday of holidaysDue(row.timezone || 'UTC', now, notifMinutes)) {
+        totalNotifications += await sendMilestoneNotification(row, holiday, notifMinutes, env, logEntries);
       }
     }
   }
 
-  // Handle calendar-based events (earth birthdays + nerdy holidays) using shared Calculator
-  totalNotifications += await handleCalendarEvents(env, now, notificationTimes, logEntries);
-
   // Batch-insert notification log entries
   if (logEntries.length > 0) {
     const stmts = logEntries.map(e =>
@@ -545,94 +781,113 @@ async function handleScheduled(env) {
 }
 
 /**
- * Handle calendar-based events using shared Calculator.
- * Two sub-paths:
- *   1. Earth birthdays — fire at the user's birth time (UTC)
- *   2. Shared holidays — fire at midnight in the user's local timezone
+ * If `eventTime` is midnight (00:00) in `tz`, return that local date as a
+ * UTC-midnight Date (for month/day matching); otherwise null.
  */
-async function handleCalendarEvents(env, now, notificationTimes, logEntries) {
-  let totalNotifications = 0;
-
-  // --- Earth birthdays: match on birth HH:MM ---
-  for (const notifMinutes of notificationTimes) {
-    const eventTime = new Date(now.getTime() + notifMinutes * 60 * 1000);
-    const eventHHMM = eventTime.toISOString().slice(11, 16);
-
-    const result = await env.DB.prepare(`
-      SELECT fm.name, fm.birth_datetime, s.id as subscription_id, s.endpoint, s.p256dh, s.auth, s.notification_times
-      FROM family_members fm
-      JOIN subscriptions s ON fm.subscription_id = s.id
-      WHERE s.deleted_at IS NULL AND SUBSTR(fm.birth_datetime, 12, 5) = ?
-    `).bind(eventHHMM).all();
+function localMidnightDate(eventTime, tz) {
+  const localHHMM = eventTime.toLocaleString('en-GB', {
+    timeZone: tz, hour: '2-digit', minute: '2-digit', hour12: false
+  });
+  if (localHHMM !== '00:00') return null;
 
-    if (!result.results) continue;
+  const localDateStr = eventTime.toLocaleString('en-CA', {
+    timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
+  });
+  return new Date(localDateStr + 'T00:00:00Z');
+}
 
-    for (const row of result.results) {
-      const times = parseNotificationTimes(row);
-      if (!times.includes(notifMinutes)) continue;
+/**
+ * Notifications the cron would send for a family in the minute containing
+ * `now` — handleScheduled()'s matching (memberMilestonesDue, holidaysDue)
+ * without D1 or sending anything. Birth times are truncated to the second
+ * like birth_datetime in D1. Exported for tests.
+ * @returns {Array<{personName: string, title: string, body: string, minutesBefore: number}>}
+ */
+export function getDueNotifications(members, now, { notificationTimes = [0, 60, 1440], timezone = 'UTC' } = {}) {
+  const minute = new Date(now);
+  minute.setSeconds(0, 0);
+  const due = [];
+  const push = (personName, milestone, notifMinutes) => {
+    const { title, body } = generateNotificationContent(personName, milestone, notifMinutes);
+    due.push({ personName, title, body, minutesBefore: notifMinutes, eventTime: milestone.time.toISOString() });
+  };
 
-      const birthDate = new Date(row.birth_datetime + ':00Z');
-      const events = Calculator.getEarthBirthdayAt(birthDate, eventTime);
+  for (const notifMinutes of notificationTimes) {
+    for (const member of members) {
+      const dueMember = {
+        birthMs: Math.floor(member.birthDate.getTime() / 1000) * 1000,
+        customMilestones: formatCustomMilestones(member.customMilestones),
+        birthdayOptions: {
+          ...parseBirthdayOptions(formatBirthdayOptions(member)),
+          leapDayBirth: member.gregorianDateStr?.endsWith('-02-29'),
+        },
+      };
+      for (const milestone of memberMilestonesDue(dueMember, minute, notifMinutes)) {
+        push(member.name, milestone, notifMinutes);
+      }
+    }
 
-      for (const event of events) {
-        totalNotifications += await sendCalendarNotification(
-          row, event, notifMinutes, env, logEntries
-        );
+    // Holidays go out once per subscription, addressed to its first member
+    if (members.length > 0) {
+      for (const holiday of holidaysDue(timezone, minute, notifMinutes)) {
+        push(members[0].name, holiday, notifMinutes);
       }
     }
   }
 
-  // --- Shared holidays: match on midnight in user's local timezone ---
-  // Get all active subscriptions once (deduplicated — one notification per subscription, not per family member)
-  const subsResult = await env.DB.prepare(`
-    SELECT DISTINCT s.id as subscription_id, s.endpoint, s.p256dh, s.auth, s.notification_times, s.timezone,
-      (SELECT fm.name FROM family_members fm WHERE fm.subscription_id = s.id LIMIT 1) as name
-    FROM subscriptions s
-    WHERE s.deleted_at IS NULL
-  `).all();
-  const subscribers = subsResult.results || [];
-
-  for (const notifMinutes of notificationTimes) {
-    const eventTime = new Date(now.getTime() + notifMinutes * 60 * 1000);
-
-    for (const row of subscribers) {
-      const times = parseNotificationTimes(row);
-      if (!times.includes(notifMinutes)) continue;
+  return due;
+}
 
-      // Check if eventTime is midnight (00:00) in the user's timezone
-      const tz = row.timezone || 'UTC';
-      const localHHMM = eventTime.toLocaleString('en-GB', {
-        timeZone: tz, hour: '2-digit', minute: '2-digit', hour12: false
-      });
-      if (localHHMM !== '00:00') continue;
+/**
+ * Dry run of the push cron for one family: GET /push/preview?family=...&now=...
+ * Optional `tz` (IANA, for holiday midnight) and `minutes` (scan ahead, max 60).
+ */
+function handlePushPreview(url, now) {
+  const members = parseFamilyParam(url.searchParams.get('family') || '');
+  if (members.length === 0) {
+    return new Response(JSON.stringify({
+      error: 'Invalid family parameter format',
+      usage: '/push/preview?family=Name|YYYY-MM-DD|HH:MM[:SS]&now=2031-05-14T10:00Z&tz=America/Denver&minutes=60',
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  }
 
-      // Build a UTC date for the local date (for month/day matching)
-      const localDateStr = eventTime.toLocaleString('en-CA', {
-        timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
-      });
-      const localDate = new Date(localDateStr + 'T00:00:00Z');
+  const timezone = url.searchParams.get('tz') || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    return new Response(JSON.stringify({ error: 'Invalid tz parameter' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  }
 
-      const holidays = Calculator.getHolidaysAt(localDate);
-      for (const event of holidays) {
-        totalNotifications += await sendCalendarNotification(
-          row, event, notifMinutes, env, logEntries
-        );
-      }
+  const minutes = Math.min(Math.max(parseInt(url.searchParams.get('minutes'), 10) || 1, 1), 60);
+  const start = new Date(now);
+  start.setSeconds(0, 0);
+  const notifications = [];
+  for (let i = 0; i < minutes; i++) {
+    const at = new Date(start.getTime() + i * 60 * 1000);
+    for (const n of getDueNotifications(members, at, { timezone })) {
+      notifications.push({ at: at.toISOString(), ...n });
     }
   }
 
-  return totalNotifications;
+  return new Response(JSON.stringify({ now: start.toISOString(), minutes, notifications }), {
+    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+  });
 }
 
-async function sendCalendarNotification(row, event, notifMinutes, env, logEntries) {
-  const { title, body } = generateNotificationContent(
-    row.name, { label: event.title, icon: event.icon }, notifMinutes
-  );
+async function sendMilestoneNotification(row, milestone, notifMinutes, env, logEntries) {
+  const { title, body } = generateNotificationContent(row.name, milestone, notifMinutes);
   const subscription = {
     endpoint: row.endpoint,
     keys: { p256dh: row.p256dh, auth: row.auth }
   };
-  const success = await sendPushNotification(subscription, { title, body }, env, row.subscription_id, notifMinutes);
+  const timestamp = milestone.time.getTime();
+  const success = await sendPushNotification(subscription, { title, body, timestamp }, env, row.subscription_id, notifMinutes);
   if (success) {
     logEntries.push({ subscriptionId: row.subscription_id, personName: row.name, title, body });
     console.log(`Sent: ${title} to ${row.name}`);
@@ -853,13 +1108,18 @@ function base64urlDecode(input) {
 /**
  * Build the calendar-feed event list for a family.
  * Includes events from 30 days in the past to 2 years ahead of `now`
- * (yearsAhead in Calculator.calculate is measured from BIRTH, so the
- * window filter is what keeps the feed relevant for adults).
+ * (yearsAhead is measured from BIRTH, so the Calculator.between window is
+ * what keeps the feed relevant for adults).
  * Shared holidays are deduplicated across members, and every other event
  * gets a per-person unique id so iCal UIDs don't collide in family feeds.
+ * `yearDefinition` (a Milestones.YEAR_DEFINITIONS key) sets the year for Earth ages;
+ * `planetaryReturns` (a Milestones.PLANETARY_RETURN_MODES key) how planet years count.
  * Exported for tests.
  */
-export function buildFamilyEvents(members, now = new Date()) {
+export function buildFamilyEvents(members, now = Clock.now(), {
+  yearDefinition = Milestones.DEFAULT_YEAR_DEFINITION,
+  planetaryReturns = Milestones.DEFAULT_PLANETARY_RETURN_MODE
+} = {}) {
   const windowStart = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
   const windowEnd = new Date(now.getTime() + 2 * 365.2425 * 24 * 60 * 60 * 1000);
 
@@ -867,11 +1127,16 @@ export function buildFamilyEvents(members, now = new Date()) {
   const seenHolidays = new Set();
 
   for (const member of members) {
-    const events = Calculator.calculate(member.birthDate, {
+    const events = Calculator.between(member.birthDate, windowStart, windowEnd, {
       yearsAhead: 120,
-      includePast: true,
+      customMilestones: member.customMilestones,
+      yearDefinition,
+      planetaryReturns,
+      leapDayPolicy: member.leapDayPolicy,
+      leapDayBirth: member.gregorianDateStr?.endsWith('-02-29'),
+      fractionalAges: member.fractionalAges,
+      birthTimeUnknown: member.timeUnknown,
       transformEvent: event => {
-        if (event.date < windowStart || event.date > windowEnd) { return null; }
         if (event.isSharedHoliday) {
           // Shared holidays are the same for everyone — include once, unprefixed
           if (seenHolidays.has(event.id)) { return null; }
@@ -893,20 +1158,44 @@ export function buildFamilyEvents(members, now = new Date()) {
   return allEvents;
 }
 
-function handleFamilyRequest(url, familyParam) {
+function handleFamilyRequest(url, familyParam, now) {
   const members = parseFamilyParam(familyParam);
 
   if (members.length === 0) {
     return new Response(JSON.stringify({
       error: 'Invalid family parameter format',
-      usage: '?family=Name|YYYY-MM-DD|HH:MM',
+      usage: '?family=Name|YYYY-MM-DD|HH:MM[:SS]|TZ|777777777s;12345h',
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  }
+
+  // ?year=sidereal (etc.) picks the year used for Earth ages, as on the results page
+  const yearDefinition = url.searchParams.get('year') || Milestones.DEFAULT_YEAR_DEFINITION;
+  if (!Object.hasOwn(Milestones.YEAR_DEFINITIONS, yearDefinition)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid year parameter',
+      usage: `?year=${Object.keys(Milestones.YEAR_DEFINITIONS).join('|')}`,
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  }
+
+  // ?returns=true counts planet years by true returns, as on the results page
+  const planetaryReturns = url.searchParams.get('returns') || Milestones.DEFAULT_PLANETARY_RETURN_MODE;
+  if (!Object.hasOwn(Milestones.PLANETARY_RETURN_MODES, planetaryReturns)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid returns parameter',
+      usage: `?returns=${Object.keys(Milestones.PLANETARY_RETURN_MODES).join('|')}`,
     }), {
       status: 400,
       headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
     });
   }
 
-  const allEvents = buildFamilyEvents(members);
+  const allEvents = buildFamilyEvents(members, now, { yearDefinition, planetaryReturns });
 
   const format = url.searchParams.get('format');
   if (format === 'json') {